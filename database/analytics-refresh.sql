@@ -0,0 +1,49 @@
+-- analytics-refresh.sql
+-- State of the incremental analytics refresh: how far refresh_relay_analytics() has read
+-- events_relays and relay_metadata, the rows of its overlap window it already counted, and the
+-- check counts behind the running averages of
+-- relay_analytics. Run by the DVM on start (src/dvm/analytics-refresh.js) and by the setup scripts.
+
+CREATE TABLE IF NOT EXISTS analytics_watermarks (
+    name TEXT PRIMARY KEY NOT NULL,                                         -- Pipeline name, 'relay_analytics'
+    events_seen_at BIGINT NOT NULL,                                         -- Newest events_relays.seen_at folded in
+    checks_generated_at BIGINT NOT NULL,                                    -- Newest relay_metadata.generated_at folded in
+    updated_at BIGINT NOT NULL                                              -- When the refresh last ran
+);
+
+-- Rows inside the overlap window below the watermarks that were already counted. Each refresh
+-- re-scans that window for late arrivals and skips these, then prunes what fell out of it.
+CREATE TABLE IF NOT EXISTS analytics_counted_sightings (
+    event_id CHAR(64) NOT NULL,                                             -- events_relays.event_id
+    relay_url TEXT NOT NULL,                                                -- events_relays.relay_url
+    seen_at BIGINT NOT NULL,                                                -- events_relays.seen_at, for pruning
+    PRIMARY KEY (event_id, relay_url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_counted_sightings_seen_at
+    ON analytics_counted_sightings(seen_at);
+
+CREATE TABLE IF NOT EXISTS analytics_counted_checks (
+    relay_url TEXT NOT NULL,                                                -- relay_metadata.relay_url
+    generated_at BIGINT NOT NULL,                                           -- relay_metadata.generated_at
+    PRIMARY KEY (relay_url, generated_at)
+);
+
+-- Checks behind uptime_percentage and avg_rtt_read, so new checks update the averages in place.
+-- NULL until the first refresh counts them.
+ALTER TABLE IF EXISTS relay_analytics ADD COLUMN IF NOT EXISTS checks BIGINT;
+ALTER TABLE IF EXISTS relay_analytics ADD COLUMN IF NOT EXISTS successful_checks BIGINT;
+ALTER TABLE IF EXISTS relay_analytics ADD COLUMN IF NOT EXISTS rtt_read_checks BIGINT;
+
+-- The refresh updates relay_recommendations CONCURRENTLY, which needs a unique index; views built
+-- before that only had a plain one on url
+DO $$
+BEGIN
+    IF to_regclass('relay_recommendations') IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM pg_index i
+        WHERE i.indrelid = 'relay_recommendations'::regclass AND i.indisunique
+    ) THEN
+        DROP INDEX IF EXISTS idx_relay_recommendations_url;
+        CREATE UNIQUE INDEX idx_relay_recommendations_url ON relay_recommendations(url);
+    END IF;
+END $$;
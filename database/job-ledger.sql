@@ -0,0 +1,23 @@
+-- job-ledger.sql
+-- Persisted record of every NIP-90 job the DVM accepted, keyed by request event id.
+-- Relays deliver the same request many times (and again after restarts), the primary key makes
+-- claiming a job atomic so each one is answered once.
+
+CREATE TABLE IF NOT EXISTS dvm_jobs (
+    id CHAR(64) PRIMARY KEY NOT NULL,                                       -- Request event id
+    pubkey CHAR(64) NOT NULL,                                               -- Requester public key
+    request_type TEXT,                                                      -- recommend, analyze, ... (NULL until parsed)
+    status TEXT NOT NULL DEFAULT 'received',                                -- received, payment-required, queued, processing, success, error, rejected, interrupted
+    created_at BIGINT NOT NULL,                                             -- created_at of the request event
+    received_at BIGINT NOT NULL,                                            -- When the DVM first saw the request
+    updated_at BIGINT NOT NULL,                                             -- Last status change
+    first_relay TEXT,                                                       -- Relay that delivered the request first
+    seen_count INT NOT NULL DEFAULT 1,                                      -- How many times relays delivered it
+    amount_msats BIGINT,                                                    -- Price charged, NULL for free jobs
+    result_event_id CHAR(64),                                               -- Kind 6600 result we published
+    error TEXT                                                              -- Failure reason for error jobs
+);
+
+CREATE INDEX IF NOT EXISTS idx_dvm_jobs_status ON dvm_jobs USING BTREE (status);                  -- Index on status
+CREATE INDEX IF NOT EXISTS idx_dvm_jobs_received_at ON dvm_jobs USING BTREE (received_at DESC);   -- Index on received_at
+CREATE INDEX IF NOT EXISTS idx_dvm_jobs_pubkey ON dvm_jobs USING BTREE (pubkey);                  -- Index on pubkey
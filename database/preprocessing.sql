@@ -57,7 +57,60 @@ LEFT JOIN events_relays er ON r.url = er.relay_url
 LEFT JOIN events e ON er.event_id = e.id
 GROUP BY r.url, r.network, r.inserted_at;
 
--- 2. Create publisher influence scores
+-- 2. Rolling reliability windows from relay_metadata checks: uptime and RTT over the last 24h, 7d and
+-- 30d, a recency-weighted uptime where a check's weight halves every 7 days (what reliability_score
+-- uses, so a relay that died last week stops scoring on its history) and a trend comparing the last
+-- 7 days with the 23 before them. Refreshed CONCURRENTLY before refresh_relay_analytics(). CASCADE takes
+-- relay_quality_scores_live (section 5) with it, which is recreated below.
+DROP MATERIALIZED VIEW IF EXISTS relay_reliability_windows CASCADE;
+
+CREATE MATERIALIZED VIEW relay_reliability_windows AS
+WITH checks AS (
+    SELECT
+        rm.relay_url,
+        CASE WHEN rm.connection_success THEN 1.0 ELSE 0.0 END as up,
+        CASE WHEN rm.connection_success THEN rm.rtt_read END as rtt_read,
+        EXTRACT(epoch FROM NOW())::BIGINT - rm.generated_at as age
+    FROM relay_metadata rm
+),
+windows AS (
+    SELECT
+        r.url,
+        COUNT(c.up) FILTER (WHERE c.age < 86400) as checks_24h,
+        COUNT(c.up) FILTER (WHERE c.age < 604800) as checks_7d,
+        COUNT(c.up) FILTER (WHERE c.age < 2592000) as checks_30d,
+        AVG(c.up) FILTER (WHERE c.age < 86400) as uptime_24h,
+        AVG(c.up) FILTER (WHERE c.age < 604800) as uptime_7d,
+        AVG(c.up) FILTER (WHERE c.age < 2592000) as uptime_30d,
+        AVG(c.rtt_read) FILTER (WHERE c.age < 86400) as avg_rtt_24h,
+        AVG(c.rtt_read) FILTER (WHERE c.age < 604800) as avg_rtt_7d,
+        AVG(c.rtt_read) FILTER (WHERE c.age < 2592000) as avg_rtt_30d,
+        -- The 23 days before the last 7, what the trend compares against
+        COUNT(c.up) FILTER (WHERE c.age >= 604800 AND c.age < 2592000) as checks_before_7d,
+        AVG(c.up) FILTER (WHERE c.age >= 604800 AND c.age < 2592000) as uptime_before_7d,
+        AVG(c.rtt_read) FILTER (WHERE c.age >= 604800 AND c.age < 2592000) as avg_rtt_before_7d,
+        SUM(c.up * power(0.5, GREATEST(c.age, 0) / 604800.0)) /
+            NULLIF(SUM(power(0.5, GREATEST(c.age, 0) / 604800.0)), 0) as weighted_uptime
+    FROM relays r
+    LEFT JOIN checks c ON c.relay_url = r.url
+    GROUP BY r.url
+)
+SELECT
+    w.*,
+    w.uptime_7d - w.uptime_before_7d as uptime_change,
+    -- Five points of uptime or a quarter of the RTT either way; degrading wins when both move
+    CASE
+        WHEN w.checks_7d = 0 OR w.checks_before_7d = 0 THEN 'unknown'
+        WHEN w.uptime_7d < w.uptime_before_7d - 0.05 OR w.avg_rtt_7d > w.avg_rtt_before_7d * 1.25 THEN 'degrading'
+        WHEN w.uptime_7d > w.uptime_before_7d + 0.05 OR w.avg_rtt_7d < w.avg_rtt_before_7d * 0.75 THEN 'improving'
+        ELSE 'stable'
+    END as trend
+FROM windows w;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_relay_reliability_windows_url
+    ON relay_reliability_windows(url);
+
+-- 3. Create publisher influence scores
 CREATE TABLE IF NOT EXISTS publisher_influence AS
 WITH follower_counts AS (
     SELECT 
@@ -107,7 +160,7 @@ SELECT
     ) as activity_score
 FROM follower_counts;
 
--- 3. Create relay-publisher relationship weights
+-- 4. Create relay-publisher relationship weights
 CREATE TABLE IF NOT EXISTS relay_publisher_weights AS
 SELECT 
     er.relay_url,
@@ -132,8 +185,9 @@ JOIN events e ON er.event_id = e.id
 LEFT JOIN publisher_influence pi ON e.pubkey = pi.pubkey
 GROUP BY er.relay_url, e.pubkey, pi.influence_score, pi.activity_score;
 
--- 4. Create comprehensive relay quality scores
-CREATE TABLE IF NOT EXISTS relay_quality_scores AS
+-- 5. Create comprehensive relay quality scores. The view computes them from the tables above,
+-- refresh_relay_analytics() copies the rows of the relays it updated into the table.
+CREATE OR REPLACE VIEW relay_quality_scores_live AS
 SELECT 
     ra.url,
     
@@ -160,8 +214,8 @@ SELECT
     -- Network diversity score (unique publishers)
     LEAST(LOG(ra.unique_publishers + 1) * 2.0, 10.0) as diversity_score,
     
-    -- Reliability score
-    COALESCE(ra.uptime_percentage * 10.0, 0.0) as reliability_score,
+    -- Reliability score, recent checks count most (relay_reliability_windows)
+    COALESCE(rrw.weighted_uptime * 10.0, ra.uptime_percentage * 10.0, 0.0) as reliability_score,
     
     -- Performance score (lower latency = higher score)
     CASE 
@@ -196,30 +250,35 @@ SELECT
         ELSE 0.0
     END as recency_bonus
 
-FROM relay_analytics ra;
+FROM relay_analytics ra
+LEFT JOIN relay_reliability_windows rrw ON rrw.url = ra.url;
 
--- 5. Create indexes for fast DVM queries
+CREATE TABLE IF NOT EXISTS relay_quality_scores AS
+SELECT * FROM relay_quality_scores_live;
+
+-- 6. Create indexes for fast DVM queries
 CREATE INDEX IF NOT EXISTS idx_relay_analytics_url ON relay_analytics(url);
 CREATE INDEX IF NOT EXISTS idx_publisher_influence_pubkey ON publisher_influence(pubkey);
 CREATE INDEX IF NOT EXISTS idx_relay_publisher_weights_relay ON relay_publisher_weights(relay_url);
 CREATE INDEX IF NOT EXISTS idx_relay_publisher_weights_pubkey ON relay_publisher_weights(pubkey);
 CREATE INDEX IF NOT EXISTS idx_relay_quality_scores_url ON relay_quality_scores(url);
 
--- 6. Create a materialized view for quick user-relay recommendations
+-- 7. Create a materialized view for quick user-relay recommendations
+-- Weights come from scoring_weights (database/scoring-weights.sql, run before this file)
 -- Drop the view first if it exists to ensure we get the updated version
 DROP MATERIALIZED VIEW IF EXISTS relay_recommendations;
 
 CREATE MATERIALIZED VIEW relay_recommendations AS
 SELECT 
     rqs.url,
-    -- Overall quality score (weighted average)
+    -- Overall quality score (weighted average, weights configured in config.scoring.quality)
     (
-        COALESCE(rqs.privacy_score, 0) * 0.25 +
-        COALESCE(rqs.reliability_score, 0) * 0.20 +
-        COALESCE(rqs.performance_score, 0) * 0.15 +
-        COALESCE(rqs.diversity_score, 0) * 0.15 +
-        COALESCE(rqs.activity_score, 0) * 0.15 +
-        COALESCE(rqs.publisher_quality_score, 0) * 0.10
+        COALESCE(rqs.privacy_score, 0) * (qw.weights->>'privacy')::NUMERIC +
+        COALESCE(rqs.reliability_score, 0) * (qw.weights->>'reliability')::NUMERIC +
+        COALESCE(rqs.performance_score, 0) * (qw.weights->>'performance')::NUMERIC +
+        COALESCE(rqs.diversity_score, 0) * (qw.weights->>'diversity')::NUMERIC +
+        COALESCE(rqs.activity_score, 0) * (qw.weights->>'activity')::NUMERIC +
+        COALESCE(rqs.publisher_quality_score, 0) * (qw.weights->>'publisher_quality')::NUMERIC
     ) + COALESCE(rqs.recency_bonus, 0) as overall_score,
     
     -- Individual component scores
@@ -247,6 +306,7 @@ SELECT
 
 FROM relay_quality_scores rqs
 JOIN relay_analytics ra ON rqs.url = ra.url
+CROSS JOIN (SELECT weights FROM scoring_weights WHERE name = 'quality') qw
 WHERE ra.current_status = true OR ra.current_status IS NULL  -- Include relays without metadata status
 ORDER BY overall_score DESC;
 
@@ -263,8 +323,53 @@ CREATE INDEX IF NOT EXISTS idx_relay_recommendations_reliability_score
 CREATE INDEX IF NOT EXISTS idx_relay_recommendations_current_status 
     ON relay_recommendations(current_status);
 
-CREATE INDEX IF NOT EXISTS idx_relay_recommendations_url 
+-- Unique so the view can be refreshed CONCURRENTLY while jobs read it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_relay_recommendations_url
     ON relay_recommendations(url);
 
 -- Refresh the materialized view with data
-REFRESH MATERIALIZED VIEW relay_recommendations;
\ No newline at end of file
+REFRESH MATERIALIZED VIEW relay_recommendations;
+-- 8. Onion mirrors: clearnet relays linked to a .onion endpoint of the same operator, either named in
+-- the clearnet relay's NIP-11 description/contact or sharing its NIP-11 admin pubkey
+DROP MATERIALIZED VIEW IF EXISTS relay_onion_mirrors;
+
+CREATE MATERIALIZED VIEW relay_onion_mirrors AS
+WITH latest_nip11 AS (
+    SELECT DISTINCT ON (rm.relay_url)
+        rm.relay_url,
+        r.network,
+        rm.pubkey,
+        rm.name,
+        concat_ws(' ', rm.description, rm.contact) as about
+    FROM relay_metadata rm
+    JOIN relays r ON r.url = rm.relay_url
+    WHERE rm.nip11_success = true
+    ORDER BY rm.relay_url, rm.generated_at DESC
+),
+onions AS (
+    SELECT ln.*, lower(substring(ln.relay_url FROM '^wss?://([^/:]+)')) as host
+    FROM latest_nip11 ln
+    WHERE ln.network = 'tor' OR ln.relay_url ~* '^wss?://[^/:]+\.onion'
+),
+candidates AS (
+    -- An explicit mention beats a shared pubkey, a shared name breaks ties between an operator's relays
+    SELECT
+        c.relay_url as clearnet_url,
+        o.relay_url as onion_url,
+        CASE WHEN m.mentioned THEN 'nip11' ELSE 'pubkey' END as matched_by,
+        ROW_NUMBER() OVER (PARTITION BY c.relay_url ORDER BY m.mentioned DESC, COALESCE(c.name = o.name, false) DESC, o.relay_url) as clearnet_rank,
+        ROW_NUMBER() OVER (PARTITION BY o.relay_url ORDER BY m.mentioned DESC, COALESCE(c.name = o.name, false) DESC, c.relay_url) as onion_rank
+    FROM latest_nip11 c
+    CROSS JOIN onions o
+    CROSS JOIN LATERAL (SELECT COALESCE(position(o.host IN lower(c.about)) > 0, false) as mentioned) m
+    WHERE c.network <> 'tor'
+      AND c.relay_url !~* '^wss?://[^/:]+\.(onion|i2p)'
+      AND (m.mentioned OR (c.pubkey = o.pubkey AND c.pubkey <> ''))
+)
+-- One onion per clearnet relay and the other way round, so a mirror never stands in for two relays
+SELECT clearnet_url, onion_url, matched_by
+FROM candidates
+WHERE clearnet_rank = 1 AND onion_rank = 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_relay_onion_mirrors_clearnet_url
+    ON relay_onion_mirrors(clearnet_url);
@@ -1,11 +1,30 @@
 -- Fast query functions for the DVM (FIXED VERSION)
 
 -- 1. Get personalized relay recommendations for a user (FIXED VERSION)
+-- `scoring` is the threat level's profile from config.scoring (src/dvm/scoring.js):
+-- {"weights": {...}, "thresholds": {...}, "following_bonus": n, "constraints": {...}}, or a requester's
+-- custom profile. Without it the built-in defaults apply. Its "network" (mixed, clearnet, tor, i2p) limits
+-- the endpoints returned; with tor, tor_only or an "onion_bonus" clearnet relays are returned as their
+-- onion mirror (relay_onion_mirrors) when they have one, and Tor/I2P endpoints get the bonus.
+-- Replaces the old four-argument version and the one without network columns
+DROP FUNCTION IF EXISTS get_user_relay_recommendations(TEXT, TEXT, INT, BOOLEAN);
+DROP FUNCTION IF EXISTS get_user_relay_recommendations(TEXT, TEXT, INT, BOOLEAN, JSONB);
+
+-- clearnet, tor or i2p, from relays.network and the URL's top-level domain
+CREATE OR REPLACE FUNCTION relay_network_type(url TEXT, network TEXT) RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN network = 'tor' OR url ~* '^wss?://[^/:]+\.onion' THEN 'tor'
+        WHEN network = 'i2p' OR url ~* '^wss?://[^/:]+\.i2p' THEN 'i2p'
+        ELSE 'clearnet'
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
 CREATE OR REPLACE FUNCTION get_user_relay_recommendations(
     user_pubkey TEXT,
     threat_level TEXT DEFAULT 'medium',
     max_results INT DEFAULT 10,
-    include_following_factor BOOLEAN DEFAULT true
+    include_following_factor BOOLEAN DEFAULT true,
+    scoring JSONB DEFAULT NULL
 ) RETURNS TABLE(
     relay_url TEXT,
     overall_score NUMERIC,
@@ -13,9 +32,37 @@ CREATE OR REPLACE FUNCTION get_user_relay_recommendations(
     reliability_score NUMERIC,
     following_users_count BIGINT,
     total_influence_weight NUMERIC,
-    reasoning TEXT
+    reasoning TEXT,
+    network_type TEXT,
+    mirror_of TEXT
 ) AS $$
+DECLARE
+    weights JSONB;
+    thresholds JSONB;
+    following_bonus_weight NUMERIC;
+    constraints JSONB;
+    network_preference TEXT;
+    onion_weight NUMERIC;
+    tor_only BOOLEAN;
+    use_onion BOOLEAN;
 BEGIN
+    scoring := COALESCE(scoring, CASE threat_level
+        WHEN 'low' THEN '{"weights": {"overall": 1.0, "performance": 0.2}, "thresholds": {"reliability": 3.0}}'
+        WHEN 'medium' THEN '{"weights": {"overall": 1.0, "privacy": 0.1}, "thresholds": {"privacy": 2.0, "reliability": 3.0}}'
+        WHEN 'high' THEN '{"weights": {"privacy": 0.4, "reliability": 0.3, "performance": 0.3}, "thresholds": {"privacy": 3.0, "reliability": 4.0}}'
+        WHEN 'nation-state' THEN '{"weights": {"privacy": 0.6, "reliability": 0.4}, "thresholds": {"privacy": 4.0, "reliability": 5.0}, "onion_bonus": 1.0}'
+        ELSE '{"weights": {"overall": 1.0}, "thresholds": {"reliability": 1.0}}'
+    END::JSONB);
+
+    weights := COALESCE(scoring->'weights', '{}'::JSONB);
+    thresholds := COALESCE(scoring->'thresholds', '{}'::JSONB);
+    following_bonus_weight := COALESCE((scoring->>'following_bonus')::NUMERIC, 0.5);
+    constraints := COALESCE(scoring->'constraints', '{}'::JSONB);
+    network_preference := COALESCE(scoring->>'network', 'mixed');
+    onion_weight := COALESCE((scoring->>'onion_bonus')::NUMERIC, 0);
+    tor_only := COALESCE((constraints->>'tor_only')::BOOLEAN, false);
+    use_onion := network_preference = 'tor' OR tor_only OR (onion_weight > 0 AND network_preference = 'mixed');
+
     RETURN QUERY
     WITH user_following AS (
         -- Get users that this user follows
@@ -47,43 +94,76 @@ BEGIN
             rr.reliability_score,
             rr.performance_score,
             rr.diversity_score,
+
+            -- Endpoint to recommend: the onion mirror instead of the clearnet URL when Tor is preferred
+            CASE WHEN use_onion AND om.onion_url IS NOT NULL THEN om.onion_url ELSE rr.url END as endpoint_url,
+            CASE WHEN use_onion AND om.onion_url IS NOT NULL THEN 'tor' ELSE relay_network_type(rr.url, r.network) END as endpoint_network,
             
             -- Following network factors
             COALESCE(frs.following_users_count, 0) as following_users_count,
             COALESCE(frs.total_influence_weight, 0.0) as total_influence_weight,
             
-            -- Adjust score based on threat level
-            CASE threat_level
-                WHEN 'low' THEN rr.overall_score + (COALESCE(rr.performance_score, 0) * 0.2)
-                WHEN 'medium' THEN rr.overall_score + (COALESCE(rr.privacy_score, 0) * 0.1)
-                WHEN 'high' THEN (COALESCE(rr.privacy_score, 0) * 0.4) + (COALESCE(rr.reliability_score, 0) * 0.3) + (COALESCE(rr.performance_score, 0) * 0.3)
-                WHEN 'nation-state' THEN (COALESCE(rr.privacy_score, 0) * 0.6) + (COALESCE(rr.reliability_score, 0) * 0.4)
-                ELSE COALESCE(rr.overall_score, 0)
-            END as threat_adjusted_score,
+            -- Adjust score based on threat level (weights missing from the profile count as 0)
+            (
+                COALESCE(rr.overall_score, 0) * COALESCE((weights->>'overall')::NUMERIC, 0) +
+                COALESCE(rr.privacy_score, 0) * COALESCE((weights->>'privacy')::NUMERIC, 0) +
+                COALESCE(rr.reliability_score, 0) * COALESCE((weights->>'reliability')::NUMERIC, 0) +
+                COALESCE(rr.performance_score, 0) * COALESCE((weights->>'performance')::NUMERIC, 0) +
+                COALESCE(rr.diversity_score, 0) * COALESCE((weights->>'diversity')::NUMERIC, 0)
+            ) as threat_adjusted_score,
             
             -- Following network bonus (if enabled)
             CASE 
                 WHEN include_following_factor AND frs.following_users_count > 0 THEN
-                    LOG(frs.following_users_count + 1) * 0.5
+                    LOG(frs.following_users_count + 1) * following_bonus_weight
                 ELSE 0.0
             END as following_bonus
             
         FROM relay_recommendations rr
         LEFT JOIN following_relay_stats frs ON rr.url = frs.relay_url
-        WHERE rr.current_status = true OR rr.current_status IS NULL  -- Include relays without status
-          AND (
-              CASE threat_level
-                  WHEN 'low' THEN COALESCE(rr.reliability_score, 0) > 3.0
-                  WHEN 'medium' THEN COALESCE(rr.privacy_score, 0) > 2.0 AND COALESCE(rr.reliability_score, 0) > 3.0  
-                  WHEN 'high' THEN COALESCE(rr.privacy_score, 0) > 3.0 AND COALESCE(rr.reliability_score, 0) > 4.0
-                  WHEN 'nation-state' THEN COALESCE(rr.privacy_score, 0) > 4.0 AND COALESCE(rr.reliability_score, 0) > 5.0
-                  ELSE COALESCE(rr.reliability_score, 0) > 1.0
-              END
-          )
+        LEFT JOIN relays r ON r.url = rr.url
+        LEFT JOIN relay_onion_mirrors om ON om.clearnet_url = rr.url
+        -- Latest NIP-11 document, what custom profile constraints are checked against
+        LEFT JOIN LATERAL (
+            SELECT true AS found, rm.supported_nips, rm.limitation
+            FROM relay_metadata rm
+            WHERE rm.relay_url = rr.url AND rm.nip11_success = true
+            ORDER BY rm.generated_at DESC
+            LIMIT 1
+        ) nip11 ON true
+        WHERE (rr.current_status = true OR rr.current_status IS NULL)  -- Include relays without status
+          -- Minimum scores of the threat level, components without a threshold are not checked
+          AND (thresholds->>'overall' IS NULL OR COALESCE(rr.overall_score, 0) > (thresholds->>'overall')::NUMERIC)
+          AND (thresholds->>'privacy' IS NULL OR COALESCE(rr.privacy_score, 0) > (thresholds->>'privacy')::NUMERIC)
+          AND (thresholds->>'reliability' IS NULL OR COALESCE(rr.reliability_score, 0) > (thresholds->>'reliability')::NUMERIC)
+          AND (thresholds->>'performance' IS NULL OR COALESCE(rr.performance_score, 0) > (thresholds->>'performance')::NUMERIC)
+          AND (thresholds->>'diversity' IS NULL OR COALESCE(rr.diversity_score, 0) > (thresholds->>'diversity')::NUMERIC)
+          -- Hard constraints; a relay whose NIP-11 document or RTT is unknown cannot prove it meets them
+          AND (constraints->'require_nips' IS NULL OR COALESCE(nip11.supported_nips, '[]'::JSONB) @> (constraints->'require_nips'))
+          AND (NOT COALESCE((constraints->>'no_auth')::BOOLEAN, false)
+               OR (nip11.found AND COALESCE(nip11.limitation->>'auth_required', 'false') = 'false'))
+          AND (NOT COALESCE((constraints->>'no_payment')::BOOLEAN, false)
+               OR (nip11.found AND COALESCE(nip11.limitation->>'payment_required', 'false') = 'false'))
+          AND (constraints->>'max_rtt_ms' IS NULL OR rr.avg_rtt_read <= (constraints->>'max_rtt_ms')::NUMERIC)
+    ),
+    endpoints AS (
+        SELECT
+            sr.*,
+            sr.threat_adjusted_score + sr.following_bonus +
+                CASE WHEN sr.endpoint_network IN ('tor', 'i2p') THEN onion_weight ELSE 0 END as total_score
+        FROM scored_relays sr
+        WHERE (network_preference = 'mixed' OR sr.endpoint_network = network_preference)
+          AND (NOT tor_only OR sr.endpoint_network = 'tor')
+    ),
+    unique_endpoints AS (
+        -- An onion relay can show up itself and as the mirror of its clearnet twin, keep the better one
+        SELECT DISTINCT ON (e.endpoint_url) e.*
+        FROM endpoints e
+        ORDER BY e.endpoint_url, e.total_score DESC
     )
     SELECT 
-        sr.url,
-        CAST(sr.threat_adjusted_score + sr.following_bonus AS NUMERIC(10,2)) as overall_score,
+        sr.endpoint_url,
+        CAST(sr.total_score AS NUMERIC(10,2)) as overall_score,
         CAST(COALESCE(sr.privacy_score, 0) AS NUMERIC(10,2)) as privacy_score,
         CAST(COALESCE(sr.reliability_score, 0) AS NUMERIC(10,2)) as reliability_score,
         sr.following_users_count,
@@ -91,6 +171,8 @@ BEGIN
         
         -- Generate reasoning
         CASE 
+            WHEN sr.endpoint_url <> sr.url THEN
+                format('Onion mirror of %s, same operator reached over Tor', sr.url)
             WHEN sr.following_users_count > 5 THEN 
                 format('High quality relay used by %s of your followed users', sr.following_users_count)
             WHEN COALESCE(sr.privacy_score, 0) > 8.0 THEN 
@@ -101,15 +183,19 @@ BEGIN
                 'Good network diversity with quality publishers'
             ELSE 
                 'Solid overall performance across all metrics'
-        END as reasoning
+        END as reasoning,
+
+        sr.endpoint_network,
+        CASE WHEN sr.endpoint_url <> sr.url THEN sr.url END as mirror_of
         
-    FROM scored_relays sr
-    ORDER BY (sr.threat_adjusted_score + sr.following_bonus) DESC
+    FROM unique_endpoints sr
+    ORDER BY sr.total_score DESC
     LIMIT max_results;
 END;
 $$ LANGUAGE plpgsql;
 
 -- 2. Analyze user's current relay setup
+-- Relay URLs are compared lowercased and without a trailing slash on both sides, as the DVM submits them
 CREATE OR REPLACE FUNCTION analyze_user_current_relays(
     user_pubkey TEXT,
     current_relays TEXT[] DEFAULT NULL
@@ -123,35 +209,44 @@ BEGIN
     -- If no current relays provided, try to infer from user's events
     IF current_relays IS NULL THEN
         current_relays := ARRAY(
-            SELECT DISTINCT er.relay_url
+            SELECT er.relay_url
             FROM events e
             JOIN events_relays er ON e.id = er.event_id
             WHERE e.pubkey = user_pubkey
-            ORDER BY er.seen_at DESC
+            GROUP BY er.relay_url
+            ORDER BY MAX(er.seen_at) DESC
             LIMIT 10
         );
     END IF;
+
+    current_relays := ARRAY(SELECT DISTINCT rtrim(lower(url), '/') FROM unnest(current_relays) cr(url));
     
     RETURN QUERY
     -- Coverage analysis
-    WITH user_following AS (
-        SELECT DISTINCT (tag->>1)::TEXT as followed_pubkey
-        FROM events e,
-             jsonb_array_elements(e.tags) as tag
+    WITH latest_contacts AS (
+        -- Only the most recent contact list reflects who the user follows now
+        SELECT e.tags
+        FROM events e
         WHERE e.pubkey = user_pubkey 
           AND e.kind = 3
-          AND tag->>0 = 'p'
         ORDER BY e.created_at DESC
+        LIMIT 1
+    ),
+    user_following AS (
+        SELECT DISTINCT (tag->>1)::TEXT as followed_pubkey
+        FROM latest_contacts lc,
+             jsonb_array_elements(lc.tags) as tag
+        WHERE tag->>0 = 'p'
         LIMIT 500
     ),
     coverage_stats AS (
         SELECT 
             COUNT(DISTINCT uf.followed_pubkey) as total_following,
             COUNT(DISTINCT CASE 
-                WHEN rpw.relay_url = ANY(current_relays) THEN uf.followed_pubkey 
+                WHEN rtrim(lower(rpw.relay_url), '/') = ANY(current_relays) THEN uf.followed_pubkey 
             END) as covered_following,
             COUNT(DISTINCT CASE 
-                WHEN rpw.relay_url != ALL(current_relays) THEN uf.followed_pubkey 
+                WHEN rtrim(lower(rpw.relay_url), '/') != ALL(current_relays) THEN uf.followed_pubkey 
             END) as uncovered_following
         FROM user_following uf
         LEFT JOIN relay_publisher_weights rpw ON uf.followed_pubkey = rpw.pubkey
@@ -187,7 +282,7 @@ BEGIN
             ELSE 'Good privacy-focused relay selection'
         END::TEXT
     FROM unnest(current_relays) ur(relay_url)
-    JOIN relay_quality_scores rqs ON ur.relay_url = rqs.url
+    JOIN relay_quality_scores rqs ON ur.relay_url = rtrim(lower(rqs.url), '/')
     
     UNION ALL
     
@@ -201,7 +296,7 @@ BEGIN
             ELSE 'Excellent reliability across your relays'
         END::TEXT
     FROM unnest(current_relays) ur(relay_url)
-    JOIN relay_quality_scores rqs ON ur.relay_url = rqs.url
+    JOIN relay_quality_scores rqs ON ur.relay_url = rtrim(lower(rqs.url), '/')
     
     UNION ALL
     
@@ -219,138 +314,351 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- 3. Get discovery recommendations (relays with quality content user doesn't follow)
+-- 3. Get discovery recommendations (relays where the user's follows publish but the user doesn't read)
+-- Replaces the old global get_discovery_relays(INT), which ignored the requester entirely
+DROP FUNCTION IF EXISTS get_discovery_relays(INT);
+
 CREATE OR REPLACE FUNCTION get_discovery_relays(
+    user_pubkey TEXT,
+    current_relays TEXT[] DEFAULT ARRAY[]::TEXT[],
+    use_case TEXT DEFAULT 'social',
     max_results INT DEFAULT 5
 ) RETURNS TABLE(
     relay_url TEXT,
     discovery_score NUMERIC,
-    unique_quality_publishers BIGINT,
+    followed_publishers BIGINT,
+    new_publishers BIGINT,
     avg_publisher_influence NUMERIC,
+    novelty_ratio NUMERIC,
+    from_follows BOOLEAN,
     reasoning TEXT
 ) AS $$
+DECLARE
+    normalized_relays TEXT[];
+    influence_weight NUMERIC;
+    novelty_weight NUMERIC;
+    privacy_weight NUMERIC;
 BEGIN
+    normalized_relays := ARRAY(
+        SELECT rtrim(lower(r), '/') FROM unnest(COALESCE(current_relays, ARRAY[]::TEXT[])) r
+    );
+
+    -- Use case decides how much we favour influential publishers vs. content the user can't see yet
+    SELECT w.influence, w.novelty, w.privacy
+    INTO influence_weight, novelty_weight, privacy_weight
+    FROM (
+        VALUES 
+            ('social', 1.0, 0.5, 0.1),
+            ('journalism', 0.6, 0.6, 0.5),
+            ('activism', 0.6, 0.6, 0.5),
+            ('research', 0.6, 1.0, 0.1),
+            ('development', 0.6, 1.0, 0.1),
+            ('trading', 1.0, 0.3, 0.2)
+    ) w(case_name, influence, novelty, privacy)
+    WHERE w.case_name = COALESCE(use_case, 'social');
+
+    IF NOT FOUND THEN
+        influence_weight := 1.0;
+        novelty_weight := 0.5;
+        privacy_weight := 0.2;
+    END IF;
+
     RETURN QUERY
-    WITH discovery_candidates AS (
-        SELECT 
-            rpw.relay_url,
-            COUNT(DISTINCT rpw.pubkey) as unique_publishers,
-            AVG(rpw.publisher_influence) as avg_influence
+    WITH latest_contacts AS (
+        SELECT e.tags
+        FROM events e
+        WHERE e.pubkey = user_pubkey 
+          AND e.kind = 3
+        ORDER BY e.created_at DESC
+        LIMIT 1
+    ),
+    user_following AS (
+        SELECT DISTINCT (tag->>1)::TEXT as followed_pubkey
+        FROM latest_contacts lc,
+             jsonb_array_elements(lc.tags) as tag
+        WHERE tag->>0 = 'p'
+          AND LENGTH(tag->>1) = 64
+        LIMIT 1000
+    ),
+    candidate_publishers AS (
+        -- Publishers the user follows, or quality publishers when there is no contact list
+        SELECT rpw.relay_url, rpw.pubkey, rpw.publisher_influence
         FROM relay_publisher_weights rpw
-        WHERE rpw.publisher_influence > 2.0  -- Only quality publishers
-        GROUP BY rpw.relay_url
-        HAVING COUNT(DISTINCT rpw.pubkey) >= 3  -- At least 3 quality publishers
+        JOIN user_following uf ON uf.followed_pubkey = rpw.pubkey
+        
+        UNION ALL
+        
+        SELECT rpw.relay_url, rpw.pubkey, rpw.publisher_influence
+        FROM relay_publisher_weights rpw
+        WHERE NOT EXISTS (SELECT 1 FROM user_following)
+          AND rpw.publisher_influence > 2.0
+    ),
+    covered_publishers AS (
+        -- Publishers already reachable from the user's current relays
+        SELECT DISTINCT rpw.pubkey
+        FROM relay_publisher_weights rpw
+        WHERE rtrim(lower(rpw.relay_url), '/') = ANY(normalized_relays)
+    ),
+    discovery_candidates AS (
+        SELECT 
+            cp.relay_url,
+            COUNT(DISTINCT cp.pubkey) as unique_publishers,
+            COUNT(DISTINCT cp.pubkey) FILTER (WHERE cov.pubkey IS NULL) as unseen_publishers,
+            AVG(cp.publisher_influence) as avg_influence
+        FROM candidate_publishers cp
+        LEFT JOIN covered_publishers cov ON cov.pubkey = cp.pubkey
+        WHERE rtrim(lower(cp.relay_url), '/') <> ALL(normalized_relays)
+        GROUP BY cp.relay_url
+        HAVING COUNT(DISTINCT cp.pubkey) >= CASE WHEN EXISTS (SELECT 1 FROM user_following) THEN 1 ELSE 3 END
+    ),
+    scored AS (
+        SELECT 
+            dc.*,
+            dc.unseen_publishers::NUMERIC / dc.unique_publishers as novelty,
+            (
+                influence_weight * LN(1 + dc.unique_publishers) * dc.avg_influence +
+                novelty_weight * (dc.unseen_publishers::NUMERIC / dc.unique_publishers) * 10.0 +
+                privacy_weight * COALESCE(rr.privacy_score, 0) +
+                -- Bonus for overall relay quality
+                COALESCE(rr.overall_score, 0) * 0.3
+            ) as score
+        FROM discovery_candidates dc
+        JOIN relay_recommendations rr ON dc.relay_url = rr.url
+        WHERE rr.reliability_score > 6.0  -- Only reliable relays for discovery
     )
     SELECT 
-        dc.relay_url,
-        CAST(
-            -- Score based on publisher quality and count
-            (dc.avg_influence * 2.0) + 
-            (LOG(dc.unique_publishers) * 1.5) +
-            -- Bonus for overall relay quality
-            (COALESCE(rr.overall_score, 0) * 0.3)
-        AS NUMERIC(10,2)) as discovery_score,
-        dc.unique_publishers as unique_quality_publishers,
-        CAST(dc.avg_influence AS NUMERIC(5,2)) as avg_publisher_influence,
+        s.relay_url,
+        CAST(s.score AS NUMERIC(10,2)) as discovery_score,
+        s.unique_publishers as followed_publishers,
+        s.unseen_publishers as new_publishers,
+        CAST(s.avg_influence AS NUMERIC(5,2)) as avg_publisher_influence,
+        CAST(s.novelty AS NUMERIC(5,2)) as novelty_ratio,
+        EXISTS (SELECT 1 FROM user_following) as from_follows,
         
         CASE 
-            WHEN dc.unique_publishers > 10 AND dc.avg_influence > 5.0 THEN
-                format('Hidden gem: %s high-influence publishers', dc.unique_publishers)
-            WHEN dc.avg_influence > 7.0 THEN
-                'High-influence publishers worth discovering'
-            WHEN dc.unique_publishers > 15 THEN
-                'Large community of quality publishers to explore'
+            WHEN NOT EXISTS (SELECT 1 FROM user_following) THEN
+                format('%s quality publishers for content discovery', s.unique_publishers)
+            WHEN s.unseen_publishers > 0 THEN
+                format('%s of your follows publish here, %s of them are not reachable from your current relays',
+                    s.unique_publishers, s.unseen_publishers)
             ELSE
-                'Quality publishers for content discovery'
+                format('%s of your follows publish here', s.unique_publishers)
         END as reasoning
         
-    FROM discovery_candidates dc
-    JOIN relay_recommendations rr ON dc.relay_url = rr.url
-    WHERE rr.reliability_score > 6.0  -- Only reliable relays for discovery
-    ORDER BY discovery_score DESC
+    FROM scored s
+    ORDER BY s.score DESC
     LIMIT max_results;
 END;
 $$ LANGUAGE plpgsql;
 
 -- 4. Get relay health monitoring data
-CREATE OR REPLACE FUNCTION get_relay_health_summary()
+-- Live status comes from the latest relay_metadata row per relay, long-term averages from relay_analytics
+DROP FUNCTION IF EXISTS get_relay_health_summary();
+
+CREATE OR REPLACE FUNCTION get_relay_health_summary(
+    degraded_limit INT DEFAULT 10
+)
 RETURNS JSONB AS $$
 DECLARE
     result JSONB;
+    window_start BIGINT := EXTRACT(epoch FROM NOW())::BIGINT - 86400;  -- Last 24h
 BEGIN
-    SELECT jsonb_build_object(
-        'total_relays', COUNT(*),
-        'healthy_relays', COUNT(*) FILTER (WHERE 
-            current_status = true AND 
-            uptime_percentage > 0.9 AND 
-            avg_rtt_read < 1500
+    WITH analytics_summary AS (
+        SELECT jsonb_build_object(
+            'total_relays', COUNT(*),
+            'healthy_relays', COUNT(*) FILTER (WHERE 
+                current_status = true AND 
+                uptime_percentage > 0.9 AND 
+                avg_rtt_read < 1500
+            ),
+            'unhealthy_relays', COUNT(*) FILTER (WHERE 
+                current_status = false OR 
+                uptime_percentage < 0.8 OR 
+                avg_rtt_read > 2000
+            ),
+            'average_uptime', CAST(AVG(uptime_percentage * 100) AS NUMERIC(5,2)),
+            'average_latency', CAST(AVG(avg_rtt_read) AS NUMERIC(8,1))
+        ) as summary
+        FROM relay_analytics
+    ),
+    latest_checks AS (
+        SELECT DISTINCT ON (rm.relay_url)
+            rm.relay_url,
+            rm.generated_at,
+            rm.connection_success,
+            rm.nip11_success,
+            rm.rtt_read
+        FROM relay_metadata rm
+        ORDER BY rm.relay_url, rm.generated_at DESC
+    ),
+    relay_status AS (
+        -- Relays that were never checked keep NULL status
+        SELECT r.url, r.network, lc.generated_at, lc.connection_success, lc.nip11_success, lc.rtt_read
+        FROM relays r
+        LEFT JOIN latest_checks lc ON lc.relay_url = r.url
+    ),
+    network_stats AS (
+        SELECT 
+            rs.network,
+            jsonb_build_object(
+                'total', COUNT(*),
+                'online', COUNT(*) FILTER (WHERE rs.connection_success = true),
+                'offline', COUNT(*) FILTER (WHERE rs.connection_success = false),
+                'median_rtt', CAST(
+                    percentile_cont(0.5) WITHIN GROUP (ORDER BY rs.rtt_read)
+                        FILTER (WHERE rs.connection_success = true)
+                    AS NUMERIC(8,1))
+            ) as stats
+        FROM relay_status rs
+        GROUP BY rs.network
+    ),
+    recent_checks AS (
+        SELECT 
+            rm.relay_url,
+            COUNT(*) as checks,
+            COUNT(*) FILTER (WHERE NOT rm.connection_success) as failed_checks,
+            AVG(CASE WHEN rm.connection_success THEN 1.0 ELSE 0.0 END) as uptime_24h,
+            AVG(rm.rtt_read) FILTER (WHERE rm.connection_success) as avg_rtt_24h
+        FROM relay_metadata rm
+        WHERE rm.generated_at >= window_start
+        GROUP BY rm.relay_url
+    ),
+    degraded AS (
+        -- Relays doing worse in the last 24h than their long-term average
+        SELECT 
+            rc.relay_url,
+            rc.checks,
+            rc.failed_checks,
+            rc.uptime_24h,
+            ra.uptime_percentage,
+            rc.avg_rtt_24h,
+            ra.avg_rtt_read,
+            COALESCE(ra.uptime_percentage, 1.0) - rc.uptime_24h as uptime_drop
+        FROM recent_checks rc
+        LEFT JOIN relay_analytics ra ON ra.url = rc.relay_url
+        WHERE rc.uptime_24h < COALESCE(ra.uptime_percentage, 1.0)
+           OR rc.avg_rtt_24h > ra.avg_rtt_read * 1.5
+        ORDER BY uptime_drop DESC, rc.avg_rtt_24h / NULLIF(ra.avg_rtt_read, 0) DESC NULLS LAST
+        LIMIT degraded_limit
+    )
+    SELECT (SELECT summary FROM analytics_summary) || jsonb_build_object(
+        'online_relays', COUNT(*) FILTER (WHERE rs.connection_success = true),
+        'offline_relays', COUNT(*) FILTER (WHERE rs.connection_success = false),
+        'unchecked_relays', COUNT(*) FILTER (WHERE rs.connection_success IS NULL),
+        'rtt_percentiles', jsonb_build_object(
+            'p50', CAST(percentile_cont(0.50) WITHIN GROUP (ORDER BY rs.rtt_read) FILTER (WHERE rs.connection_success = true) AS NUMERIC(8,1)),
+            'p90', CAST(percentile_cont(0.90) WITHIN GROUP (ORDER BY rs.rtt_read) FILTER (WHERE rs.connection_success = true) AS NUMERIC(8,1)),
+            'p99', CAST(percentile_cont(0.99) WITHIN GROUP (ORDER BY rs.rtt_read) FILTER (WHERE rs.connection_success = true) AS NUMERIC(8,1))
         ),
-        'unhealthy_relays', COUNT(*) FILTER (WHERE 
-            current_status = false OR 
-            uptime_percentage < 0.8 OR 
-            avg_rtt_read > 2000
+        'networks', COALESCE((SELECT jsonb_object_agg(ns.network, ns.stats) FROM network_stats ns), '{}'::JSONB),
+        'nip11_coverage', jsonb_build_object(
+            'with_nip11', COUNT(*) FILTER (WHERE rs.nip11_success = true),
+            'percentage', CAST(
+                COUNT(*) FILTER (WHERE rs.nip11_success = true) * 100.0 /
+                NULLIF(COUNT(*) FILTER (WHERE rs.nip11_success IS NOT NULL), 0)
+            AS NUMERIC(5,2))
         ),
-        'average_uptime', CAST(AVG(uptime_percentage * 100) AS NUMERIC(5,2)),
-        'average_latency', CAST(AVG(avg_rtt_read) AS NUMERIC(8,1))
+        'degraded_relays', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'url', d.relay_url,
+                'checks_24h', d.checks,
+                'failed_checks_24h', d.failed_checks,
+                'uptime_24h', CAST(d.uptime_24h * 100 AS NUMERIC(5,2)),
+                'uptime_all_time', CAST(d.uptime_percentage * 100 AS NUMERIC(5,2)),
+                'avg_rtt_24h', CAST(d.avg_rtt_24h AS NUMERIC(8,1)),
+                'avg_rtt_all_time', CAST(d.avg_rtt_read AS NUMERIC(8,1))
+            ) ORDER BY d.uptime_drop DESC)
+            FROM degraded d
+        ), '[]'::JSONB),
+        'trends', COALESCE((
+            SELECT jsonb_object_agg(t.trend, t.relays)
+            FROM (SELECT rrw.trend, COUNT(*) as relays FROM relay_reliability_windows rrw GROUP BY rrw.trend) t
+        ), '{}'::JSONB),
+        'latest_check_at', MAX(rs.generated_at),
+        'window_start', window_start
     ) INTO result
-    FROM relay_analytics;
+    FROM relay_status rs;
     
     RETURN result;
 END;
 $$ LANGUAGE plpgsql;
 
 -- 5. Generate relay rotation strategy
+-- Splits the day into slots of rotation_hours and gives each slot its own relay set,
+-- so a high-threat user doesn't present the same (fingerprintable) relay set all day
+DROP FUNCTION IF EXISTS generate_relay_rotation_strategy(TEXT, TEXT[], INT);
+
 CREATE OR REPLACE FUNCTION generate_relay_rotation_strategy(
     user_pubkey TEXT,
     current_relays TEXT[] DEFAULT ARRAY[]::TEXT[],
-    rotation_hours INT DEFAULT 6
+    rotation_hours INT DEFAULT 6,
+    relays_per_slot INT DEFAULT 4
 ) RETURNS TABLE(
+    slot_index INT,
+    start_hour INT,
+    end_hour INT,
     time_slot TEXT,
     recommended_relays TEXT[],
     strategy_reason TEXT
 ) AS $$
+DECLARE
+    slot_count INT;
 BEGIN
+    IF rotation_hours < 1 OR rotation_hours > 24 THEN
+        RAISE EXCEPTION 'rotation_hours must be between 1 and 24, got %', rotation_hours;
+    END IF;
+
+    slot_count := CEIL(24.0 / rotation_hours)::INT;
+
     RETURN QUERY
-    WITH rotation_pools AS (
-        -- Create different pools of relays for rotation
-        SELECT 
-            rr.url,
-            rr.overall_score,
-            rr.privacy_score,
-            rr.performance_score,
-            rr.reliability_score,
-            CASE 
-                WHEN rr.privacy_score > 8.0 THEN 'high_privacy'
-                WHEN rr.performance_score > 8.0 THEN 'high_performance'  
-                WHEN rr.reliability_score > 8.0 THEN 'high_reliability'
-                ELSE 'balanced'
-            END as pool_type,
-            -- Assign to time slots based on characteristics
-            CASE 
-                WHEN rr.privacy_score > 8.0 THEN 1  -- Night hours (high privacy)
-                WHEN rr.performance_score > 8.0 THEN 2  -- Day hours (high performance)
-                WHEN rr.reliability_score > 8.0 THEN 3  -- Evening hours (high reliability)
-                ELSE 0  -- Any time (balanced)
-            END as preferred_slot
+    WITH top_relays AS (
+        -- Best online relays, excluding the set the user is already known to use
+        SELECT rr.url
         FROM relay_recommendations rr
         WHERE rr.overall_score > 6.0
+          AND rr.current_status IS DISTINCT FROM false
+          AND rtrim(lower(rr.url), '/') <> ALL(
+              ARRAY(SELECT rtrim(lower(c), '/') FROM unnest(COALESCE(current_relays, ARRAY[]::TEXT[])) c)
+          )
+        ORDER BY rr.overall_score DESC
+        LIMIT relays_per_slot * slot_count
+    ),
+    rotation_pool AS (
+        -- Ordering by a per-user hash keeps the schedule stable for one user but different across users
+        SELECT 
+            (ROW_NUMBER() OVER (ORDER BY md5(user_pubkey || tr.url)) - 1)::INT as position,
+            tr.url
+        FROM top_relays tr
+    ),
+    pool_stats AS (
+        SELECT COUNT(*)::INT as pool_size FROM rotation_pool
     )
     SELECT 
-        slot.time_description,
+        s.idx,
+        s.idx * rotation_hours,
+        LEAST((s.idx + 1) * rotation_hours, 24),
+        format('%s:00-%s:00',
+            lpad((s.idx * rotation_hours)::TEXT, 2, '0'),
+            lpad(LEAST((s.idx + 1) * rotation_hours, 24)::TEXT, 2, '0')
+        ),
         ARRAY(
-            SELECT rp.url 
-            FROM rotation_pools rp 
-            WHERE rp.preferred_slot = slot.slot_id OR rp.preferred_slot = 0
-            ORDER BY rp.overall_score DESC 
-            LIMIT 4
-        ) as recommended_relays,
-        slot.strategy_reason
-    FROM (
-        VALUES 
-            (1, '00:00-06:00 (Night)', 'High privacy focus for sensitive hours'),
-            (2, '06:00-18:00 (Day)', 'High performance for active usage'),
-            (3, '18:00-00:00 (Evening)', 'High reliability for consistent access')
-    ) slot(slot_id, time_description, strategy_reason);
+            -- Consecutive window of the pool, shifted by one slot's worth of relays each time
+            SELECT rp.url
+            FROM rotation_pool rp
+            WHERE ((rp.position - s.idx * relays_per_slot) % ps.pool_size + ps.pool_size) % ps.pool_size < relays_per_slot
+            ORDER BY ((rp.position - s.idx * relays_per_slot) % ps.pool_size + ps.pool_size) % ps.pool_size
+        ),
+        CASE 
+            WHEN ps.pool_size = 0 THEN
+                'No eligible relays outside your current set'
+            WHEN ps.pool_size >= relays_per_slot * slot_count THEN
+                'Relay set shares no relays with any other slot'
+            ELSE
+                format('Only %s eligible relays, some relays repeat across slots', ps.pool_size)
+        END
+    FROM generate_series(0, slot_count - 1) s(idx)
+    CROSS JOIN pool_stats ps
+    ORDER BY s.idx;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -359,18 +667,770 @@ CREATE INDEX IF NOT EXISTS idx_events_pubkey_kind_created ON events(pubkey, kind
 CREATE INDEX IF NOT EXISTS idx_events_relays_seen_at_desc ON events_relays(seen_at DESC);
 CREATE INDEX IF NOT EXISTS idx_relay_publisher_weights_composite ON relay_publisher_weights(relay_url, publisher_influence DESC);
 
--- 7. Utility function to refresh all analytics (run periodically)
-CREATE OR REPLACE FUNCTION refresh_relay_analytics() RETURNS VOID AS $$
+-- 7. Incremental analytics refresh (run periodically, the DVM schedules it from
+-- src/dvm/analytics-refresh.js). Folds the events_relays and relay_metadata rows newer than the
+-- watermarks in analytics_watermarks into relay_analytics, publisher_influence and
+-- relay_publisher_weights in place and recomputes the quality scores of the relays that changed.
+-- The materialized views are refreshed CONCURRENTLY by the caller outside this transaction:
+-- relay_reliability_windows before (reliability_score reads it), relay_recommendations and
+-- relay_onion_mirrors after. Every run re-scans `lag_seconds` below the watermarks and skips the
+-- rows it already counted (analytics_counted_sightings / analytics_counted_checks), so rows that
+-- arrive late or out of order are still counted unless their timestamp is older than that.
+-- Returns what it did as JSON.
+DROP FUNCTION IF EXISTS refresh_relay_analytics();
+DROP FUNCTION IF EXISTS refresh_relay_analytics(INTEGER);
+
+CREATE OR REPLACE FUNCTION refresh_relay_analytics(
+    lag_seconds INTEGER DEFAULT 3600
+) RETURNS JSONB AS $$
+DECLARE
+    started_at TIMESTAMPTZ := clock_timestamp();
+    now_epoch BIGINT := EXTRACT(epoch FROM NOW())::BIGINT;
+    first_run BOOLEAN := false;
+    events_from BIGINT;
+    events_to BIGINT;
+    checks_from BIGINT;
+    checks_to BIGINT;
+    sightings_count BIGINT;
+    late_sightings_count BIGINT;
+    checks_count BIGINT;
+    late_checks_count BIGINT;
+    new_relay_urls TEXT[];
+    rescored_relay_urls TEXT[];
+    touched_urls TEXT[];
+    new_profile_pubkeys TEXT[];
+    profiles_added INT := 0;
+    profiles_rescored INT := 0;
 BEGIN
-    -- Refresh materialized view
-    REFRESH MATERIALIZED VIEW relay_recommendations;
-    
+    -- One refresh at a time, whichever process started it
+    IF NOT pg_try_advisory_xact_lock(hashtext('refresh_relay_analytics')) THEN
+        RETURN jsonb_build_object('skipped', true, 'reason', 'Another refresh is running');
+    END IF;
+
+    SELECT aw.events_seen_at, aw.checks_generated_at INTO events_from, checks_from
+    FROM analytics_watermarks aw
+    WHERE aw.name = 'relay_analytics';
+
+    IF NOT FOUND THEN
+        -- Tables as preprocessing.sql built them: they hold every event up to the newest one they count
+        first_run := true;
+        SELECT COALESCE(MAX(ra.last_event_timestamp), 0) INTO events_from FROM relay_analytics ra;
+
+        -- Everything up to the watermark is in the tables, the overlap window must not count it again
+        TRUNCATE analytics_counted_sightings, analytics_counted_checks;
+        INSERT INTO analytics_counted_sightings (event_id, relay_url, seen_at)
+        SELECT er.event_id, er.relay_url, er.seen_at
+        FROM events_relays er
+        WHERE er.seen_at > events_from - lag_seconds AND er.seen_at <= events_from;
+    END IF;
+
+    SELECT COALESCE(MAX(er.seen_at), events_from) INTO events_to
+    FROM events_relays er
+    WHERE er.seen_at > events_from;
+
+    SELECT COALESCE(MAX(rm.generated_at), checks_from, 0) INTO checks_to
+    FROM relay_metadata rm
+    WHERE checks_from IS NULL OR rm.generated_at > checks_from;
+
+    IF checks_from IS NULL THEN
+        -- First run: count the checks behind the averages, recomputed from the same rows so they agree
+        UPDATE relay_analytics ra SET
+            checks = COALESCE(c.total, 0),
+            successful_checks = COALESCE(c.successful, 0),
+            rtt_read_checks = COALESCE(c.with_rtt, 0),
+            uptime_percentage = c.uptime,
+            avg_rtt_read = c.avg_rtt,
+            current_status = c.latest_status
+        FROM relay_analytics target
+        LEFT JOIN (
+            SELECT
+                rm.relay_url,
+                COUNT(*) as total,
+                COUNT(*) FILTER (WHERE rm.connection_success) as successful,
+                COUNT(rm.rtt_read) FILTER (WHERE rm.connection_success) as with_rtt,
+                AVG(CASE WHEN rm.connection_success THEN 1.0 ELSE 0.0 END) as uptime,
+                AVG(rm.rtt_read) FILTER (WHERE rm.connection_success) as avg_rtt,
+                (array_agg(rm.connection_success ORDER BY rm.generated_at DESC))[1] as latest_status
+            FROM relay_metadata rm
+            WHERE rm.generated_at <= checks_to
+            GROUP BY rm.relay_url
+        ) c ON c.relay_url = target.url
+        WHERE target.url = ra.url;
+
+        checks_from := checks_to;
+
+        INSERT INTO analytics_counted_checks (relay_url, generated_at)
+        SELECT rm.relay_url, rm.generated_at
+        FROM relay_metadata rm
+        WHERE rm.generated_at > checks_to - lag_seconds AND rm.generated_at <= checks_to
+        ON CONFLICT DO NOTHING;
+    END IF;
+
+    -- Relays added since the last run start from zero
+    WITH inserted AS (
+        INSERT INTO relay_analytics (
+            url, network, inserted_at, total_events, unique_publishers, event_kind_diversity,
+            active_days, events_per_day, recent_events_30d, checks, successful_checks, rtt_read_checks
+        )
+        SELECT r.url, r.network, r.inserted_at, 0, 0, 0, 0, 0, 0, 0, 0, 0
+        FROM relays r
+        WHERE NOT EXISTS (SELECT 1 FROM relay_analytics ra WHERE ra.url = r.url)
+        RETURNING url
+    )
+    SELECT array_agg(i.url) INTO new_relay_urls FROM inserted i;
+
+    -- The sightings not counted yet, late ones from the overlap window included, and whether the
+    -- event had a counted sighting anywhere: below the window everything is, inside it the ledger says
+    DROP TABLE IF EXISTS analytics_new_sightings;
+    CREATE TEMP TABLE analytics_new_sightings ON COMMIT DROP AS
+    SELECT
+        er.event_id,
+        er.relay_url,
+        er.seen_at,
+        e.pubkey::TEXT as pubkey,
+        e.kind,
+        CASE WHEN e.kind = 3 THEN e.tags END as tags,
+        NOT EXISTS (
+            SELECT 1 FROM events_relays prior
+            WHERE prior.event_id = er.event_id
+              AND (prior.seen_at <= events_from - lag_seconds OR EXISTS (
+                  SELECT 1 FROM analytics_counted_sightings cs
+                  WHERE cs.event_id = prior.event_id AND cs.relay_url = prior.relay_url
+              ))
+        ) as new_event
+    FROM events_relays er
+    JOIN events e ON e.id = er.event_id
+    WHERE er.seen_at > events_from - lag_seconds AND er.seen_at <= events_to
+      AND NOT EXISTS (
+          SELECT 1 FROM analytics_counted_sightings cs
+          WHERE cs.event_id = er.event_id AND cs.relay_url = er.relay_url
+      );
+
+    SELECT COUNT(*), COUNT(*) FILTER (WHERE ns.seen_at <= events_from)
+    INTO sightings_count, late_sightings_count
+    FROM analytics_new_sightings ns;
+
+    -- Event metrics. Publishers and kinds only count when the relay had none of them before, days
+    -- only after the last day already counted.
+    WITH batch AS (
+        SELECT ns.relay_url, COUNT(*) as events, MIN(ns.seen_at) as first_seen, MAX(ns.seen_at) as last_seen
+        FROM analytics_new_sightings ns
+        GROUP BY ns.relay_url
+    ),
+    new_days AS (
+        SELECT ns.relay_url, COUNT(DISTINCT DATE(to_timestamp(ns.seen_at))) as days
+        FROM analytics_new_sightings ns
+        JOIN relay_analytics ra ON ra.url = ns.relay_url
+        WHERE ra.last_event_timestamp IS NULL
+           OR DATE(to_timestamp(ns.seen_at)) > DATE(to_timestamp(ra.last_event_timestamp))
+        GROUP BY ns.relay_url
+    ),
+    new_kinds AS (
+        SELECT k.relay_url, COUNT(*) as kinds
+        FROM (SELECT DISTINCT ns.relay_url, ns.kind FROM analytics_new_sightings ns) k
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM events_relays er
+            JOIN events e ON e.id = er.event_id
+            WHERE er.relay_url = k.relay_url AND e.kind = k.kind
+              AND (er.seen_at <= events_from - lag_seconds OR EXISTS (
+                  SELECT 1 FROM analytics_counted_sightings cs
+                  WHERE cs.event_id = er.event_id AND cs.relay_url = er.relay_url
+              ))
+        )
+        GROUP BY k.relay_url
+    ),
+    new_publishers AS (
+        SELECT p.relay_url, COUNT(*) as publishers
+        FROM (SELECT DISTINCT ns.relay_url, ns.pubkey FROM analytics_new_sightings ns) p
+        WHERE NOT EXISTS (
+            SELECT 1 FROM relay_publisher_weights rpw
+            WHERE rpw.relay_url = p.relay_url AND rpw.pubkey = p.pubkey
+        )
+        GROUP BY p.relay_url
+    )
+    UPDATE relay_analytics ra SET
+        total_events = ra.total_events + b.events,
+        unique_publishers = ra.unique_publishers + COALESCE(np.publishers, 0),
+        event_kind_diversity = ra.event_kind_diversity + COALESCE(nk.kinds, 0),
+        first_event_timestamp = LEAST(ra.first_event_timestamp, b.first_seen),
+        last_event_timestamp = GREATEST(ra.last_event_timestamp, b.last_seen),
+        active_days = ra.active_days + COALESCE(nd.days, 0),
+        events_per_day = (ra.total_events + b.events) / GREATEST(
+            (GREATEST(ra.last_event_timestamp, b.last_seen) - LEAST(ra.first_event_timestamp, b.first_seen)) / 86400.0, 1
+        )
+    FROM batch b
+    LEFT JOIN new_days nd ON nd.relay_url = b.relay_url
+    LEFT JOIN new_kinds nk ON nk.relay_url = b.relay_url
+    LEFT JOIN new_publishers np ON np.relay_url = b.relay_url
+    WHERE ra.url = b.relay_url;
+
+    -- The 30 day window moves for every relay, not only the ones with new events
+    WITH recent AS (
+        SELECT er.relay_url, COUNT(*) as events
+        FROM events_relays er
+        WHERE er.seen_at > now_epoch - 2592000
+        GROUP BY er.relay_url
+    )
+    UPDATE relay_analytics ra
+    SET recent_events_30d = COALESCE(r.events, 0)
+    FROM relay_analytics target
+    LEFT JOIN recent r ON r.relay_url = target.url
+    WHERE target.url = ra.url
+      AND ra.recent_events_30d IS DISTINCT FROM COALESCE(r.events, 0);
+
+    -- The checks not counted yet, late ones from the overlap window included
+    DROP TABLE IF EXISTS analytics_new_checks;
+    CREATE TEMP TABLE analytics_new_checks ON COMMIT DROP AS
+    SELECT rm.relay_url, rm.generated_at, rm.connection_success, rm.rtt_read
+    FROM relay_metadata rm
+    WHERE rm.generated_at > checks_from - lag_seconds AND rm.generated_at <= checks_to
+      AND NOT EXISTS (
+          SELECT 1 FROM analytics_counted_checks cc
+          WHERE cc.relay_url = rm.relay_url AND cc.generated_at = rm.generated_at
+      );
+
+    SELECT COUNT(*) FILTER (WHERE nc.generated_at <= checks_from) INTO late_checks_count FROM analytics_new_checks nc;
+
+    -- Uptime and RTT as running averages over the check counts. The status is the newest check's,
+    -- which a late check from before it does not change.
+    WITH batch AS (
+        SELECT
+            nc.relay_url,
+            COUNT(*) as total,
+            COUNT(*) FILTER (WHERE nc.connection_success) as successful,
+            COUNT(nc.rtt_read) FILTER (WHERE nc.connection_success) as with_rtt,
+            SUM(nc.rtt_read) FILTER (WHERE nc.connection_success) as rtt_sum,
+            (
+                SELECT rm.connection_success
+                FROM relay_metadata rm
+                WHERE rm.relay_url = nc.relay_url AND rm.generated_at <= checks_to
+                ORDER BY rm.generated_at DESC
+                LIMIT 1
+            ) as latest_status
+        FROM analytics_new_checks nc
+        GROUP BY nc.relay_url
+    )
+    UPDATE relay_analytics ra SET
+        checks = COALESCE(ra.checks, 0) + b.total,
+        successful_checks = COALESCE(ra.successful_checks, 0) + b.successful,
+        rtt_read_checks = COALESCE(ra.rtt_read_checks, 0) + b.with_rtt,
+        uptime_percentage = (COALESCE(ra.successful_checks, 0) + b.successful)::NUMERIC / (COALESCE(ra.checks, 0) + b.total),
+        avg_rtt_read = CASE
+            WHEN b.with_rtt = 0 THEN ra.avg_rtt_read
+            ELSE (COALESCE(ra.avg_rtt_read * ra.rtt_read_checks, 0) + b.rtt_sum) / (COALESCE(ra.rtt_read_checks, 0) + b.with_rtt)
+        END,
+        current_status = b.latest_status
+    FROM batch b
+    WHERE ra.url = b.relay_url;
+
+    GET DIAGNOSTICS checks_count = ROW_COUNT;
+
+    -- Publishers whose influence changes: known profiles followed by a new contact list, and
+    -- profiles seen for the first time
+    DROP TABLE IF EXISTS analytics_rescored_publishers;
+    CREATE TEMP TABLE analytics_rescored_publishers (pubkey TEXT PRIMARY KEY) ON COMMIT DROP;
+
+    -- A follow is new when none of the author's contact lists seen before had it
+    WITH new_follows AS (
+        SELECT DISTINCT cl.pubkey as follower, tag->>1 as followed
+        FROM (
+            SELECT DISTINCT ON (ns.event_id) ns.event_id, ns.pubkey, ns.tags
+            FROM analytics_new_sightings ns
+            WHERE ns.kind = 3 AND ns.new_event
+        ) cl
+        CROSS JOIN LATERAL jsonb_array_elements(cl.tags) tag
+        WHERE tag->>0 = 'p'
+          AND NOT EXISTS (
+              SELECT 1
+              FROM events prior
+              WHERE prior.pubkey = cl.pubkey AND prior.kind = 3 AND prior.id <> cl.event_id
+                AND prior.tags @> jsonb_build_array(jsonb_build_array('p', tag->>1))
+                AND EXISTS (
+                    SELECT 1 FROM events_relays er
+                    WHERE er.event_id = prior.id
+                      AND (er.seen_at <= events_from - lag_seconds OR EXISTS (
+                          SELECT 1 FROM analytics_counted_sightings cs
+                          WHERE cs.event_id = er.event_id AND cs.relay_url = er.relay_url
+                      ))
+                )
+          )
+    ),
+    gained AS (
+        SELECT nf.followed, COUNT(*) as followers
+        FROM new_follows nf
+        GROUP BY nf.followed
+    ),
+    updated AS (
+        UPDATE publisher_influence pi SET
+            follower_count = pi.follower_count + g.followers,
+            influence_score = 1.0 + LOG(pi.follower_count + g.followers) * 2.0
+        FROM gained g
+        WHERE pi.pubkey = g.followed
+        RETURNING pi.pubkey
+    )
+    INSERT INTO analytics_rescored_publishers SELECT u.pubkey FROM updated u;
+
+    UPDATE publisher_influence pi
+    SET activity_score = pi.activity_score + a.events * 0.01
+    FROM (
+        SELECT ns.pubkey, COUNT(DISTINCT ns.event_id) as events
+        FROM analytics_new_sightings ns
+        WHERE ns.new_event
+        GROUP BY ns.pubkey
+    ) a
+    WHERE pi.pubkey = a.pubkey;
+
+    UPDATE publisher_influence pi
+    SET following_count = (SELECT COUNT(*) FROM jsonb_array_elements(latest.tags) tag WHERE tag->>0 = 'p')
+    FROM (
+        SELECT DISTINCT ON (e.pubkey) e.pubkey, e.tags
+        FROM events e
+        WHERE e.kind = 3
+          AND e.pubkey IN (SELECT ns.pubkey FROM analytics_new_sightings ns WHERE ns.kind = 3)
+        ORDER BY e.pubkey, e.created_at DESC
+    ) latest
+    WHERE pi.pubkey = latest.pubkey;
+
+    -- New profiles get their followers counted once, in one pass over the contact lists
+    WITH new_profiles AS (
+        INSERT INTO analytics_rescored_publishers
+        SELECT DISTINCT ns.pubkey
+        FROM analytics_new_sightings ns
+        WHERE ns.kind = 0
+          AND NOT EXISTS (SELECT 1 FROM publisher_influence pi WHERE pi.pubkey = ns.pubkey)
+        ON CONFLICT DO NOTHING
+        RETURNING pubkey
+    )
+    SELECT array_agg(np.pubkey) INTO new_profile_pubkeys FROM new_profiles np;
+
+    IF new_profile_pubkeys IS NOT NULL THEN
+        WITH followers AS (
+            SELECT tag->>1 as pubkey, COUNT(DISTINCT c.pubkey) as follower_count
+            FROM events c
+            CROSS JOIN LATERAL jsonb_array_elements(c.tags) tag
+            WHERE c.kind = 3 AND tag->>0 = 'p' AND tag->>1 = ANY(new_profile_pubkeys)
+            GROUP BY tag->>1
+        )
+        INSERT INTO publisher_influence (pubkey, follower_count, following_count, influence_score, activity_score)
+        SELECT
+            np.pubkey,
+            COALESCE(f.follower_count, 0),
+            COALESCE((
+                SELECT COUNT(*)
+                FROM jsonb_array_elements((
+                    SELECT follows.tags FROM events follows
+                    WHERE follows.pubkey = np.pubkey AND follows.kind = 3
+                    ORDER BY follows.created_at DESC
+                    LIMIT 1
+                )) tag
+                WHERE tag->>0 = 'p'
+            ), 0),
+            CASE WHEN f.follower_count > 0 THEN 1.0 + LOG(f.follower_count) * 2.0 ELSE 1.0 END,
+            (SELECT COUNT(*) * 0.01 FROM events e2 WHERE e2.pubkey = np.pubkey)
+        FROM unnest(new_profile_pubkeys) np(pubkey)
+        LEFT JOIN followers f ON f.pubkey = np.pubkey;
+
+        profiles_added := array_length(new_profile_pubkeys, 1);
+    END IF;
+
+    SELECT COUNT(*) INTO profiles_rescored FROM analytics_rescored_publishers;
+
+    -- Existing weights follow the new influence: weighted_contribution is linear in it
+    WITH scaled AS (
+        UPDATE relay_publisher_weights rpw SET
+            weighted_contribution = rpw.weighted_contribution * pi.influence_score / rpw.publisher_influence,
+            publisher_influence = pi.influence_score,
+            publisher_activity = pi.activity_score
+        FROM analytics_rescored_publishers rp
+        JOIN publisher_influence pi ON pi.pubkey = rp.pubkey
+        WHERE rpw.pubkey = rp.pubkey
+          AND rpw.publisher_influence IS DISTINCT FROM pi.influence_score
+        RETURNING rpw.relay_url
+    )
+    SELECT array_agg(DISTINCT s.relay_url) INTO rescored_relay_urls FROM scaled s;
+
+    -- New events add to the weights with the recency boost they have now
+    WITH batch AS (
+        SELECT
+            ns.relay_url,
+            ns.pubkey,
+            COUNT(*) as events,
+            SUM(CASE
+                WHEN ns.seen_at > now_epoch - 604800 THEN 0.5  -- Last week
+                WHEN ns.seen_at > now_epoch - 2592000 THEN 0.2  -- Last month
+                ELSE 0.0
+            END) as recency
+        FROM analytics_new_sightings ns
+        GROUP BY ns.relay_url, ns.pubkey
+    ),
+    updated AS (
+        UPDATE relay_publisher_weights rpw SET
+            event_count = rpw.event_count + b.events,
+            weighted_contribution = rpw.weighted_contribution + rpw.publisher_influence * (b.events + b.recency)
+        FROM batch b
+        WHERE rpw.relay_url = b.relay_url AND rpw.pubkey = b.pubkey
+        RETURNING rpw.relay_url, rpw.pubkey
+    )
+    INSERT INTO relay_publisher_weights (relay_url, pubkey, event_count, publisher_influence, publisher_activity, weighted_contribution)
+    SELECT
+        b.relay_url,
+        b.pubkey,
+        b.events,
+        COALESCE(pi.influence_score, 1.0),
+        COALESCE(pi.activity_score, 0.1),
+        COALESCE(pi.influence_score, 1.0) * (b.events + b.recency)
+    FROM batch b
+    LEFT JOIN publisher_influence pi ON pi.pubkey = b.pubkey
+    WHERE NOT EXISTS (SELECT 1 FROM updated u WHERE u.relay_url = b.relay_url AND u.pubkey = b.pubkey);
+
+    -- Quality scores of the relays whose inputs changed (all of them on the first run)
+    IF first_run THEN
+        SELECT array_agg(ra.url) INTO touched_urls FROM relay_analytics ra;
+    ELSE
+        SELECT array_agg(DISTINCT t.url) INTO touched_urls
+        FROM (
+            SELECT ns.relay_url as url FROM analytics_new_sightings ns
+            UNION
+            SELECT nc.relay_url FROM analytics_new_checks nc
+            UNION
+            SELECT unnest(new_relay_urls)
+            UNION
+            SELECT unnest(rescored_relay_urls)
+        ) t;
+    END IF;
+
+    DELETE FROM relay_quality_scores rqs WHERE rqs.url = ANY(touched_urls);
+    INSERT INTO relay_quality_scores
+    SELECT * FROM relay_quality_scores_live live WHERE live.url = ANY(touched_urls);
+
+    -- Reliability decays for every relay: a check's weight halves every 7 days
+    UPDATE relay_quality_scores rqs
+    SET reliability_score = rrw.weighted_uptime * 10.0
+    FROM relay_reliability_windows rrw
+    WHERE rrw.url = rqs.url
+      AND rrw.weighted_uptime IS NOT NULL;
+
+    -- Remember what this run counted while it is inside the next run's overlap window
+    INSERT INTO analytics_counted_sightings (event_id, relay_url, seen_at)
+    SELECT ns.event_id, ns.relay_url, ns.seen_at FROM analytics_new_sightings ns
+    ON CONFLICT DO NOTHING;
+    INSERT INTO analytics_counted_checks (relay_url, generated_at)
+    SELECT nc.relay_url, nc.generated_at FROM analytics_new_checks nc
+    ON CONFLICT DO NOTHING;
+    DELETE FROM analytics_counted_sightings cs WHERE cs.seen_at <= events_to - lag_seconds;
+    DELETE FROM analytics_counted_checks cc WHERE cc.generated_at <= checks_to - lag_seconds;
+
+    INSERT INTO analytics_watermarks (name, events_seen_at, checks_generated_at, updated_at)
+    VALUES ('relay_analytics', events_to, checks_to, now_epoch)
+    ON CONFLICT (name) DO UPDATE SET
+        events_seen_at = EXCLUDED.events_seen_at,
+        checks_generated_at = EXCLUDED.checks_generated_at,
+        updated_at = EXCLUDED.updated_at;
+
     -- Update any cached statistics
     ANALYZE relay_analytics;
     ANALYZE publisher_influence;
     ANALYZE relay_publisher_weights;
     ANALYZE relay_quality_scores;
-    
-    RAISE NOTICE 'Relay analytics refreshed successfully';
+
+    RETURN jsonb_build_object(
+        'skipped', false,
+        'first_run', first_run,
+        'events_seen_at', jsonb_build_object('from', events_from, 'to', events_to),
+        'checks_generated_at', jsonb_build_object('from', checks_from, 'to', checks_to),
+        'sightings', sightings_count,
+        'late_sightings', late_sightings_count,
+        'relays_checked', checks_count,
+        'late_checks', late_checks_count,
+        'new_relays', COALESCE(array_length(new_relay_urls, 1), 0),
+        'new_profiles', profiles_added,
+        'rescored_publishers', profiles_rescored,
+        'rescored_relays', COALESCE(array_length(touched_urls, 1), 0),
+        'duration_ms', ROUND(EXTRACT(epoch FROM clock_timestamp() - started_at) * 1000)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 8. Score an explicit list of relays (used by analyze mode)
+-- Unknown relays are still returned (known = false) so the caller can flag them
+DROP FUNCTION IF EXISTS get_relay_scores(TEXT[]);
+
+CREATE OR REPLACE FUNCTION get_relay_scores(
+    relay_urls TEXT[]
+) RETURNS TABLE(
+    relay_url TEXT,
+    known BOOLEAN,
+    current_status BOOLEAN,
+    network TEXT,
+    overall_score NUMERIC,
+    privacy_score NUMERIC,
+    reliability_score NUMERIC,
+    performance_score NUMERIC,
+    diversity_score NUMERIC,
+    uptime_percentage NUMERIC,
+    uptime_7d NUMERIC,
+    avg_rtt_read NUMERIC,
+    unique_publishers BIGINT,
+    trend TEXT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        ur.url,
+        ra.url IS NOT NULL as known,
+        ra.current_status,
+        ra.network,
+        CAST(rr.overall_score AS NUMERIC(10,2)),
+        CAST(rqs.privacy_score AS NUMERIC(10,2)),
+        CAST(rqs.reliability_score AS NUMERIC(10,2)),
+        CAST(rqs.performance_score AS NUMERIC(10,2)),
+        CAST(rqs.diversity_score AS NUMERIC(10,2)),
+        CAST(ra.uptime_percentage * 100 AS NUMERIC(5,2)),
+        CAST(rrw.uptime_7d * 100 AS NUMERIC(5,2)),
+        CAST(ra.avg_rtt_read AS NUMERIC(8,1)),
+        ra.unique_publishers,
+        rrw.trend
+    FROM unnest(relay_urls) WITH ORDINALITY ur(url, position)
+    -- Match regardless of trailing slash, relays are stored both ways
+    LEFT JOIN relay_analytics ra ON rtrim(lower(ra.url), '/') = rtrim(lower(ur.url), '/')
+    LEFT JOIN relay_quality_scores rqs ON rqs.url = ra.url
+    LEFT JOIN relay_reliability_windows rrw ON rrw.url = ra.url
+    LEFT JOIN relay_recommendations rr ON rr.url = ra.url
+    ORDER BY ur.position;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 9. What a relay adds to a set (used by the set optimizer in src/dvm/relay-set.js): whether it is
+-- online and which of the user's follows publish there. reachable_follows repeats on every row: the
+-- number of follows publishing on any known relay, what follow coverage is measured against.
+CREATE OR REPLACE FUNCTION get_relay_set_context(
+    user_pubkey TEXT,
+    relay_urls TEXT[]
+) RETURNS TABLE(
+    relay_url TEXT,
+    online BOOLEAN,
+    uptime_percentage NUMERIC,
+    followed_pubkeys TEXT[],
+    reachable_follows BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH latest_contacts AS (
+        -- Only the most recent contact list reflects who the user follows now
+        SELECT e.tags
+        FROM events e
+        WHERE e.pubkey = user_pubkey
+          AND e.kind = 3
+        ORDER BY e.created_at DESC
+        LIMIT 1
+    ),
+    user_following AS (
+        SELECT DISTINCT (tag->>1)::TEXT as followed_pubkey
+        FROM latest_contacts lc,
+             jsonb_array_elements(lc.tags) as tag
+        WHERE tag->>0 = 'p'
+          AND LENGTH(tag->>1) = 64
+        LIMIT 1000  -- Same cap as get_user_relay_recommendations
+    ),
+    reachable AS (
+        SELECT COUNT(DISTINCT uf.followed_pubkey) as total
+        FROM user_following uf
+        WHERE EXISTS (SELECT 1 FROM relay_publisher_weights rpw WHERE rpw.pubkey = uf.followed_pubkey)
+    )
+    SELECT
+        ur.url,
+        ra.current_status,
+        CAST(ra.uptime_percentage * 100 AS NUMERIC(5,2)),
+        COALESCE((
+            SELECT array_agg(DISTINCT rpw.pubkey::TEXT)
+            FROM relay_publisher_weights rpw
+            JOIN user_following uf ON uf.followed_pubkey = rpw.pubkey
+            WHERE rpw.relay_url = ra.url
+        ), ARRAY[]::TEXT[]),
+        reachable.total
+    FROM unnest(relay_urls) WITH ORDINALITY ur(url, position)
+    LEFT JOIN relay_analytics ra ON rtrim(lower(ra.url), '/') = rtrim(lower(ur.url), '/')
+    CROSS JOIN reachable
+    ORDER BY ur.position;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 10. Where each of the user's follows publishes (outbox model, used by src/dvm/outbox.js): the write
+-- relays of their latest NIP-65 relay list (kind 10002), or the relays they were seen publishing on
+-- when they have none. Follows with neither get one row with a NULL relay_url.
+CREATE OR REPLACE FUNCTION get_follow_write_relays(
+    user_pubkey TEXT
+) RETURNS TABLE(
+    followed_pubkey TEXT,
+    relay_url TEXT,
+    source TEXT
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH latest_contacts AS (
+        -- Only the most recent contact list reflects who the user follows now
+        SELECT e.tags
+        FROM events e
+        WHERE e.pubkey = user_pubkey
+          AND e.kind = 3
+        ORDER BY e.created_at DESC
+        LIMIT 1
+    ),
+    user_following AS (
+        SELECT DISTINCT (tag->>1)::TEXT as pubkey
+        FROM latest_contacts lc,
+             jsonb_array_elements(lc.tags) as tag
+        WHERE tag->>0 = 'p'
+          AND LENGTH(tag->>1) = 64
+        LIMIT 1000  -- Same cap as get_user_relay_recommendations
+    ),
+    relay_lists AS (
+        SELECT DISTINCT ON (e.pubkey) e.pubkey::TEXT as pubkey, e.tags
+        FROM events e
+        JOIN user_following uf ON uf.pubkey = e.pubkey
+        WHERE e.kind = 10002
+        ORDER BY e.pubkey, e.created_at DESC
+    ),
+    listed AS (
+        -- "r" tags without a marker are read and write relays
+        SELECT DISTINCT rl.pubkey, rtrim(lower(tag->>1), '/') as relay_url, 'nip65'::TEXT as source
+        FROM relay_lists rl,
+             jsonb_array_elements(rl.tags) as tag
+        WHERE tag->>0 = 'r'
+          AND tag->>1 ~* '^wss?://'
+          AND COALESCE(tag->>2, 'write') <> 'read'
+    ),
+    observed AS (
+        SELECT DISTINCT rpw.pubkey::TEXT as pubkey, rtrim(lower(rpw.relay_url), '/') as relay_url, 'observed'::TEXT as source
+        FROM relay_publisher_weights rpw
+        JOIN user_following uf ON uf.pubkey = rpw.pubkey
+        WHERE NOT EXISTS (SELECT 1 FROM listed l WHERE l.pubkey = rpw.pubkey)
+    )
+    SELECT l.pubkey, l.relay_url, l.source FROM listed l
+    UNION ALL
+    SELECT o.pubkey, o.relay_url, o.source FROM observed o
+    UNION ALL
+    SELECT uf.pubkey, NULL, 'none'
+    FROM user_following uf
+    WHERE NOT EXISTS (SELECT 1 FROM listed l WHERE l.pubkey = uf.pubkey)
+      AND NOT EXISTS (SELECT 1 FROM observed o WHERE o.pubkey = uf.pubkey);
 END;
-$$ LANGUAGE plpgsql;
\ No newline at end of file
+$$ LANGUAGE plpgsql;
+
+-- 11. What each relay of a set can learn about the user (privacy exposure report in analyze mode):
+-- whether it holds the user's latest contact list (the whole follow graph), how many of the user's
+-- events and direct messages (kind 4, gift wraps) it stores, whether it stores DMs at all and what
+-- its latest NIP-11 document says about AUTH. user_events_total repeats on every row.
+CREATE OR REPLACE FUNCTION get_relay_exposure(
+    user_pubkey TEXT,
+    relay_urls TEXT[]
+) RETURNS TABLE(
+    relay_url TEXT,
+    known BOOLEAN,
+    holds_contact_list BOOLEAN,
+    user_events BIGINT,
+    user_events_total BIGINT,
+    dm_events BIGINT,
+    stores_dms BOOLEAN,
+    auth_required BOOLEAN,
+    supports_auth BOOLEAN
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH latest_contact_list AS (
+        SELECT e.id
+        FROM events e
+        WHERE e.pubkey = user_pubkey
+          AND e.kind = 3
+        ORDER BY e.created_at DESC
+        LIMIT 1
+    ),
+    user_events_seen AS (
+        SELECT rtrim(lower(er.relay_url), '/') as url, COUNT(DISTINCT er.event_id) as events
+        FROM events e
+        JOIN events_relays er ON er.event_id = e.id
+        WHERE e.pubkey = user_pubkey
+        GROUP BY rtrim(lower(er.relay_url), '/')
+    ),
+    user_dms AS (
+        -- Sent or received; gift wraps carry a random author, so only the p tag names the user
+        SELECT e.id
+        FROM events e
+        WHERE e.kind IN (4, 1059)
+          AND (e.pubkey = user_pubkey OR e.tags @> jsonb_build_array(jsonb_build_array('p', user_pubkey)))
+    )
+    SELECT
+        ur.url,
+        r.url IS NOT NULL,
+        EXISTS (
+            SELECT 1
+            FROM events_relays er
+            JOIN latest_contact_list lcl ON lcl.id = er.event_id
+            WHERE er.relay_url = r.url
+        ),
+        COALESCE(ues.events, 0),
+        (SELECT COUNT(*) FROM events e WHERE e.pubkey = user_pubkey AND EXISTS (SELECT 1 FROM events_relays er WHERE er.event_id = e.id)),
+        (
+            SELECT COUNT(DISTINCT er.event_id)
+            FROM events_relays er
+            JOIN user_dms ud ON ud.id = er.event_id
+            WHERE er.relay_url = r.url
+        ),
+        EXISTS (
+            SELECT 1
+            FROM events_relays er
+            JOIN events e ON e.id = er.event_id
+            WHERE er.relay_url = r.url
+              AND e.kind IN (4, 1059)
+        ),
+        (nip11.limitation->>'auth_required')::BOOLEAN,
+        CASE WHEN nip11.found THEN COALESCE(nip11.supported_nips, '[]'::JSONB) @> '[42]'::JSONB END
+    FROM unnest(relay_urls) WITH ORDINALITY ur(url, position)
+    -- Match regardless of trailing slash, relays are stored both ways
+    LEFT JOIN relays r ON rtrim(lower(r.url), '/') = rtrim(lower(ur.url), '/')
+    LEFT JOIN user_events_seen ues ON ues.url = rtrim(lower(ur.url), '/')
+    LEFT JOIN LATERAL (
+        SELECT true AS found, rm.supported_nips, rm.limitation
+        FROM relay_metadata rm
+        WHERE rm.relay_url = r.url AND rm.nip11_success = true
+        ORDER BY rm.generated_at DESC
+        LIMIT 1
+    ) nip11 ON true
+    ORDER BY ur.position;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 12. Uptime and RTT of one relay per time bucket since a timestamp (charted through
+-- /api/relays/timeseries, see src/dvm/reliability.js). Buckets without checks are left out.
+-- target_urls are the spellings of the relay's URL, compared as stored so the index is used.
+DROP FUNCTION IF EXISTS get_relay_timeseries(TEXT, BIGINT, INT);
+
+CREATE OR REPLACE FUNCTION get_relay_timeseries(
+    target_urls TEXT[],
+    since BIGINT,
+    bucket_seconds INT
+) RETURNS TABLE(
+    bucket_start BIGINT,
+    checks BIGINT,
+    uptime NUMERIC,
+    avg_rtt_open NUMERIC,
+    avg_rtt_read NUMERIC,
+    avg_rtt_write NUMERIC
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        (rm.generated_at / bucket_seconds) * bucket_seconds as bucket,
+        COUNT(*),
+        CAST(AVG(CASE WHEN rm.connection_success THEN 100.0 ELSE 0.0 END) AS NUMERIC(5,2)),
+        CAST(AVG(rm.rtt_open) FILTER (WHERE rm.connection_success) AS NUMERIC(8,1)),
+        CAST(AVG(rm.rtt_read) FILTER (WHERE rm.connection_success) AS NUMERIC(8,1)),
+        CAST(AVG(rm.rtt_write) FILTER (WHERE rm.connection_success) AS NUMERIC(8,1))
+    FROM relay_metadata rm
+    WHERE rm.relay_url = ANY(target_urls)
+      AND rm.generated_at >= since
+    GROUP BY bucket
+    ORDER BY bucket;
+END;
+$$ LANGUAGE plpgsql;
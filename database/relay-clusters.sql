@@ -0,0 +1,20 @@
+-- relay-clusters.sql
+-- Who runs each relay and where: operator clusters from shared NIP-11 pubkey/contact, the software it
+-- runs and its IPv4 address, ASN and country from a local ip2asn database. Written by
+-- `npm run clusters` (src/scripts/build-relay-clusters.js), read when the DVM builds relay sets.
+
+CREATE TABLE IF NOT EXISTS relay_clusters (
+    url TEXT PRIMARY KEY NOT NULL,                                          -- Relay URL as in relays.url
+    operator_cluster TEXT NOT NULL,                                         -- Smallest URL among the relays linked to the same operator (the relay itself if none)
+    operator_signals JSONB NOT NULL DEFAULT '[]',                           -- NIP-11 fields that linked it to other relays: pubkey, contact
+    software TEXT,                                                          -- Relay software name from NIP-11 (e.g. strfry)
+    ip TEXT,                                                                -- Resolved IPv4 address, NULL for Tor/I2P or unresolvable hosts
+    asn INT,                                                                -- Autonomous system announcing the address
+    as_org TEXT,                                                            -- Name of that autonomous system
+    country CHAR(2),                                                        -- ISO country of the address, the relay's jurisdiction
+    updated_at BIGINT NOT NULL                                              -- When the clusters were last built
+);
+
+CREATE INDEX IF NOT EXISTS idx_relay_clusters_operator ON relay_clusters USING BTREE (operator_cluster);   -- Index on operator_cluster
+CREATE INDEX IF NOT EXISTS idx_relay_clusters_asn ON relay_clusters USING BTREE (asn);                    -- Index on asn
+CREATE INDEX IF NOT EXISTS idx_relay_clusters_country ON relay_clusters USING BTREE (country);            -- Index on country
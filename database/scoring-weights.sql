@@ -0,0 +1,18 @@
+-- scoring-weights.sql
+-- Weights relay_recommendations.overall_score is built from. The DVM and the setup scripts write the
+-- configured ones (config.scoring.quality, src/dvm/scoring.js) here before the view is (re)built.
+
+CREATE TABLE IF NOT EXISTS scoring_weights (
+    name TEXT PRIMARY KEY NOT NULL,                                         -- Weight set, currently only 'quality'
+    weights JSONB NOT NULL,                                                 -- Component name -> weight
+    updated_at BIGINT NOT NULL                                              -- Last change
+);
+
+-- Defaults, so the view can be built from plain SQL as well
+INSERT INTO scoring_weights (name, weights, updated_at)
+VALUES (
+    'quality',
+    '{"privacy": 0.25, "reliability": 0.20, "performance": 0.15, "diversity": 0.15, "activity": 0.15, "publisher_quality": 0.10}',
+    EXTRACT(EPOCH FROM NOW())::BIGINT
+)
+ON CONFLICT (name) DO NOTHING;
@@ -13,10 +13,20 @@ async function dropFunctions() {
             'DROP FUNCTION IF EXISTS get_user_relay_recommendations(TEXT, TEXT, INT, BOOLEAN)',
             'DROP FUNCTION IF EXISTS analyze_user_current_relays(TEXT, TEXT[])',
             'DROP FUNCTION IF EXISTS get_discovery_relays(TEXT, TEXT[], INT)',
+            'DROP FUNCTION IF EXISTS get_discovery_relays(TEXT, TEXT[], TEXT, INT)',
             'DROP FUNCTION IF EXISTS get_discovery_relays(INT)',
             'DROP FUNCTION IF EXISTS get_relay_health_summary()',
+            'DROP FUNCTION IF EXISTS get_relay_health_summary(INT)',
             'DROP FUNCTION IF EXISTS generate_relay_rotation_strategy(TEXT, TEXT[], INT)',
-            'DROP FUNCTION IF EXISTS refresh_relay_analytics()'
+            'DROP FUNCTION IF EXISTS generate_relay_rotation_strategy(TEXT, TEXT[], INT, INT)',
+            'DROP FUNCTION IF EXISTS refresh_relay_analytics()',
+            'DROP FUNCTION IF EXISTS refresh_relay_analytics(INTEGER)',
+            'DROP FUNCTION IF EXISTS get_relay_scores(TEXT[])',
+            'DROP FUNCTION IF EXISTS get_relay_set_context(TEXT, TEXT[])',
+            'DROP FUNCTION IF EXISTS get_follow_write_relays(TEXT)',
+            'DROP FUNCTION IF EXISTS get_relay_exposure(TEXT, TEXT[])',
+            'DROP FUNCTION IF EXISTS get_relay_timeseries(TEXT, BIGINT, INT)',
+            'DROP FUNCTION IF EXISTS get_relay_timeseries(TEXT[], BIGINT, INT)'
         ];
 
         for (const command of dropCommands) {
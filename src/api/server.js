@@ -2,9 +2,41 @@
 import express from 'express';
 import cors from 'cors';
 import config from '../dvm/config.js';
+import { getServiceInfo } from '../dvm/service-info.js';
+import { getRelayTimeseries, TIMESERIES_WINDOWS } from '../dvm/reliability.js';
+import { TokenBucket } from '../dvm/rate-limit.js';
 
 const app = express();
 
+// Idle client buckets are dropped once this many are tracked
+const MAX_TRACKED_CLIENTS = 10000;
+const MAX_RELAY_URL_LENGTH = 512;
+
+const timeseriesLimits = config.server.timeseriesRateLimit;
+const timeseriesGlobal = new TokenBucket(timeseriesLimits.global);
+const timeseriesClients = new Map();
+
+// Seconds to wait when the client or everyone together is over the limit, 0 when the request may run
+function takeTimeseriesToken(client) {
+    let bucket = timeseriesClients.get(client);
+    if (!bucket) {
+        if (timeseriesClients.size >= MAX_TRACKED_CLIENTS) {
+            for (const [key, idle] of timeseriesClients) {
+                if (idle.isFull()) timeseriesClients.delete(key);
+            }
+        }
+        bucket = new TokenBucket(timeseriesLimits.perClient);
+        timeseriesClients.set(client, bucket);
+    }
+
+    if (!bucket.take()) return bucket.retryAfter();
+    if (!timeseriesGlobal.take()) {
+        bucket.tokens += 1;
+        return timeseriesGlobal.retryAfter();
+    }
+    return 0;
+}
+
 // Enable CORS for client
 app.use(cors({
     origin: [`http://localhost:${config.server.clientPort}`, 'http://localhost:3000'],
@@ -25,26 +57,55 @@ app.get('/health', (req, res) => {
 
 // DVM info endpoint for client
 app.get('/api/dvm/info', (req, res) => {
-    res.json({
-        publicKey: config.publicKey,
-        relays: config.dvmRelays,
-        supportedRequests: ['recommend', 'analyze', 'discover', 'health'],
-        threatLevels: ['low', 'medium', 'high', 'nation-state'],
-        maxResults: config.algorithm.maxRecommendations
-    });
+    res.json(getServiceInfo(config));
 });
 
-// Start API server
-export function startApiServer() {
+// Start API server; the running DVM (if any) backs the metrics endpoint.
+// Returns the http.Server so shutdown can close it.
+export function startApiServer(dvm = null) {
     const port = config.server.port;
 
-    app.listen(port, () => {
+    // Queue depth, timeouts and other runtime counters
+    app.get('/api/dvm/metrics', (req, res) => {
+        if (!dvm) {
+            return res.status(503).json({ error: 'DVM is not running in this process' });
+        }
+        res.json(dvm.getMetrics());
+    });
+
+    // Uptime/RTT history of one relay for charts: ?url=wss://...&window=24h|7d|30d
+    app.get('/api/relays/timeseries', async (req, res) => {
+        if (!dvm) {
+            return res.status(503).json({ error: 'DVM is not running in this process' });
+        }
+
+        const { url, window = '7d' } = req.query;
+        if (typeof url !== 'string' || url.length > MAX_RELAY_URL_LENGTH || !/^wss?:\/\//i.test(url)) {
+            return res.status(400).json({ error: 'url must be a ws:// or wss:// relay URL' });
+        }
+        if (!TIMESERIES_WINDOWS[window]) {
+            return res.status(400).json({ error: `window must be one of ${Object.keys(TIMESERIES_WINDOWS).join(', ')}` });
+        }
+
+        const retryAfter = takeTimeseriesToken(req.ip);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: `Too many timeseries requests, retry in ${retryAfter}s` });
+        }
+
+        try {
+            res.json(await getRelayTimeseries(dvm.db, url, window));
+        } catch (error) {
+            console.error('Relay timeseries query failed:', error);
+            res.status(500).json({ error: 'Failed to load relay timeseries' });
+        }
+    });
+
+    return app.listen(port, () => {
         console.log(`🌐 API Server running on http://localhost:${port}`);
         console.log(`📡 DVM Public Key: ${config.publicKey}`);
         console.log(`🔗 Client can fetch DVM info from: http://localhost:${port}/api/dvm/info`);
     });
-
-    return app;
 }
 
 export default app;
\ No newline at end of file
@@ -6,8 +6,9 @@ import Navigation from './components/Navigation'
 import ConnectionPanel from './components/ConnectionPanel'
 import RequestPanel from './components/RequestPanel'
 import ResponsePanel from './components/ResponsePanel'
-import { NostrClient } from './lib/nostr-client'
+import { NostrClient, DEFAULT_RELAYS } from './lib/nostr-client'
 import { useLocalStorage } from './hooks/useLocalStorage'
+import { payWithWebln } from './hooks/useAlby'
 import toast from 'react-hot-toast'
 
 const App = () => {
@@ -34,28 +35,6 @@ const App = () => {
     }
   }, [isDark])
 
-  // Auto-fetch DVM info on app load
-  useEffect(() => {
-    const fetchDvmInfo = async () => {
-      try {
-        const response = await fetch('http://localhost:3001/api/dvm/info')
-        if (response.ok) {
-          const info = await response.json()
-          setDvmInfo(info)
-
-          // Auto-set DVM public key if not already set
-          if (!dvmPublicKey && info.publicKey) {
-            setDvmPublicKey(info.publicKey)
-          }
-        }
-      } catch (error) {
-        console.log('DVM server not available yet')
-      }
-    }
-
-    fetchDvmInfo()
-  }, [])
-
   const handleConnect = async (clientPrivateKey, dvmPubkey, signFunction = null, albyPublicKey = null) => {
     try {
       setIsConnected(false)
@@ -63,13 +42,16 @@ const App = () => {
 
       let client
 
+      // Listen where the selected DVM announced itself, fall back to the well-known relays
+      const relays = dvmInfo?.publicKey === dvmPubkey && dvmInfo.relays?.length > 0 ? dvmInfo.relays : DEFAULT_RELAYS
+
       if (signFunction && albyPublicKey) {
         // Alby connection - FIXED: Constructor arguments were in wrong order
         client = new NostrClient(dvmPubkey, {
           useAlby: true,
           signFunction: signFunction,
           privateKey: null, // Alby handles signing
-          relays: ['wss://relay.damus.io', 'wss://relay.snort.social', 'wss://nos.lol', 'wss://relay.nostr.band']
+          relays
         })
 
         // For Alby, we need to set the public key manually since we're not generating a private key
@@ -86,7 +68,7 @@ const App = () => {
         client = new NostrClient(dvmPubkey, {
           useAlby: false,
           privateKey: clientPrivateKey,
-          relays: ['wss://relay.damus.io', 'wss://relay.snort.social', 'wss://nos.lol', 'wss://relay.nostr.band']
+          relays
         })
 
         setUserPublicKey(client.publicKey)
@@ -94,25 +76,37 @@ const App = () => {
         toast.success('Connecting with private key...', { duration: 2000 })
       }
 
-      client.onResponse = (responseData, event) => {
+      client.onResponse = (responseData, event, validation) => {
         console.log('📥 Received DVM response:', responseData)
 
         const newResponse = {
           id: event.id,
           timestamp: Date.now(),
           data: responseData,
+          validation,
           requestId: currentRequest?.id
         }
 
         setResponses(prev => [newResponse, ...prev])
         setCurrentRequest(null)
 
+        if (!validation.compatible) {
+          toast.error(`Incompatible DVM version (schema ${responseData.schema_version || 'unknown'})`)
+          return
+        }
+        if (!validation.valid) {
+          toast.error('DVM sent a malformed response')
+          return
+        }
+
         // Show success toast
         const responseTypes = {
-          relay_recommendations: `Received ${responseData.recommendations?.length || 0} relay recommendations`,
-          setup_analysis: 'Analysis complete - check your privacy score',
-          discovery_recommendations: `Found ${responseData.recommendations?.length || 0} new relays to explore`,
-          health_summary: 'Network health data updated',
+          relay_recommendations: `Received ${responseData.recommendations.primary.length} relay recommendations`,
+          relay_analysis: 'Analysis complete - check your privacy score',
+          discovery_recommendations: `Found ${responseData.discoveries.length} new relays to explore`,
+          relay_health_summary: 'Network health data updated',
+          rotation_strategy: `Rotation schedule ready with ${responseData.schedule?.slots?.length || 0} slots`,
+          outbox_relays: `Relay list ready: ${responseData.relay_list?.read?.length || 0} read, ${responseData.relay_list?.write?.length || 0} write relays`,
           error: `Error: ${responseData.error}`
         }
 
@@ -123,6 +117,25 @@ const App = () => {
         }
       }
 
+      client.onFeedback = ({ status, info }) => {
+        if (status === 'processing') {
+          toast(info || 'DVM is processing your request', { duration: 2000 })
+        }
+      }
+
+      client.onPaymentRequired = async ({ amountMsats, bolt11 }) => {
+        const sats = Math.ceil(amountMsats / 1000)
+        const paying = toast.loading(`Paying ${sats} sats for this job...`)
+
+        try {
+          await payWithWebln(bolt11)
+          toast.success(`Paid ${sats} sats, the DVM will start shortly`, { id: paying })
+        } catch (error) {
+          toast.error(`Payment failed: ${error.message}`, { id: paying })
+          setCurrentRequest(null)
+        }
+      }
+
       client.onError = (error) => {
         console.error('Client error:', error)
         toast.error(`Connection error: ${error.message}`)
@@ -183,7 +196,10 @@ const App = () => {
       setCurrentRequest(null)
 
       // Send the request
-      const request = await nostrClient.sendRequest(requestData)
+      const request = await nostrClient.sendRequest({
+        ...requestData,
+        powDifficulty: dvmInfo?.publicKey === nostrClient.dvmPublicKey ? dvmInfo.limits?.minPowDifficulty : 0
+      })
       setCurrentRequest(request)
 
       // Show different toasts based on request type
@@ -191,7 +207,9 @@ const App = () => {
         recommend: 'Finding the best relays for your threat level...',
         analyze: 'Analyzing your current relay setup...',
         discover: 'Discovering new relays with quality content...',
-        health: 'Checking network health status...'
+        health: 'Checking network health status...',
+        rotate: 'Building your relay rotation schedule...',
+        outbox: 'Looking up where the people you follow publish...'
       }
 
       toast.success(requestTypes[requestData.requestType] || 'Processing your request...', {
@@ -214,6 +232,21 @@ const App = () => {
     }
   }
 
+  const handlePublishRelayList = async (template) => {
+    if (!nostrClient?.isReady()) {
+      toast.error('Please connect first')
+      return
+    }
+
+    try {
+      const { relays } = await nostrClient.publishRelayList(template)
+      toast.success(`Relay list published to ${relays} relays`)
+    } catch (error) {
+      console.error('Publishing relay list failed:', error)
+      toast.error(`Publishing failed: ${error.message}`)
+    }
+  }
+
   const handleDvmInfoUpdate = (info) => {
     setDvmInfo(info)
   }
@@ -288,6 +321,7 @@ const App = () => {
                     responses={responses}
                     currentRequest={currentRequest}
                     activeTab={activeTab}
+                    onPublishRelayList={handlePublishRelayList}
                     isDark={isDark}
                   />
                 </motion.div>
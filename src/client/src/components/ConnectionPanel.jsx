@@ -3,6 +3,7 @@ import { motion, AnimatePresence } from 'framer-motion'
 import { Key, Link, Unlink, Copy, Eye, EyeOff, RefreshCw, Wallet, Zap, ExternalLink, Loader2 } from 'lucide-react'
 import { generatePrivateKey, getPublicKey } from 'nostr-tools'
 import { useAlby } from '../hooks/useAlby'
+import { discoverDVMs } from '../lib/nostr-client'
 import toast from 'react-hot-toast'
 
 const ConnectionPanel = ({ isConnected, privateKey, dvmPublicKey, onConnect, onDisconnect, isDark, onDvmInfoUpdate }) => {
@@ -12,6 +13,7 @@ const ConnectionPanel = ({ isConnected, privateKey, dvmPublicKey, onConnect, onD
     const [isConnecting, setIsConnecting] = useState(false)
     const [connectionMethod, setConnectionMethod] = useState('alby') // 'alby' or 'manual'
     const [isDvmInfoLoading, setIsDvmInfoLoading] = useState(false)
+    const [discoveredDvms, setDiscoveredDvms] = useState([])
 
     // Alby integration
     const {
@@ -26,34 +28,38 @@ const ConnectionPanel = ({ isConnected, privateKey, dvmPublicKey, onConnect, onD
         getRelays: getAlbyRelays
     } = useAlby()
 
-    // Fetch DVM info from server
-    const fetchDvmInfo = async () => {
+    const selectDvm = (dvmInfo) => {
+        setLocalDvmPublicKey(dvmInfo.publicKey)
+        onDvmInfoUpdate?.(dvmInfo)
+    }
+
+    // Find DVMs through their NIP-89 announcements on the public relays
+    const discoverDvms = async () => {
         setIsDvmInfoLoading(true)
         try {
-            const response = await fetch('http://localhost:3001/api/dvm/info')
-            if (response.ok) {
-                const dvmInfo = await response.json()
-                setLocalDvmPublicKey(dvmInfo.publicKey)
-                onDvmInfoUpdate?.(dvmInfo)
-                toast.success('DVM info loaded from server!')
-                return dvmInfo
-            } else {
-                throw new Error('DVM server not responding')
+            const dvms = await discoverDVMs()
+            setDiscoveredDvms(dvms)
+
+            if (dvms.length === 0) {
+                toast.error('No DVM announcements found. Enter DVM public key manually.')
+                return
+            }
+
+            if (!localDvmPublicKey) {
+                selectDvm(dvms[0])
             }
+            toast.success(`Found ${dvms.length} DVM${dvms.length === 1 ? '' : 's'} via NIP-89`)
         } catch (error) {
-            console.warn('Could not fetch DVM info:', error.message)
-            toast.error('Could not connect to DVM server. Enter DVM public key manually.')
-            return null
+            console.warn('DVM discovery failed:', error.message)
+            toast.error('DVM discovery failed. Enter DVM public key manually.')
         } finally {
             setIsDvmInfoLoading(false)
         }
     }
 
-    // Auto-fetch DVM info on mount
+    // Auto-discover DVMs on mount
     useEffect(() => {
-        if (!localDvmPublicKey) {
-            fetchDvmInfo()
-        }
+        discoverDvms()
     }, [])
 
     const handleGenerateKey = () => {
@@ -409,13 +415,13 @@ const ConnectionPanel = ({ isConnected, privateKey, dvmPublicKey, onConnect, onD
                             DVM Public Key
                         </label>
                         <button
-                            onClick={fetchDvmInfo}
+                            onClick={discoverDvms}
                             disabled={isDvmInfoLoading || isConnected}
                             className={`flex items-center space-x-1 px-3 py-1 rounded-lg text-xs transition-colors ${isDark ? 'text-gray-400 hover:text-gray-300 hover:bg-dark-700' : 'text-gray-600 hover:text-gray-800 hover:bg-gray-100'
                                 } ${isDvmInfoLoading || isConnected ? 'opacity-50 cursor-not-allowed' : ''}`}
                         >
                             <Zap className={`w-3 h-3 ${isDvmInfoLoading ? 'animate-spin' : ''}`} />
-                            <span>Auto-load</span>
+                            <span>Discover</span>
                         </button>
                     </div>
 
@@ -428,9 +434,40 @@ const ConnectionPanel = ({ isConnected, privateKey, dvmPublicKey, onConnect, onD
                         className={`input-primary font-mono text-sm ${isConnected || isDvmInfoLoading ? 'opacity-50 cursor-not-allowed' : ''}`}
                     />
 
+                    {discoveredDvms.length > 0 && (
+                        <div className="space-y-2">
+                            {discoveredDvms.map((dvm) => (
+                                <button
+                                    key={dvm.publicKey}
+                                    onClick={() => selectDvm(dvm)}
+                                    disabled={isConnected}
+                                    className={`w-full text-left p-3 rounded-lg border transition-colors ${dvm.publicKey === localDvmPublicKey
+                                        ? isDark ? 'border-primary-500 bg-primary-500/10' : 'border-primary-500 bg-primary-50'
+                                        : isDark ? 'border-dark-600 hover:border-dark-500' : 'border-gray-200 hover:border-gray-300'
+                                        } ${isConnected ? 'opacity-50 cursor-not-allowed' : ''}`}
+                                >
+                                    <div className="flex items-center justify-between">
+                                        <span className="font-medium text-sm text-gray-900 dark:text-gray-100">{dvm.name}</span>
+                                        <span className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                            {Object.keys(dvm.pricing?.requests || {}).length > 0
+                                                ? `paid: ${Object.keys(dvm.pricing.requests).join(', ')}`
+                                                : 'free'}
+                                        </span>
+                                    </div>
+                                    {dvm.about && (
+                                        <p className={`text-xs mt-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>{dvm.about}</p>
+                                    )}
+                                    <p className={`text-xs mt-1 font-mono ${isDark ? 'text-gray-500' : 'text-gray-500'}`}>
+                                        {dvm.publicKey.substring(0, 16)}... • {dvm.supportedRequests.join(', ')}
+                                    </p>
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
                     <div className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                        <p>The DVM public key will be auto-loaded when the server starts.</p>
-                        <p className="mt-1">You can also get it from the server console or manual entry.</p>
+                        <p>DVMs are discovered from their NIP-89 handler announcements.</p>
+                        <p className="mt-1">You can also paste a public key from the server console.</p>
                     </div>
                 </div>
             </div>
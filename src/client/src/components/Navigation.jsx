@@ -1,6 +1,6 @@
 import React from 'react'
 import { motion } from 'framer-motion'
-import { Shield, Users, Activity, Search } from 'lucide-react'
+import { Shield, Users, Activity, Search, RefreshCw, Mailbox } from 'lucide-react'
 
 const Navigation = ({ activeTab, setActiveTab, isDark, disabled }) => {
     const tabs = [
@@ -27,6 +27,18 @@ const Navigation = ({ activeTab, setActiveTab, isDark, disabled }) => {
             label: 'Network Health',
             icon: Activity,
             description: 'Monitor relay performance'
+        },
+        {
+            id: 'rotate',
+            label: 'Relay Rotation',
+            icon: RefreshCw,
+            description: 'Time-sliced relay schedule'
+        },
+        {
+            id: 'outbox',
+            label: 'Outbox Relays',
+            icon: Mailbox,
+            description: 'NIP-65 read/write relay list'
         }
     ]
 
@@ -1,6 +1,6 @@
 import React, { useState } from 'react'
 import { motion } from 'framer-motion'
-import { Send, Loader2, Shield, AlertTriangle } from 'lucide-react'
+import { Send, Loader2, Shield, AlertTriangle, Lock, SlidersHorizontal } from 'lucide-react'
 import toast from 'react-hot-toast'
 
 const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, isDark }) => {
@@ -9,11 +9,34 @@ const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, i
         maxResults: 10,
         useCase: '',
         context: '',
-        currentRelays: []
+        currentRelays: [],
+        rotationHours: 6,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+        network: 'mixed',
+        minOnline: '',
+        encrypt: false
     })
 
     const [currentRelayInput, setCurrentRelayInput] = useState('')
 
+    // Custom threat profile: empty weights and thresholds keep the selected threat level's values
+    const [customProfile, setCustomProfile] = useState({
+        enabled: false,
+        weights: {},
+        thresholds: {},
+        requireNip42: false,
+        noAuth: false,
+        noPayment: false,
+        torOnly: false,
+        maxRttMs: ''
+    })
+
+    // Only recommendations and the swap suggestions of an analysis are ranked with a profile
+    const usesThreatProfile = activeTab === 'recommend' || activeTab === 'analyze'
+
+    // Discovery excludes relays the user already reads, so it needs the list too
+    const usesCurrentRelays = activeTab === 'analyze' || activeTab === 'discover' || activeTab === 'rotate'
+
     const threatLevels = [
         {
             value: 'low',
@@ -55,6 +78,53 @@ const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, i
         { value: 'other', label: 'Other' }
     ]
 
+    const networks = [
+        { value: 'mixed', label: 'Any network' },
+        { value: 'clearnet', label: 'Clearnet only' },
+        { value: 'tor', label: 'Tor only (onion mirrors preferred)' },
+        { value: 'i2p', label: 'I2P only' }
+    ]
+
+    const profileComponents = [
+        { value: 'overall', label: 'Overall' },
+        { value: 'privacy', label: 'Privacy' },
+        { value: 'reliability', label: 'Reliability' },
+        { value: 'performance', label: 'Performance' },
+        { value: 'diversity', label: 'Diversity' }
+    ]
+
+    const profileConstraints = [
+        { value: 'requireNip42', label: 'Must support NIP-42 (AUTH)' },
+        { value: 'noAuth', label: 'No authentication required' },
+        { value: 'noPayment', label: 'Exclude relays with paid admission' },
+        { value: 'torOnly', label: 'Tor relays only' }
+    ]
+
+    const buildThreatProfile = () => {
+        const numbers = (values) => Object.fromEntries(
+            Object.entries(values).filter(([, value]) => value !== '').map(([key, value]) => [key, parseFloat(value)])
+        )
+
+        const constraints = {}
+        if (customProfile.requireNip42) constraints.require_nips = [42]
+        if (customProfile.noAuth) constraints.no_auth = true
+        if (customProfile.noPayment) constraints.no_payment = true
+        if (customProfile.torOnly) constraints.tor_only = true
+        if (customProfile.maxRttMs) constraints.max_rtt_ms = parseInt(customProfile.maxRttMs)
+
+        return {
+            base: requestData.threatLevel,
+            weights: numbers(customProfile.weights),
+            thresholds: numbers(customProfile.thresholds),
+            constraints
+        }
+    }
+
+    const setProfileNumber = (group, component, value) => setCustomProfile(prev => ({
+        ...prev,
+        [group]: { ...prev[group], [component]: value }
+    }))
+
     const handleSubmit = async (e) => {
         e.preventDefault()
 
@@ -67,7 +137,10 @@ const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, i
             const payload = {
                 requestType: activeTab,
                 ...requestData,
-                currentRelays: activeTab === 'analyze' ? requestData.currentRelays : undefined
+                currentRelays: usesCurrentRelays ? requestData.currentRelays : undefined,
+                network: usesThreatProfile ? requestData.network : undefined,
+                minOnline: activeTab === 'recommend' || activeTab === 'outbox' ? parseInt(requestData.minOnline) || undefined : undefined,
+                threatProfile: usesThreatProfile && customProfile.enabled ? buildThreatProfile() : undefined
             }
 
             await onSendRequest(payload)
@@ -113,12 +186,16 @@ const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, i
                             {activeTab === 'analyze' && 'Analyze Current Setup'}
                             {activeTab === 'discover' && 'Discovery Mode'}
                             {activeTab === 'health' && 'Network Health Check'}
+                            {activeTab === 'rotate' && 'Relay Rotation Strategy'}
+                            {activeTab === 'outbox' && 'Outbox Relay List'}
                         </h3>
                         <p className={`text-sm ${isDark ? 'text-primary-400' : 'text-primary-600'}`}>
                             {activeTab === 'recommend' && 'Get personalized relay recommendations based on your threat model'}
                             {activeTab === 'analyze' && 'Analyze your current relay setup for privacy and performance'}
                             {activeTab === 'discover' && 'Find new relays with quality content you might enjoy'}
                             {activeTab === 'health' && 'Monitor the health and performance of the Nostr relay network'}
+                            {activeTab === 'rotate' && 'Get a daily schedule of relay sets so you never present the same set all day'}
+                            {activeTab === 'outbox' && 'Read from the relays your follows write to, and get a NIP-65 relay list to sign and publish'}
                         </p>
                     </div>
                 </div>
@@ -148,7 +225,12 @@ const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, i
                                     name="threatLevel"
                                     value={level.value}
                                     checked={requestData.threatLevel === level.value}
-                                    onChange={(e) => setRequestData(prev => ({ ...prev, threatLevel: e.target.value }))}
+                                    onChange={(e) => setRequestData(prev => ({
+                                        ...prev,
+                                        threatLevel: e.target.value,
+                                        // Stronger threat models should not leak their parameters to public relays
+                                        encrypt: prev.encrypt || e.target.value === 'high' || e.target.value === 'nation-state'
+                                    }))}
                                     className="sr-only"
                                 />
 
@@ -186,6 +268,25 @@ const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, i
                             </div>
                         </motion.div>
                     )}
+
+                    {/* Encryption */}
+                    <label className={`flex items-start space-x-3 p-3 rounded-lg border cursor-pointer ${isDark ? 'border-dark-600' : 'border-gray-200'}`}>
+                        <input
+                            type="checkbox"
+                            checked={requestData.encrypt}
+                            onChange={(e) => setRequestData(prev => ({ ...prev, encrypt: e.target.checked }))}
+                            className="mt-1"
+                        />
+                        <div className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                            <p className="font-medium flex items-center space-x-2">
+                                <Lock className="w-4 h-4" />
+                                <span>Encrypt request and result</span>
+                            </p>
+                            <p className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                Parameters and relay lists are sent encrypted to the DVM (NIP-44, NIP-04 fallback) instead of as public tags.
+                            </p>
+                        </div>
+                    </label>
                 </div>
 
                 {/* Additional Parameters */}
@@ -225,15 +326,173 @@ const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, i
                     </div>
                 </div>
 
-                {/* Current Relays (for analyze mode) */}
-                {activeTab === 'analyze' && (
+                {/* Network (for recommend and analyze modes) */}
+                {usesThreatProfile && (
+                    <div>
+                        <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                            Network
+                        </label>
+                        <select
+                            value={requestData.network}
+                            onChange={(e) => setRequestData(prev => ({ ...prev, network: e.target.value }))}
+                            className="input-primary"
+                        >
+                            {networks.map(network => (
+                                <option key={network.value} value={network.value}>
+                                    {network.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                {/* Redundancy (for recommend mode), size of the write set (for outbox mode) */}
+                {(activeTab === 'recommend' || activeTab === 'outbox') && (
+                    <div>
+                        <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                            {activeTab === 'outbox' ? 'Write Relays (Optional)' : 'Independent Online Relays (Optional)'}
+                        </label>
+                        <input
+                            type="number"
+                            min="1"
+                            max="10"
+                            placeholder="DVM default"
+                            value={requestData.minOnline}
+                            onChange={(e) => setRequestData(prev => ({ ...prev, minOnline: e.target.value }))}
+                            className="input-primary"
+                        />
+                    </div>
+                )}
+
+                {/* Custom Threat Profile (for recommend and analyze modes) */}
+                {usesThreatProfile && (
+                    <div className={`space-y-4 p-4 rounded-xl border ${isDark ? 'border-dark-600' : 'border-gray-200'}`}>
+                        <label className={`flex items-start space-x-3 cursor-pointer ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                            <input
+                                type="checkbox"
+                                checked={customProfile.enabled}
+                                onChange={(e) => setCustomProfile(prev => ({ ...prev, enabled: e.target.checked }))}
+                                className="mt-1"
+                            />
+                            <div className="text-sm">
+                                <p className="font-medium flex items-center space-x-2">
+                                    <SlidersHorizontal className="w-4 h-4" />
+                                    <span>Custom threat profile</span>
+                                </p>
+                                <p className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                    Adjust the {requestData.threatLevel} weights and minimum scores, and exclude relays that do not meet hard requirements.
+                                </p>
+                            </div>
+                        </label>
+
+                        {customProfile.enabled && (
+                            <motion.div
+                                initial={{ opacity: 0, height: 0 }}
+                                animate={{ opacity: 1, height: 'auto' }}
+                                className="space-y-4"
+                            >
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    {[['weights', 'Weights (0-10)'], ['thresholds', 'Minimum Scores (0-10)']].map(([group, title]) => (
+                                        <div key={group} className="space-y-2">
+                                            <p className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>{title}</p>
+                                            {profileComponents.map(component => (
+                                                <div key={component.value} className="flex items-center justify-between space-x-3">
+                                                    <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>{component.label}</span>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        max="10"
+                                                        step="0.1"
+                                                        value={customProfile[group][component.value] ?? ''}
+                                                        onChange={(e) => setProfileNumber(group, component.value, e.target.value)}
+                                                        placeholder="default"
+                                                        className="w-28 input-primary"
+                                                    />
+                                                </div>
+                                            ))}
+                                        </div>
+                                    ))}
+                                </div>
+
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                    {profileConstraints.map(constraint => (
+                                        <label key={constraint.value} className={`flex items-center space-x-2 text-sm cursor-pointer ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                            <input
+                                                type="checkbox"
+                                                checked={customProfile[constraint.value]}
+                                                onChange={(e) => setCustomProfile(prev => ({ ...prev, [constraint.value]: e.target.checked }))}
+                                            />
+                                            <span>{constraint.label}</span>
+                                        </label>
+                                    ))}
+                                </div>
+
+                                <div>
+                                    <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                        Maximum Read RTT in ms (Optional)
+                                    </label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={customProfile.maxRttMs}
+                                        onChange={(e) => setCustomProfile(prev => ({ ...prev, maxRttMs: e.target.value }))}
+                                        placeholder="800"
+                                        className="input-primary"
+                                    />
+                                </div>
+                            </motion.div>
+                        )}
+                    </div>
+                )}
+
+                {/* Rotation schedule (for rotate mode) */}
+                {activeTab === 'rotate' && (
+                    <motion.div
+                        initial={{ opacity: 0, height: 0 }}
+                        animate={{ opacity: 1, height: 'auto' }}
+                        className="grid grid-cols-1 md:grid-cols-2 gap-6"
+                    >
+                        <div>
+                            <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Slot Length (hours)
+                            </label>
+                            <select
+                                value={requestData.rotationHours}
+                                onChange={(e) => setRequestData(prev => ({ ...prev, rotationHours: parseInt(e.target.value) }))}
+                                className="input-primary"
+                            >
+                                {[1, 2, 3, 4, 6, 8, 12, 24].map(hours => (
+                                    <option key={hours} value={hours}>
+                                        {hours}h ({Math.ceil(24 / hours)} slots per day)
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div>
+                            <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Timezone
+                            </label>
+                            <input
+                                type="text"
+                                value={requestData.timezone}
+                                onChange={(e) => setRequestData(prev => ({ ...prev, timezone: e.target.value }))}
+                                placeholder="Europe/Berlin"
+                                className="input-primary"
+                            />
+                        </div>
+                    </motion.div>
+                )}
+
+                {/* Current Relays (for analyze, discover and rotate modes) */}
+                {usesCurrentRelays && (
                     <motion.div
                         initial={{ opacity: 0, height: 0 }}
                         animate={{ opacity: 1, height: 'auto' }}
                         className="space-y-3"
                     >
                         <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                            Current Relays
+                            Current Relays{activeTab !== 'analyze' && ' (Optional)'}
                         </label>
 
                         <div className="flex space-x-2">
@@ -313,6 +572,8 @@ const RequestPanel = ({ activeTab, onSendRequest, isConnected, currentRequest, i
                                 {activeTab === 'analyze' && 'Analyze Setup'}
                                 {activeTab === 'discover' && 'Discover Relays'}
                                 {activeTab === 'health' && 'Check Network Health'}
+                                {activeTab === 'rotate' && 'Generate Rotation Schedule'}
+                                {activeTab === 'outbox' && 'Build Relay List'}
                             </span>
                         </>
                     )}
@@ -1,8 +1,9 @@
 import React from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { CheckCircle, AlertCircle, Clock, ExternalLink, Activity, TrendingUp } from 'lucide-react'
+import { CheckCircle, AlertCircle, Clock, ExternalLink, Activity, TrendingUp, RefreshCw, Download, Mailbox, Send } from 'lucide-react'
+import { RESPONSE_SCHEMA_VERSION } from '../../../constants/response-schema.js'
 
-const ResponsePanel = ({ responses, currentRequest, activeTab, isDark }) => {
+const ResponsePanel = ({ responses, currentRequest, activeTab, onPublishRelayList, isDark }) => {
     if (!responses.length && !currentRequest) {
         return (
             <div className={`text-center py-12 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
@@ -48,7 +49,7 @@ const ResponsePanel = ({ responses, currentRequest, activeTab, isDark }) => {
             <AnimatePresence>
                 {responses.map((response, index) => (
                     <motion.div
-                        key={response._meta?.eventId || index}
+                        key={response.id || index}
                         initial={{ opacity: 0, y: 20 }}
                         animate={{ opacity: 1, y: 0 }}
                         exit={{ opacity: 0, y: -20 }}
@@ -56,7 +57,7 @@ const ResponsePanel = ({ responses, currentRequest, activeTab, isDark }) => {
                         className={`p-6 rounded-xl border ${isDark ? 'bg-dark-800/50 border-dark-700' : 'bg-white border-gray-200'
                             }`}
                     >
-                        <ResponseContent response={response} isDark={isDark} />
+                        <ResponseContent response={response.data} validation={response.validation} onPublishRelayList={onPublishRelayList} isDark={isDark} />
                     </motion.div>
                 ))}
             </AnimatePresence>
@@ -64,7 +65,30 @@ const ResponsePanel = ({ responses, currentRequest, activeTab, isDark }) => {
     )
 }
 
-const ResponseContent = ({ response, isDark }) => {
+const ResponseContent = ({ response, validation, onPublishRelayList, isDark }) => {
+    if (validation && !validation.valid) {
+        return (
+            <div className="flex items-start space-x-3">
+                <AlertCircle className="w-6 h-6 text-yellow-500 mt-1" />
+                <div className="min-w-0">
+                    <h4 className={`font-medium ${isDark ? 'text-yellow-300' : 'text-yellow-800'}`}>
+                        {validation.compatible ? 'Malformed DVM Response' : 'Incompatible DVM Version'}
+                    </h4>
+                    <p className={`text-sm mt-1 ${isDark ? 'text-yellow-400' : 'text-yellow-700'}`}>
+                        {validation.compatible
+                            ? 'The response does not match the expected schema and cannot be displayed.'
+                            : `This DVM speaks response schema ${response?.schema_version || 'unknown'}, this client understands ${RESPONSE_SCHEMA_VERSION.split('.')[0]}.x. Update the client or connect to another DVM.`}
+                    </p>
+                    <ul className={`text-xs mt-2 space-y-1 font-mono ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                        {validation.errors.slice(0, 5).map((error) => (
+                            <li key={error}>{error}</li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
+        )
+    }
+
     if (response.type === 'error') {
         return (
             <div className="flex items-start space-x-3">
@@ -91,13 +115,20 @@ const ResponseContent = ({ response, isDark }) => {
                             Relay Recommendations
                         </h4>
                         <p className={`text-sm ${isDark ? 'text-green-400' : 'text-green-600'}`}>
-                            {response.recommendations.primary?.length || 0} recommendations for {response.analysis?.threatLevel || 'unknown'} threat level
+                            {response.recommendations.primary.length} recommendations for {response.metadata?.threat_level || 'unknown'} threat level
+                            {response.metadata?.network && response.metadata.network !== 'mixed' && ` (${response.metadata.network} only)`}
                         </p>
+                        {response.metadata?.set && (
+                            <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                {response.metadata.set.coverage !== null && `Reaches ${response.metadata.set.follows_covered}/${response.metadata.set.follows_reachable} of your follows · `}
+                                {response.metadata.set.independent_online}/{response.metadata.set.min_online} independent online relays
+                            </p>
+                        )}
                     </div>
                 </div>
 
                 {/* Primary Recommendations */}
-                {response.recommendations.primary?.length > 0 && (
+                {response.recommendations.primary.length > 0 && (
                     <div className="space-y-3">
                         <h5 className={`font-medium text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
                             Primary Recommendations
@@ -117,6 +148,7 @@ const ResponseContent = ({ response, isDark }) => {
                                         <code className={`text-sm font-mono ${isDark ? 'text-white' : 'text-gray-900'}`}>
                                             {rec.url}
                                         </code>
+                                        <NetworkBadge networkType={rec.network_type} isDark={isDark} />
                                     </div>
                                     <a
                                         href={rec.url}
@@ -156,74 +188,75 @@ const ResponseContent = ({ response, isDark }) => {
                                     </div>
                                 </div>
 
-                                {rec.network && (rec.network.followingUsersHere > 0 || rec.network.totalInfluenceWeight > 0) && (
+                                {rec.network && (rec.network.following_users > 0 || rec.network.total_influence_weight > 0) && (
                                     <div className="flex items-center space-x-4 mb-2">
                                         <div className="flex items-center space-x-2">
                                             <span className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
                                                 Following users:
                                             </span>
                                             <span className="font-medium text-sm">
-                                                {rec.network.followingUsersHere}
+                                                {rec.network.following_users}
                                             </span>
                                         </div>
-                                        {rec.network.totalInfluenceWeight > 0 && (
+                                        {rec.network.total_influence_weight > 0 && (
                                             <div className="flex items-center space-x-2">
                                                 <span className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
                                                     Influence:
                                                 </span>
                                                 <span className="font-medium text-sm">
-                                                    {rec.network.totalInfluenceWeight.toFixed(1)}
+                                                    {rec.network.total_influence_weight.toFixed(1)}
                                                 </span>
                                             </div>
                                         )}
                                     </div>
                                 )}
 
+                                {rec.mirror_of && (
+                                    <p className={`text-xs mb-1 ${isDark ? 'text-purple-300' : 'text-purple-700'}`}>
+                                        Onion mirror of <code>{rec.mirror_of}</code>
+                                    </p>
+                                )}
+
                                 {rec.reasoning && (
                                     <p className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
                                         {rec.reasoning}
                                     </p>
                                 )}
+
+                                {rec.selection && (
+                                    <ul className={`mt-2 text-xs list-disc list-inside ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                        {rec.selection.reasons.map((reason) => (
+                                            <li key={reason}>{reason}</li>
+                                        ))}
+                                    </ul>
+                                )}
                             </div>
                         ))}
                     </div>
                 )}
 
-                {/* Analysis Summary */}
-                {response.analysis && (
+                {/* Backup Recommendations */}
+                {response.recommendations.backup.length > 0 && (
                     <div className={`mt-6 p-4 rounded-lg ${isDark ? 'bg-dark-700/30' : 'bg-gray-50'
                         }`}>
                         <h5 className={`font-medium text-sm mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                            Analysis Summary
+                            Backup Relays
                         </h5>
-                        <div className="grid grid-cols-2 gap-4 text-sm">
-                            <div>
-                                <span className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                                    Threat Level:
-                                </span>
-                                <span className="ml-2 font-medium">
-                                    {response.analysis.threatLevel}
-                                </span>
-                            </div>
-                            <div>
-                                <span className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                                    Total Recommendations:
-                                </span>
-                                <span className="ml-2 font-medium">
-                                    {response.analysis.totalRecommendations}
-                                </span>
-                            </div>
+                        <div className="space-y-1">
+                            {response.recommendations.backup.map((rec) => (
+                                <div key={rec.url} className="flex items-center justify-between text-sm">
+                                    <div className="flex items-center space-x-2">
+                                        <code className={`${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                            {rec.url}
+                                        </code>
+                                        <NetworkBadge networkType={rec.network_type} isDark={isDark} />
+                                    </div>
+                                    <span className="font-medium">
+                                        {rec.scores.overall.toFixed(1)}/10
+                                    </span>
+                                </div>
+                            ))}
                         </div>
-                        {response.analysis.currentRelayCoverage && (
-                            <div className="mt-2 text-sm">
-                                <span className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                                    Coverage:
-                                </span>
-                                <span className="ml-2 font-medium">
-                                    {response.analysis.currentRelayCoverage}
-                                </span>
-                            </div>
-                        )}
                     </div>
                 )}
             </div>
@@ -240,29 +273,126 @@ const ResponseContent = ({ response, isDark }) => {
                             Relay Setup Analysis
                         </h4>
                         <p className={`text-sm ${isDark ? 'text-blue-400' : 'text-blue-600'}`}>
-                            Analysis of {response.current_setup?.relay_count || 0} configured relays
+                            Analysis of {response.current_setup.relay_count} {response.current_setup.inferred ? 'inferred' : 'configured'} relays
                         </p>
                     </div>
                 </div>
 
+                {/* Setup Scores */}
+                <div className="grid grid-cols-3 gap-4 mb-6">
+                    {Object.entries(response.scores).map(([name, score]) => (
+                        <div
+                            key={name}
+                            className={`p-3 rounded-lg text-center ${isDark ? 'bg-dark-700/50' : 'bg-gray-50'}`}
+                        >
+                            <div className="text-2xl font-bold">
+                                {score === null ? '-' : score.toFixed(1)}
+                            </div>
+                            <div className={`text-xs capitalize ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                {name}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
                 {/* Current Setup */}
-                {response.current_setup && (
+                <div className={`mb-6 p-4 rounded-lg ${isDark ? 'bg-dark-700/30' : 'bg-gray-50'}`}>
+                    <h5 className={`font-medium text-sm mb-3 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                        Current Setup ({response.current_setup.known_relays}/{response.current_setup.relay_count} known, {response.current_setup.online_relays} online)
+                    </h5>
+                    <div className="space-y-2">
+                        {response.current_setup.relays.map((relay) => (
+                            <div key={relay.url} className="flex items-center justify-between text-sm">
+                                <code className={`${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                    {relay.url}
+                                </code>
+                                <div className="flex items-center space-x-2">
+                                    {relay.overall_score !== null && (
+                                        <span className="font-medium">
+                                            {relay.overall_score.toFixed(1)}/10
+                                        </span>
+                                    )}
+                                    {relay.flags.map((flag) => (
+                                        <span key={flag} className="px-2 py-1 rounded-full text-xs bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400">
+                                            {flag.replace(/_/g, ' ')}
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Shared operators, jurisdictions and networks */}
+                {response.clusters && response.clusters.shared.length > 0 && (
                     <div className={`mb-6 p-4 rounded-lg ${isDark ? 'bg-dark-700/30' : 'bg-gray-50'}`}>
                         <h5 className={`font-medium text-sm mb-3 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                            Current Setup ({response.current_setup.relay_count} relays)
+                            Concentration ({response.clusters.operators} operators, {response.clusters.jurisdictions} jurisdictions, {response.clusters.asns} networks)
                         </h5>
-                        <div className="space-y-1">
-                            {response.current_setup.relays.map((relay, index) => (
-                                <code key={index} className={`block text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                                    {relay}
-                                </code>
+                        <ul className="space-y-2">
+                            {response.clusters.shared.map((group) => (
+                                <li key={`${group.dimension}:${group.key}`} className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                    <span className="font-medium capitalize">{group.dimension}</span> {group.label}: {group.relays.join(', ')}
+                                </li>
                             ))}
-                        </div>
+                        </ul>
                     </div>
                 )}
 
+                {/* What each relay and its operator can learn about the requester */}
+                {response.exposure && (
+                    <div className={`mb-6 p-4 rounded-lg ${isDark ? 'bg-dark-700/30' : 'bg-gray-50'}`}>
+                        <h5 className={`font-medium text-sm mb-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                            Privacy Exposure
+                        </h5>
+                        <p className={`text-xs mb-3 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                            {response.exposure.summary.operators_with_social_graph} of {response.exposure.summary.operators} operators can see everyone you follow • {response.exposure.summary.auth_relays} relays require AUTH • {response.exposure.summary.operators_with_direct_messages} operators hold your DMs
+                        </p>
+                        <ul className="space-y-3">
+                            {response.exposure.relays.map((relay) => (
+                                <li key={relay.url} className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                    <div className="flex items-center justify-between">
+                                        <code>{relay.url}</code>
+                                        <span className={`text-xs px-2 py-1 rounded-full ${relay.exposure === 'high'
+                                            ? 'bg-red-100 text-red-800'
+                                            : relay.exposure === 'medium' ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-700'
+                                            }`}>
+                                            {relay.exposure}
+                                        </span>
+                                    </div>
+                                    {relay.risks.map((risk) => (
+                                        <p key={risk.risk} className={`text-xs mt-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                            {risk.description}
+                                        </p>
+                                    ))}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {/* Swap Suggestions */}
+                <div className="mb-6">
+                    <h5 className={`font-medium text-sm mb-3 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                        Suggestions
+                    </h5>
+                    {response.suggestions.length === 0 ? (
+                        <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                            Current setup looks healthy, no replacements needed
+                        </p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {response.suggestions.map((suggestion) => (
+                                <li key={suggestion.replace} className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                    {suggestion.reason}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
                 {/* Analysis Metrics */}
-                {response.metrics && Object.keys(response.metrics).length > 0 && (
+                {Object.keys(response.metrics).length > 0 && (
                     <div className="space-y-6">
                         {Object.entries(response.metrics).map(([category, metrics]) => (
                             <div key={category}>
@@ -305,12 +435,12 @@ const ResponseContent = ({ response, isDark }) => {
                             Discovery Recommendations
                         </h4>
                         <p className={`text-sm ${isDark ? 'text-purple-400' : 'text-purple-600'}`}>
-                            {response.discoveries?.length || 0} relays with quality content to explore
+                            {response.discoveries.length} relays with quality content to explore
                         </p>
                     </div>
                 </div>
 
-                {response.discoveries?.length > 0 && (
+                {response.discoveries.length > 0 && (
                     <div className="space-y-3">
                         {response.discoveries.map((disc, index) => (
                             <div
@@ -327,7 +457,7 @@ const ResponseContent = ({ response, isDark }) => {
                                             Discovery Score:
                                         </span>
                                         <span className="font-medium text-sm">
-                                            {disc.discoveryScore.toFixed(1)}
+                                            {disc.discovery_score.toFixed(1)}
                                         </span>
                                     </div>
                                 </div>
@@ -335,10 +465,18 @@ const ResponseContent = ({ response, isDark }) => {
                                 <div className="flex items-center space-x-4 mb-2 text-sm">
                                     <div>
                                         <span className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                                            Quality Publishers:
+                                            Followed:
                                         </span>
                                         <span className="ml-2 font-medium">
-                                            {disc.uniquePublishers}
+                                            {disc.followed_publishers}
+                                        </span>
+                                    </div>
+                                    <div>
+                                        <span className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                            New Publishers:
+                                        </span>
+                                        <span className="ml-2 font-medium">
+                                            {disc.new_publishers}
                                         </span>
                                     </div>
                                     <div>
@@ -346,7 +484,7 @@ const ResponseContent = ({ response, isDark }) => {
                                             Avg Influence:
                                         </span>
                                         <span className="ml-2 font-medium">
-                                            {disc.avgInfluence.toFixed(1)}
+                                            {disc.avg_publisher_influence.toFixed(1)}
                                         </span>
                                     </div>
                                 </div>
@@ -378,14 +516,14 @@ const ResponseContent = ({ response, isDark }) => {
                 </div>
 
                 <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
-                    {Object.entries(response.summary.categories).map(([status, count]) => (
+                    {['healthy', 'unhealthy', 'online', 'offline', 'unchecked'].map((status) => (
                         <div
                             key={status}
                             className={`p-3 rounded-lg text-center ${isDark ? 'bg-dark-700/50' : 'bg-gray-50'
                                 }`}
                         >
                             <div className="text-2xl font-bold">
-                                {count}
+                                {response.summary[status] ?? 0}
                             </div>
                             <div className={`text-xs capitalize ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
                                 {status}
@@ -394,13 +532,13 @@ const ResponseContent = ({ response, isDark }) => {
                     ))}
                 </div>
 
-                {response.categories.healthy?.length > 0 && (
+                {response.degraded_relays.length > 0 && (
                     <div>
                         <h5 className={`font-medium text-sm mb-3 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                            Healthy Relays (Top 10)
+                            Degraded in the Last 24h
                         </h5>
                         <div className="space-y-2">
-                            {response.categories.healthy.slice(0, 10).map((relay) => (
+                            {response.degraded_relays.map((relay) => (
                                 <div
                                     key={relay.url}
                                     className={`flex items-center justify-between p-3 rounded-lg border ${isDark ? 'bg-dark-700/50 border-dark-600' : 'bg-gray-50 border-gray-200'
@@ -411,14 +549,13 @@ const ResponseContent = ({ response, isDark }) => {
                                     </code>
                                     <div className="flex items-center space-x-4 text-sm">
                                         <span className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                                            {relay.uptime.toFixed(1)}% uptime
-                                        </span>
-                                        <span className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                                            {relay.latency}ms
-                                        </span>
-                                        <span className="px-2 py-1 rounded-full text-xs bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400">
-                                            {relay.status}
+                                            {relay.uptime_24h}% uptime (was {relay.uptime_all_time ?? '-'}%)
                                         </span>
+                                        {relay.avg_rtt_24h !== null && (
+                                            <span className={`${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                {relay.avg_rtt_24h}ms
+                                            </span>
+                                        )}
                                     </div>
                                 </div>
                             ))}
@@ -429,6 +566,142 @@ const ResponseContent = ({ response, isDark }) => {
         )
     }
 
+    if (response.type === 'rotation_strategy') {
+        const { schedule } = response
+
+        const exportSchedule = () => {
+            const blob = new Blob([JSON.stringify(schedule, null, 2)], { type: 'application/json' })
+            const url = URL.createObjectURL(blob)
+            const link = document.createElement('a')
+            link.href = url
+            link.download = `relay-rotation-${schedule.rotation_hours}h.json`
+            link.click()
+            URL.revokeObjectURL(url)
+        }
+
+        return (
+            <div>
+                <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center space-x-3">
+                        <RefreshCw className="w-6 h-6 text-indigo-500" />
+                        <div>
+                            <h4 className={`font-medium ${isDark ? 'text-indigo-300' : 'text-indigo-800'}`}>
+                                Relay Rotation Schedule
+                            </h4>
+                            <p className={`text-sm ${isDark ? 'text-indigo-400' : 'text-indigo-600'}`}>
+                                {schedule.slots.length} slots of {schedule.rotation_hours}h • {schedule.timezone}
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={exportSchedule}
+                        className={`flex items-center space-x-2 px-3 py-2 rounded-lg text-sm transition-colors ${isDark ? 'bg-dark-700 text-gray-300 hover:bg-dark-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                    >
+                        <Download className="w-4 h-4" />
+                        <span>Export</span>
+                    </button>
+                </div>
+
+                <div className="space-y-3">
+                    {schedule.slots.map((slot) => (
+                        <div
+                            key={slot.index}
+                            className={`p-4 rounded-lg border ${slot.index === schedule.current_slot
+                                ? isDark ? 'bg-indigo-900/20 border-indigo-700' : 'bg-indigo-50 border-indigo-300'
+                                : isDark ? 'bg-dark-700/50 border-dark-600' : 'bg-gray-50 border-gray-200'
+                                }`}
+                        >
+                            <div className="flex items-center justify-between mb-2">
+                                <span className={`font-medium text-sm ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                                    {slot.local_start} - {slot.local_end}
+                                    {slot.index === schedule.current_slot && (
+                                        <span className="ml-2 text-xs px-2 py-1 rounded-full bg-indigo-100 text-indigo-800 dark:bg-indigo-900/50 dark:text-indigo-300">
+                                            Now
+                                        </span>
+                                    )}
+                                </span>
+                                <span className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                    UTC {slot.utc_start} - {slot.utc_end}
+                                </span>
+                            </div>
+                            <div className="space-y-1 mb-2">
+                                {slot.relays.map((relay) => (
+                                    <code key={relay} className={`block text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                        {relay}
+                                    </code>
+                                ))}
+                            </div>
+                            <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                {slot.reason}
+                            </p>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        )
+    }
+
+    if (response.type === 'outbox_relays') {
+        const { relay_list: relayList, coverage, event_template: template } = response
+
+        return (
+            <div>
+                <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center space-x-3">
+                        <Mailbox className="w-6 h-6 text-teal-500" />
+                        <div>
+                            <h4 className={`font-medium ${isDark ? 'text-teal-300' : 'text-teal-800'}`}>
+                                Outbox Relay List
+                            </h4>
+                            <p className={`text-sm ${isDark ? 'text-teal-400' : 'text-teal-600'}`}>
+                                {relayList.read.length} read relays reach {coverage.covered} of {coverage.follows} follows • {relayList.write.length} write relays
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={() => onPublishRelayList?.(template)}
+                        className={`flex items-center space-x-2 px-3 py-2 rounded-lg text-sm transition-colors ${isDark ? 'bg-dark-700 text-gray-300 hover:bg-dark-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                    >
+                        <Send className="w-4 h-4" />
+                        <span>Sign & Publish</span>
+                    </button>
+                </div>
+
+                {coverage.covered < coverage.follows && (
+                    <p className={`text-xs mb-3 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                        {coverage.follows - coverage.reachable} follows have no known online write relay
+                        {coverage.inferred > 0 && `, ${coverage.inferred} were placed from where their events were seen`}
+                    </p>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {[['Read', relayList.read], ['Write', relayList.write]].map(([title, relays]) => (
+                        <div key={title} className="space-y-2">
+                            <p className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>{title}</p>
+                            {relays.map((relay) => (
+                                <div
+                                    key={relay.url}
+                                    className={`p-3 rounded-lg border ${isDark ? 'bg-dark-700/50 border-dark-600' : 'bg-gray-50 border-gray-200'}`}
+                                >
+                                    <code className={`block text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                                        {relay.url}
+                                    </code>
+                                    {(relay.reasons || [relay.reason]).map((reason) => (
+                                        <p key={reason} className={`text-xs mt-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                            {reason}
+                                        </p>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        )
+    }
+
     // Generic response handler
     return (
         <div>
@@ -452,4 +725,20 @@ const ResponseContent = ({ response, isDark }) => {
     )
 }
 
+// Tor and I2P endpoints are highlighted, clearnet ones get a plain label
+const NetworkBadge = ({ networkType, isDark }) => {
+    if (!networkType) return null
+
+    const anonymous = networkType === 'tor' || networkType === 'i2p'
+    const colors = anonymous
+        ? isDark ? 'bg-purple-900/50 text-purple-300' : 'bg-purple-100 text-purple-800'
+        : isDark ? 'bg-dark-600 text-gray-300' : 'bg-gray-200 text-gray-700'
+
+    return (
+        <span className={`text-xs px-2 py-0.5 rounded-full ${colors}`}>
+            {networkType === 'tor' ? 'Tor' : networkType === 'i2p' ? 'I2P' : 'Clearnet'}
+        </span>
+    )
+}
+
 export default ResponsePanel
\ No newline at end of file
@@ -2,6 +2,17 @@
 import { useState, useEffect } from 'react'
 import { getPublicKey } from 'nostr-tools'
 
+// Pay a bolt11 invoice through the WebLN provider (Alby or any compatible wallet)
+export async function payWithWebln(bolt11) {
+    if (typeof window === 'undefined' || !window.webln) {
+        throw new Error('No WebLN wallet found. Install Alby to pay for premium jobs.')
+    }
+
+    await window.webln.enable()
+    const { preimage } = await window.webln.sendPayment(bolt11)
+    return preimage
+}
+
 export function useAlby() {
     const [isConnected, setIsConnected] = useState(false)
     const [publicKey, setPublicKey] = useState('')
@@ -1,7 +1,88 @@
 // Fixed NostrClient with improved send/receive for DVM requests
 // src/client/src/lib/nostr-client.js
 
-import { generatePrivateKey, getPublicKey, finishEvent, validateEvent } from 'nostr-tools'
+import { generatePrivateKey, getPublicKey, finishEvent, validateEvent, verifySignature, nip04, nip13, nip44 } from 'nostr-tools'
+import { validateResponse } from '../../../constants/response-schema.js'
+import { DVM_KINDS, FEEDBACK_STATUS } from '../../../constants/dvm-kinds.js'
+
+export const DEFAULT_RELAYS = [
+    'wss://relay.damus.io',
+    'wss://relay.snort.social',
+    'wss://nos.lol',
+    'wss://relay.nostr.band'
+]
+
+// Find Relay Shadow compatible DVMs through their NIP-89 handler announcements (kind 31990)
+export async function discoverDVMs(relays = DEFAULT_RELAYS, { timeoutMs = 5000 } = {}) {
+    const filter = { kinds: [DVM_KINDS.HANDLER_INFO], '#k': [String(DVM_KINDS.REQUEST)] }
+    const announcements = new Map()
+
+    const queryRelay = (relayUrl) => new Promise((resolve) => {
+        const subscriptionId = `dvm-discovery-${Date.now()}`
+        let ws
+        const finish = () => {
+            clearTimeout(timeout)
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify(['CLOSE', subscriptionId]))
+                ws.close()
+            }
+            resolve()
+        }
+        const timeout = setTimeout(finish, timeoutMs)
+
+        try {
+            ws = new WebSocket(relayUrl)
+        } catch (error) {
+            finish()
+            return
+        }
+
+        ws.onopen = () => ws.send(JSON.stringify(['REQ', subscriptionId, filter]))
+        ws.onerror = finish
+        ws.onmessage = (message) => {
+            const [type, , event] = JSON.parse(message.data)
+            if (type === 'EOSE') {
+                finish()
+                return
+            }
+            if (type !== 'EVENT' || !validateEvent(event) || !verifySignature(event)) return
+
+            // Parameterized replaceable: keep only the newest announcement per pubkey and d tag
+            const dTag = event.tags.find(tag => tag[0] === 'd')?.[1] || ''
+            const key = `${event.pubkey}:${dTag}`
+            const existing = announcements.get(key)
+            if (!existing || existing.created_at < event.created_at) {
+                announcements.set(key, event)
+            }
+        }
+    })
+
+    await Promise.all(relays.map(queryRelay))
+
+    return Array.from(announcements.values())
+        .map(event => {
+            let info = {}
+            try {
+                info = JSON.parse(event.content || '{}')
+            } catch (error) {
+                console.warn(`Ignoring malformed handler info from ${event.pubkey.substring(0, 8)}`)
+            }
+
+            return {
+                publicKey: event.pubkey,
+                name: info.name || event.pubkey.substring(0, 16),
+                about: info.about || '',
+                relays: info.relays || event.tags.filter(tag => tag[0] === 'relay').map(tag => tag[1]),
+                supportedRequests: info.supportedRequests || [],
+                threatLevels: info.threatLevels || [],
+                pricing: info.pricing || null,
+                limits: info.limits || null,
+                schemaVersion: info.schemaVersion || null,
+                announcedAt: event.created_at
+            }
+        })
+        .sort((a, b) => b.announcedAt - a.announcedAt)
+}
 
 export class NostrClient {
     constructor(dvmPublicKey, options = {}) {
@@ -22,15 +103,12 @@ export class NostrClient {
         // Event handlers
         this.onResponse = options.onResponse || null
         this.onError = options.onError || null
+        this.onFeedback = options.onFeedback || null
+        this.onPaymentRequired = options.onPaymentRequired || null
         this.onConnectionChange = options.onConnectionChange || null
 
         // Default relays
-        this.relays = options.relays || [
-            'wss://relay.damus.io',
-            'wss://relay.snort.social',
-            'wss://nos.lol',
-            'wss://relay.nostr.band'
-        ]
+        this.relays = options.relays || DEFAULT_RELAYS
 
         console.log(`🔧 NostrClient initialized`)
         console.log(`📡 Client pubkey: ${this.publicKey}`)
@@ -180,8 +258,12 @@ export class NostrClient {
         const [subscriptionId, event] = args
 
         if (this.isDVMResponse(event)) {
-            console.log(`📨 Received DVM response from ${relayUrl}`)
-            this.handleDVMResponse(event)
+            console.log(`📨 Received DVM ${event.kind === DVM_KINDS.FEEDBACK ? 'feedback' : 'response'} from ${relayUrl}`)
+            if (event.kind === DVM_KINDS.FEEDBACK) {
+                this.handleDVMFeedback(event)
+            } else {
+                this.handleDVMResponse(event)
+            }
         }
     }
 
@@ -244,29 +326,75 @@ export class NostrClient {
     }
 
     isDVMResponse(event) {
-        if (!event || event.kind !== 5601) return false
+        if (!event || ![DVM_KINDS.RESULT, DVM_KINDS.FEEDBACK].includes(event.kind)) return false
+        if (event.pubkey !== this.dvmPublicKey) return false
 
         // Check if this is a response to our DVM
         const targetTag = event.tags.find(tag => tag[0] === 'p' && tag[1] === this.publicKey)
         return !!targetTag
     }
 
-    handleDVMResponse(event) {
+    getJobId(event) {
+        return event.tags.find(tag => tag[0] === 'e')?.[1]
+    }
+
+    handleDVMFeedback(event) {
+        const [, status, info] = event.tags.find(tag => tag[0] === 'status') || []
+        console.log(`📣 Job ${this.getJobId(event)?.substring(0, 8)} status: ${status}${info ? ` (${info})` : ''}`)
+
+        // Errors carry a schema payload in the content and are shown like any other response
+        if (status === FEEDBACK_STATUS.ERROR) {
+            if (event.content) {
+                this.handleDVMResponse(event)
+            } else if (this.onError) {
+                this.onError(new Error(info || 'DVM job failed'))
+            }
+            return
+        }
+
+        // Priced job: the amount tag carries msats and the bolt11 invoice to pay
+        if (status === FEEDBACK_STATUS.PAYMENT_REQUIRED) {
+            const [, amount, bolt11] = event.tags.find(tag => tag[0] === 'amount') || []
+            if (!bolt11) {
+                console.warn('Payment required but no invoice attached')
+                return
+            }
+            if (this.onPaymentRequired) {
+                this.onPaymentRequired({ amountMsats: parseInt(amount), bolt11, info, jobId: this.getJobId(event) }, event)
+            }
+            return
+        }
+
+        if (this.onFeedback) {
+            this.onFeedback({ status, info, jobId: this.getJobId(event) }, event)
+        }
+    }
+
+    async handleDVMResponse(event) {
         try {
             console.log(`📥 Processing DVM response: ${event.id.substring(0, 8)}`)
 
-            const responseData = JSON.parse(event.content)
+            const encrypted = event.tags.some(tag => tag[0] === 'encrypted')
+            const content = encrypted ? await this.decryptFrom(event.pubkey, event.content) : event.content
+            const responseData = JSON.parse(content)
             console.log('📊 Response data:', responseData)
 
+            // Check the payload against the shared contract before the UI touches it
+            const validation = validateResponse(responseData)
+            if (!validation.valid) {
+                console.warn(`⚠️ DVM response failed schema validation:`, validation.errors)
+            }
+
             // Clear any pending request timeout
-            if (this.pendingRequests.has(event.id)) {
-                clearTimeout(this.pendingRequests.get(event.id))
-                this.pendingRequests.delete(event.id)
+            const jobId = this.getJobId(event)
+            if (this.pendingRequests.has(jobId)) {
+                clearTimeout(this.pendingRequests.get(jobId))
+                this.pendingRequests.delete(jobId)
             }
 
             // Call the response handler
             if (this.onResponse) {
-                this.onResponse(responseData, event)
+                this.onResponse(responseData, event, validation)
             }
 
         } catch (error) {
@@ -279,7 +407,7 @@ export class NostrClient {
 
     async subscribeToDVMResponses() {
         const subscription = {
-            kinds: [5601], // DVM response kind
+            kinds: [DVM_KINDS.RESULT, DVM_KINDS.FEEDBACK], // NIP-90 results and job feedback
             '#p': [this.publicKey], // Responses addressed to us
             since: Math.floor(Date.now() / 1000) - 60 // Last minute
         }
@@ -306,20 +434,64 @@ export class NostrClient {
         return subscribed > 0
     }
 
+    // NIP-44 when the signer supports it, NIP-04 otherwise (older browser extensions)
+    getEncryptionScheme() {
+        if (!this.useAlby) return 'nip44'
+        if (window.nostr?.nip44) return 'nip44'
+        if (window.nostr?.nip04) return 'nip04'
+        throw new Error('Your signer cannot encrypt messages')
+    }
+
+    async encryptFor(pubkey, plaintext, scheme) {
+        if (this.useAlby) {
+            return window.nostr[scheme].encrypt(pubkey, plaintext)
+        }
+        if (scheme === 'nip04') {
+            return nip04.encrypt(this.privateKey, pubkey, plaintext)
+        }
+        return nip44.encrypt(nip44.utils.v2.getConversationKey(this.privateKey, pubkey), plaintext)
+    }
+
+    async decryptFrom(pubkey, ciphertext) {
+        // Results reuse the request's scheme; NIP-04 ciphertext is recognisable by its ?iv= suffix
+        const scheme = ciphertext.includes('?iv=') ? 'nip04' : 'nip44'
+
+        if (this.useAlby) {
+            return window.nostr[scheme].decrypt(pubkey, ciphertext)
+        }
+        if (scheme === 'nip04') {
+            return nip04.decrypt(this.privateKey, pubkey, ciphertext)
+        }
+        return nip44.decrypt(nip44.utils.v2.getConversationKey(this.privateKey, pubkey), ciphertext)
+    }
+
+    async encryptRequest(requestEvent) {
+        // NIP-90: inputs and params move into the encrypted content, only routing tags stay public
+        const isPrivate = tag => tag[0] === 'i' || tag[0] === 'param'
+        const scheme = this.getEncryptionScheme()
+
+        return {
+            ...requestEvent,
+            tags: [...requestEvent.tags.filter(tag => !isPrivate(tag)), ['encrypted']],
+            content: await this.encryptFor(this.dvmPublicKey, JSON.stringify(requestEvent.tags.filter(isPrivate)), scheme)
+        }
+    }
+
     async sendRequest(requestData) {
         if (!this.isReady()) {
             throw new Error('Client not ready - not connected to any relays')
         }
 
-        const { requestType, threatLevel, maxResults, useCase, context, currentRelays } = requestData
+        const { requestType, threatLevel, maxResults, useCase, context, currentRelays, rotationHours, timezone, network, minOnline, threatProfile, encrypt, powDifficulty } = requestData
 
         // Build properly structured request event
         const requestEvent = {
-            kind: 5600, // DVM request kind
+            kind: DVM_KINDS.REQUEST, // DVM request kind
             created_at: Math.floor(Date.now() / 1000),
             pubkey: this.publicKey, // CRITICAL: Must be present
             tags: [
                 ['p', this.dvmPublicKey], // DVM public key
+                ['output', 'application/json'],
                 ['param', 'request_type', requestType],
                 ['param', 'threat_level', threatLevel || 'medium'],
                 ['param', 'max_results', String(maxResults || 10)],
@@ -333,12 +505,37 @@ export class NostrClient {
             requestEvent.tags.push(['param', 'use_case', useCase])
         }
 
-        if (requestType === 'analyze' && currentRelays?.length > 0) {
-            requestEvent.tags.push(['param', 'current_relays', currentRelays.join(',')])
+        if (network && network !== 'mixed') {
+            requestEvent.tags.push(['param', 'network', network])
+        }
+
+        if (minOnline) {
+            requestEvent.tags.push(['param', 'min_online', String(minOnline)])
+        }
+
+        if (threatProfile) {
+            requestEvent.tags.push(['param', 'threat_profile', JSON.stringify(threatProfile)])
+        }
+
+        // NIP-90 inputs: each current relay is a url input
+        if (['analyze', 'discover', 'rotate'].includes(requestType) && currentRelays?.length > 0) {
+            currentRelays.forEach(relay => requestEvent.tags.push(['i', relay, 'url']))
+        }
+
+        if (requestType === 'rotate') {
+            requestEvent.tags.push(['param', 'rotation_hours', String(rotationHours || 6)])
+            requestEvent.tags.push(['param', 'timezone', timezone || 'UTC'])
+        }
+
+        // DVMs that demand NIP-13 proof of work reject requests whose id has too few leading zero bits
+        let unsignedEvent = encrypt ? await this.encryptRequest(requestEvent) : requestEvent
+        if (powDifficulty > 0) {
+            const { id, ...mined } = nip13.minePow(unsignedEvent, powDifficulty)
+            unsignedEvent = mined
         }
 
         // CRITICAL: Sign the event before sending
-        const signedEvent = await this.signEvent(requestEvent)
+        const signedEvent = await this.signEvent(unsignedEvent)
 
         console.log('📤 Sending DVM request:', {
             type: requestType,
@@ -376,6 +573,32 @@ export class NostrClient {
         return signedEvent
     }
 
+    // Signs a kind 10002 template from an outbox response with the user's key (the extension when
+    // connected through Alby) and publishes it to the connected relays
+    async publishRelayList(template) {
+        if (template?.kind !== 10002) {
+            throw new Error('Not a relay list template')
+        }
+
+        const signedEvent = await this.signEvent({
+            ...template,
+            created_at: Math.floor(Date.now() / 1000),
+            pubkey: this.publicKey
+        })
+
+        const results = await Promise.allSettled(
+            Array.from(this.connections.entries()).map(([url, ws]) => this.publishEventToRelay(ws, signedEvent, url))
+        )
+
+        const successful = results.filter(r => r.status === 'fulfilled').length
+        if (successful === 0) {
+            throw new Error('Failed to publish the relay list to any relay')
+        }
+
+        console.log(`✅ Relay list published to ${successful}/${results.length} relays`)
+        return { event: signedEvent, relays: successful }
+    }
+
     async publishEventToRelay(ws, event, relayUrl) {
         return new Promise((resolve, reject) => {
             if (ws.readyState !== WebSocket.OPEN) {
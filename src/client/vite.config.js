@@ -14,7 +14,11 @@ export default defineConfig({
   },
   server: {
     port: 3000,
-    open: true
+    open: true,
+    fs: {
+      // The response schema is shared with the DVM from src/constants
+      allow: ['.', '../constants']
+    }
   },
   build: {
     outDir: 'dist',
@@ -1,11 +1,27 @@
 // DVM Event Kinds - Standardized across the application
+// Follows NIP-90: results are published on request kind + 1000, progress on kind 7000
 export const DVM_KINDS = {
-    REQUEST: 5600,  // DVM job request
-    RESPONSE: 5601, // DVM job result  
-    FEEDBACK: 7000  // DVM job feedback
+    REQUEST: 5600,       // DVM job request
+    RESULT: 6600,        // DVM job result (REQUEST + 1000)
+    FEEDBACK: 7000,      // DVM job feedback
+    HANDLER_INFO: 31990  // NIP-89 handler announcement
 }
 
 // Export individual constants for convenience
-export const DVM_REQUEST_KIND = 5600
-export const DVM_RESPONSE_KIND = 5601
-export const DVM_FEEDBACK_KIND = 7000
\ No newline at end of file
+export const DVM_REQUEST_KIND = DVM_KINDS.REQUEST
+export const DVM_RESULT_KIND = DVM_KINDS.RESULT
+export const DVM_FEEDBACK_KIND = DVM_KINDS.FEEDBACK
+export const DVM_HANDLER_INFO_KIND = DVM_KINDS.HANDLER_INFO
+
+// Values of the `status` tag on kind 7000 feedback events
+export const FEEDBACK_STATUS = {
+    PAYMENT_REQUIRED: 'payment-required',
+    PROCESSING: 'processing',
+    ERROR: 'error',
+    SUCCESS: 'success',
+    PARTIAL: 'partial'
+}
+
+export function resultKindFor(requestKind) {
+    return requestKind + 1000
+}
@@ -0,0 +1,466 @@
+// DVM Response Contract - shared by the DVM (src/dvm) and the clients
+// Every response payload carries schema_version; bump the major version on breaking changes and
+// the minor version on additions, so clients can tell which fields to expect
+//
+// 1.1 (additions, 1.x clients keep working):
+//   - outbox_relays response type for the `outbox` request (NIP-65 read/write sets, kind 10002 template)
+//   - analysis: exposure (per-relay privacy exposure), clusters; relay_score: uptime_7d, trend, cluster
+//   - recommendations: network_type, mirror_of, cluster, selection; health summary: trends
+export const RESPONSE_SCHEMA_VERSION = '1.1'
+
+const number = { type: 'number' }
+const nullableNumber = { type: ['number', 'null'] }
+const string = { type: 'string' }
+const timestamp = { type: 'integer', minimum: 0 }
+
+export const RESPONSE_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://github.com/Bigbrotr/relay-shadow-dvm/response.schema.json',
+    title: 'Relay Shadow DVM response',
+    type: 'object',
+    required: ['type', 'schema_version', 'timestamp'],
+    properties: {
+        type: {
+            enum: [
+                'relay_recommendations',
+                'relay_analysis',
+                'discovery_recommendations',
+                'relay_health_summary',
+                'rotation_strategy',
+                'outbox_relays',
+                'error'
+            ]
+        },
+        schema_version: string,
+        request_id: { type: ['string', 'null'] },
+        timestamp,
+        metadata: { type: 'object' }
+    },
+    $defs: {
+        // Who runs a relay and where, null until the relay clusters are built
+        cluster: {
+            type: ['object', 'null'],
+            properties: {
+                operator: string,
+                country: { type: ['string', 'null'] },
+                asn: { type: ['integer', 'null'] },
+                as_org: { type: ['string', 'null'] },
+                software: { type: ['string', 'null'] }
+            }
+        },
+        recommendation: {
+            type: 'object',
+            required: ['url', 'scores', 'reasoning'],
+            properties: {
+                url: string,
+                scores: {
+                    type: 'object',
+                    required: ['overall', 'privacy', 'reliability'],
+                    properties: {
+                        overall: number,
+                        privacy: number,
+                        reliability: number
+                    }
+                },
+                reasoning: string,
+                network_type: { enum: ['clearnet', 'tor', 'i2p'] },
+                mirror_of: { type: ['string', 'null'] },
+                cluster: { $ref: '#/$defs/cluster' },
+                // Why the relay is in the set, given the relays picked before it
+                selection: {
+                    type: 'object',
+                    required: ['rank', 'reasons'],
+                    properties: {
+                        rank: { type: 'integer' },
+                        gain: number,
+                        new_follows: { type: 'integer' },
+                        independent_online: { type: 'boolean' },
+                        diversity_penalty: number,
+                        reasons: { type: 'array', items: string }
+                    }
+                },
+                network: {
+                    type: 'object',
+                    properties: {
+                        following_users: { type: 'integer' },
+                        total_influence_weight: number
+                    }
+                }
+            }
+        },
+        relay_score: {
+            type: 'object',
+            required: ['url', 'known', 'flags'],
+            properties: {
+                url: string,
+                known: { type: 'boolean' },
+                online: { type: ['boolean', 'null'] },
+                network: { type: ['string', 'null'] },
+                overall_score: nullableNumber,
+                privacy_score: nullableNumber,
+                reliability_score: nullableNumber,
+                performance_score: nullableNumber,
+                diversity_score: nullableNumber,
+                uptime_7d: nullableNumber,
+                // Last 7 days against the 23 before them, null for unknown relays
+                trend: { enum: ['improving', 'degrading', 'stable', 'unknown', null] },
+                cluster: { $ref: '#/$defs/cluster' },
+                same_operator_as: string,
+                flags: { type: 'array', items: string }
+            }
+        },
+        suggestion: {
+            type: 'object',
+            required: ['replace', 'with', 'reason'],
+            properties: {
+                replace: string,
+                with: { type: ['string', 'null'] },
+                reason: string
+            }
+        },
+        discovery: {
+            type: 'object',
+            required: ['url', 'discovery_score', 'followed_publishers', 'new_publishers', 'reasoning'],
+            properties: {
+                url: string,
+                discovery_score: number,
+                followed_publishers: { type: 'integer' },
+                new_publishers: { type: 'integer' },
+                avg_publisher_influence: number,
+                novelty_ratio: number,
+                reasoning: string
+            }
+        },
+        rotation_slot: {
+            type: 'object',
+            required: ['index', 'local_start', 'local_end', 'utc_start', 'utc_end', 'relays'],
+            properties: {
+                index: { type: 'integer' },
+                local_start: string,
+                local_end: string,
+                utc_start: string,
+                utc_end: string,
+                relays: { type: 'array', items: string },
+                reason: string
+            }
+        },
+        relay_exposure: {
+            type: 'object',
+            required: ['url', 'operator', 'exposure', 'risks'],
+            properties: {
+                url: string,
+                known: { type: 'boolean' },
+                operator: string,
+                holds_contact_list: { type: 'boolean' },
+                user_events: { type: 'integer' },
+                user_event_share: nullableNumber,
+                dm_events: { type: 'integer' },
+                stores_dms: { type: 'boolean' },
+                // null when the relay has no NIP-11 document saying either way
+                auth_required: { type: ['boolean', 'null'] },
+                supports_auth: { type: ['boolean', 'null'] },
+                same_operator_as: { type: 'array', items: string },
+                exposure: { enum: ['low', 'medium', 'high', 'unknown'] },
+                risks: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['risk', 'description'],
+                        properties: {
+                            risk: { enum: ['social_graph', 'activity', 'auth', 'direct_messages', 'shared_operator'] },
+                            description: string
+                        }
+                    }
+                }
+            }
+        },
+        // Read relay picked to reach the follows that write to it (NIP-65 outbox)
+        read_relay: {
+            type: 'object',
+            required: ['url', 'follows', 'new_follows', 'reason'],
+            properties: {
+                url: string,
+                follows: { type: 'integer' },
+                new_follows: { type: 'integer' },
+                overall_score: nullableNumber,
+                online: { type: ['boolean', 'null'] },
+                reason: string
+            }
+        },
+        write_relay: {
+            type: 'object',
+            required: ['url', 'reasons'],
+            properties: {
+                url: string,
+                overall_score: number,
+                network_type: { enum: ['clearnet', 'tor', 'i2p'] },
+                reasons: { type: 'array', items: string }
+            }
+        }
+    },
+    // Body schema per response type, checked after the envelope above
+    variants: {
+        relay_recommendations: {
+            required: ['recommendations'],
+            properties: {
+                recommendations: {
+                    type: 'object',
+                    required: ['primary', 'backup'],
+                    properties: {
+                        primary: { type: 'array', items: { $ref: '#/$defs/recommendation' } },
+                        backup: { type: 'array', items: { $ref: '#/$defs/recommendation' } }
+                    }
+                }
+            }
+        },
+        relay_analysis: {
+            required: ['current_setup', 'scores', 'metrics', 'suggestions'],
+            properties: {
+                current_setup: {
+                    type: 'object',
+                    required: ['relay_count', 'relays'],
+                    properties: {
+                        relay_count: { type: 'integer' },
+                        known_relays: { type: 'integer' },
+                        online_relays: { type: 'integer' },
+                        inferred: { type: 'boolean' },
+                        relays: { type: 'array', items: { $ref: '#/$defs/relay_score' } }
+                    }
+                },
+                scores: {
+                    type: 'object',
+                    required: ['privacy', 'diversity', 'reliability'],
+                    properties: {
+                        privacy: nullableNumber,
+                        diversity: nullableNumber,
+                        reliability: nullableNumber
+                    }
+                },
+                metrics: { type: 'object' },
+                clusters: {
+                    type: 'object',
+                    required: ['operators', 'shared'],
+                    properties: {
+                        operators: { type: 'integer' },
+                        jurisdictions: { type: 'integer' },
+                        asns: { type: 'integer' },
+                        shared: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['dimension', 'key', 'relays'],
+                                properties: {
+                                    dimension: { enum: ['operator', 'jurisdiction', 'asn', 'software'] },
+                                    key: string,
+                                    label: string,
+                                    relays: { type: 'array', items: string }
+                                }
+                            }
+                        }
+                    }
+                },
+                // What each relay and its operator can learn about the requester
+                exposure: {
+                    type: 'object',
+                    required: ['relays', 'summary'],
+                    properties: {
+                        relays: { type: 'array', items: { $ref: '#/$defs/relay_exposure' } },
+                        summary: {
+                            type: 'object',
+                            required: ['operators', 'operators_with_social_graph'],
+                            properties: {
+                                operators: { type: 'integer' },
+                                operators_with_social_graph: { type: 'integer' },
+                                operators_with_direct_messages: { type: 'integer' },
+                                auth_relays: { type: 'integer' },
+                                dm_storing_relays: { type: 'integer' },
+                                shared_operators: { type: 'integer' },
+                                high_exposure: { type: 'array', items: string }
+                            }
+                        }
+                    }
+                },
+                suggestions: { type: 'array', items: { $ref: '#/$defs/suggestion' } }
+            }
+        },
+        discovery_recommendations: {
+            required: ['discoveries'],
+            properties: {
+                discoveries: { type: 'array', items: { $ref: '#/$defs/discovery' } }
+            }
+        },
+        relay_health_summary: {
+            required: ['summary', 'networks', 'degraded_relays'],
+            properties: {
+                summary: {
+                    type: 'object',
+                    required: ['total', 'healthy', 'online', 'offline'],
+                    properties: {
+                        total: { type: 'integer' },
+                        healthy: { type: 'integer' },
+                        unhealthy: { type: 'integer' },
+                        online: { type: 'integer' },
+                        offline: { type: 'integer' },
+                        unchecked: { type: 'integer' },
+                        average_uptime: nullableNumber,
+                        average_latency: nullableNumber,
+                        rtt_percentiles: { type: 'object' },
+                        nip11_coverage: { type: 'object' },
+                        // Relays per reliability trend
+                        trends: { type: 'object' }
+                    }
+                },
+                networks: { type: 'object' },
+                degraded_relays: { type: 'array', items: { type: 'object', required: ['url'] } }
+            }
+        },
+        rotation_strategy: {
+            required: ['schedule'],
+            properties: {
+                schedule: {
+                    type: 'object',
+                    required: ['timezone', 'rotation_hours', 'current_slot', 'slots'],
+                    properties: {
+                        timezone: string,
+                        rotation_hours: { type: 'integer' },
+                        current_slot: { type: 'integer' },
+                        slots: { type: 'array', items: { $ref: '#/$defs/rotation_slot' } }
+                    }
+                }
+            }
+        },
+        outbox_relays: {
+            required: ['relay_list', 'coverage', 'event_template'],
+            properties: {
+                relay_list: {
+                    type: 'object',
+                    required: ['read', 'write'],
+                    properties: {
+                        read: { type: 'array', items: { $ref: '#/$defs/read_relay' } },
+                        write: { type: 'array', items: { $ref: '#/$defs/write_relay' } },
+                        // The requester's latest kind 10002, null if none was found
+                        current: {
+                            type: ['object', 'null'],
+                            properties: {
+                                read: { type: 'array', items: string },
+                                write: { type: 'array', items: string }
+                            }
+                        }
+                    }
+                },
+                coverage: {
+                    type: 'object',
+                    required: ['follows', 'reachable', 'covered'],
+                    properties: {
+                        follows: { type: 'integer' },
+                        with_relay_list: { type: 'integer' },
+                        inferred: { type: 'integer' },
+                        reachable: { type: 'integer' },
+                        covered: { type: 'integer' },
+                        offline_relays_skipped: { type: 'integer' }
+                    }
+                },
+                // Unsigned kind 10002 event for the client to sign and publish
+                event_template: {
+                    type: 'object',
+                    required: ['kind', 'created_at', 'tags', 'content'],
+                    properties: {
+                        kind: { enum: [10002] },
+                        created_at: timestamp,
+                        tags: { type: 'array', items: { type: 'array', items: string } },
+                        content: string
+                    }
+                }
+            }
+        },
+        error: {
+            required: ['error'],
+            properties: {
+                error: string
+            }
+        }
+    }
+}
+
+// Minimal JSON Schema checker covering the keywords used above, so neither side needs a validator dependency
+function typeOf(value) {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (Number.isInteger(value)) return 'integer'
+    return typeof value
+}
+
+function matchesType(value, expected) {
+    const actual = typeOf(value)
+    const types = Array.isArray(expected) ? expected : [expected]
+    return types.some(type => type === actual || (type === 'number' && actual === 'integer'))
+}
+
+function resolveRef(ref) {
+    const name = ref.replace('#/$defs/', '')
+    return RESPONSE_SCHEMA.$defs[name]
+}
+
+function check(value, schema, path, errors) {
+    if (schema.$ref) {
+        check(value, resolveRef(schema.$ref), path, errors)
+        return
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`)
+        return
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`)
+    }
+
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum}`)
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key}: is required`)
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) check(value[key], propertySchema, `${path}.${key}`, errors)
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors))
+    }
+}
+
+export function isCompatibleVersion(version) {
+    if (typeof version !== 'string') return false
+    return version.split('.')[0] === RESPONSE_SCHEMA_VERSION.split('.')[0]
+}
+
+// Returns { valid, compatible, errors }; compatible is false when the payload comes from another major version
+export function validateResponse(payload) {
+    const errors = []
+
+    if (!payload || typeOf(payload) !== 'object') {
+        return { valid: false, compatible: false, errors: ['response: expected object'] }
+    }
+
+    if (!isCompatibleVersion(payload.schema_version)) {
+        return {
+            valid: false,
+            compatible: false,
+            errors: [`schema_version: expected ${RESPONSE_SCHEMA_VERSION.split('.')[0]}.x, got ${payload.schema_version ?? 'none'}`]
+        }
+    }
+
+    check(payload, RESPONSE_SCHEMA, 'response', errors)
+
+    const variant = RESPONSE_SCHEMA.variants[payload.type]
+    if (variant) {
+        check(payload, variant, 'response', errors)
+    }
+
+    return { valid: errors.length === 0, compatible: true, errors }
+}
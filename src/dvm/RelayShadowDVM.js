@@ -2,23 +2,82 @@
 // Built for Bitcoin++ Privacy Hackathon 2025
 
 import { Pool } from 'pg';
-import { generatePrivateKey, getPublicKey, finishEvent, validateEvent } from 'nostr-tools';
+import { validateEvent } from 'nostr-tools';
+import { RESPONSE_SCHEMA_VERSION, validateResponse } from '../constants/response-schema.js';
+import { DVM_KINDS, FEEDBACK_STATUS, resultKindFor } from '../constants/dvm-kinds.js';
+import { buildHandlerInfoEvent, NETWORK_PREFERENCES } from './service-info.js';
+import { createInvoiceBackend } from './payments.js';
+import { JobLedger, JOB_STATUS, RESTART_MESSAGE } from './job-ledger.js';
+import { RequestLimiter, isOpenJob } from './rate-limit.js';
+import { JobQueue, JOB_PRIORITY } from './job-queue.js';
+import { RelayPool, isPublicRelayUrl } from './relay-pool.js';
+import { validateScoring, parseThreatProfile, getThreatProfile, describeScoring, saveQualityWeights, MAX_MIN_ONLINE } from './scoring.js';
+import { ensureClusterTable, loadRelayClusters, getRelayCluster } from './clustering.js';
+import { AnalyticsRefresher } from './analytics-refresh.js';
+import { summarizeClusters, describeCluster } from './diversity.js';
+import { optimizeRelaySet } from './relay-set.js';
+import { buildExposureReport } from './exposure.js';
+import { RELAY_LIST_KIND, parseRelayList, coverFollows, buildRelayListTemplate } from './outbox.js';
+
+const SHUTDOWN_MESSAGE = 'DVM is shutting down, please resubmit the job';
+// How long abandoned jobs get to deliver their error feedback before the relays are closed
+const SHUTDOWN_NOTICE_MS = 5000;
 
 class RelayShadowDVM {
     constructor(config) {
+        this.config = config;
         this.db = new Pool(config.database);
-        this.privateKey = config.privateKey || generatePrivateKey();
-        this.publicKey = getPublicKey(this.privateKey);
+        if (!config.signer) {
+            throw new Error('RelayShadowDVM needs a signer, see loadSigner() in src/dvm/keys.js');
+        }
+        // Local key or NIP-46 bunker; the secret key itself never reaches this class
+        this.signer = config.signer;
+        this.publicKey = this.signer.publicKey;
         this.dvmRelays = config.dvmRelays || ['wss://relay.damus.io', 'wss://relay.snort.social', 'wss://nos.lol'];
+        this.algorithm = { minRelayScore: 5.0, ...config.algorithm };
+        // A bad weight should stop the DVM here, not surface as odd rankings later
+        this.scoring = validateScoring(config.scoring);
+        this.jobs = new JobLedger(this.db, config.jobs);
+        this.limiter = new RequestLimiter(config.rateLimit);
+        this.acceptOpenJobs = config.rateLimit.openJobs?.enabled === true;
+        this.queue = new JobQueue(config.queue);
+        this.jobsTimedOut = 0;
+        // Folds new events and relay checks into the analytics tables on a timer
+        this.analytics = new AnalyticsRefresher(this.db, config.analytics);
+
+        // Cleared by shutdown(): no new jobs are taken and running ones are told to give up
+        this.accepting = true;
+        this.inFlight = new Map();
+        this.jobAbort = new AbortController();
+
+        // DVM Configuration (NIP-90)
+        this.dvmKind = DVM_KINDS.REQUEST; // DVM request kind
+        this.dvmResultKind = resultKindFor(this.dvmKind); // DVM result kind
+        this.dvmFeedbackKind = DVM_KINDS.FEEDBACK; // Job status feedback kind
+
+        // Relay connections: reconnect with backoff, resubscribe, answer NIP-42 AUTH
+        this.pool = new RelayPool(this.dvmRelays, {
+            ...config.relayPool,
+            signEvent: event => this.signEvent(event),
+            handlers: {
+                onEvent: (relayUrl, subscriptionId, event) => this.handleRelayEvent(relayUrl, event),
+                onOk: (relayUrl, eventId, accepted, message) => {
+                    if (!accepted) console.log(`❌ Event ${eventId?.substring(0, 8)} rejected by ${relayUrl}: ${message}`);
+                },
+                onNotice: (relayUrl, message) => console.log(`📢 Notice from ${relayUrl}:`, message),
+                onClosed: (relayUrl, subscriptionId, message) => console.log(`🚫 ${relayUrl} closed ${subscriptionId}: ${message}`)
+            }
+        });
+        this.announceTimer = null;
 
-        // DVM Configuration
-        this.dvmKind = 5600; // DVM request kind
-        this.dvmResponseKind = 5601; // DVM response kind
-        this.dvmJobRequestKind = 68001; // Custom job request kind for relay recommendations
+        // Delivery counters for /api/dvm/metrics, one entry per published event
+        this.delivery = { published: 0, confirmed: 0, unconfirmed: 0, retries: 0, fallbacks: 0 };
 
-        // WebSocket connections
-        this.connections = new Map();
-        this.subscriptions = new Map();
+        // Priced jobs wait here until their invoice settles
+        this.invoices = createInvoiceBackend(config.payments);
+        this.pendingPayments = new Map();
+        this.paymentTimer = null;
+        this.checkingPayments = false;
 
         console.log(`🔮 Relay Shadow DVM initialized`);
         console.log(`📡 Public Key: ${this.publicKey}`);
@@ -38,7 +97,7 @@ class RelayShadowDVM {
     // Add signEvent method to class
     async signEvent(event) {
         try {
-            return finishEvent(event, this.privateKey);
+            return await this.signer.signEvent(event);
         } catch (error) {
             console.error('Event signing failed:', error);
             throw error;
@@ -47,13 +106,17 @@ class RelayShadowDVM {
 
     async start() {
         try {
+            // Jobs answered before a restart must not be answered again
+            const interrupted = await this.jobs.init();
+            await this.applyQualityWeights();
+            // Empty until `npm run clusters` fills it, relay sets are then ranked by score alone
+            await ensureClusterTable(this.db);
+            await this.analytics.init();
+
             // Connect to relays
             console.log(`🌐 Connecting to ${this.dvmRelays.length} relays...`);
 
-            const connectionPromises = this.dvmRelays.map(relay => this.connectToRelay(relay));
-            const results = await Promise.allSettled(connectionPromises);
-
-            const connected = results.filter(r => r.status === 'fulfilled').length;
+            const connected = await this.pool.connect();
             console.log(`✅ Connected to ${connected}/${this.dvmRelays.length} relays`);
 
             if (connected === 0) {
@@ -63,6 +126,16 @@ class RelayShadowDVM {
             // Subscribe to DVM requests
             await this.subscribeToRequests();
 
+            // Advertise the service (NIP-89) and refresh it so clients keep finding us
+            await this.announce();
+            this.announceTimer = setInterval(() => {
+                this.announce().catch(error => console.error('Failed to refresh handler announcement:', error));
+            }, this.config.dvm.announceIntervalMs);
+
+            this.analytics.start();
+            this.jobs.start();
+            await this.notifyInterruptedJobs(interrupted);
+
             console.log('✅ Relay Shadow DVM is now listening for requests...');
             return true;
 
@@ -72,160 +145,372 @@ class RelayShadowDVM {
         }
     }
 
-    async connectToRelay(relayUrl) {
-        return new Promise((resolve, reject) => {
-            try {
-                const ws = new WebSocket(relayUrl);
-                const timeout = setTimeout(() => {
-                    ws.close();
-                    reject(new Error(`Connection timeout: ${relayUrl}`));
-                }, 10000);
-
-                ws.onopen = () => {
-                    clearTimeout(timeout);
-                    this.connections.set(relayUrl, ws);
-                    console.log(`  ✓ Connected to ${relayUrl}`);
-                    resolve(ws);
-                };
+    // relay_recommendations bakes the quality weights in, so changed weights need a refresh
+    async applyQualityWeights() {
+        if (!(await saveQualityWeights(this.db, this.scoring.quality))) return;
 
-                ws.onerror = (error) => {
-                    clearTimeout(timeout);
-                    console.log(`  ✗ Failed to connect to ${relayUrl}:`, error.message);
-                    reject(error);
-                };
+        console.log('⚖️  Quality weights changed, refreshing relay_recommendations...');
+        try {
+            await this.db.query('REFRESH MATERIALIZED VIEW relay_recommendations');
+        } catch (error) {
+            console.warn('⚠ Could not refresh relay_recommendations, run npm run setup to apply the new weights:', error.message);
+        }
+    }
 
-                ws.onmessage = (event) => {
-                    this.handleRelayMessage(relayUrl, event.data);
-                };
+    handleRelayEvent(relayUrl, event) {
+        if (this.isDVMRequest(event)) {
+            console.log(`📨 Received DVM request from ${relayUrl}`);
+            this.handleDVMRequest(event, relayUrl).catch(error => {
+                console.error(`Failed to handle DVM request from ${relayUrl}:`, error.message);
+            });
+        }
+    }
 
-                ws.onclose = (event) => {
-                    this.connections.delete(relayUrl);
-                    console.log(`  ⚠ Disconnected from ${relayUrl}`, event.code);
+    isDVMRequest(event) {
+        // Relays forward whatever they were sent, the signature is only checked later
+        if (!event || typeof event !== 'object' || !Array.isArray(event.tags)) return false;
+        if (event.kind !== this.dvmKind) return false;
 
-                    // Attempt reconnection after delay
-                    setTimeout(() => {
-                        this.connectToRelay(relayUrl).catch(() => {
-                            console.log(`Failed to reconnect to ${relayUrl}`);
-                        });
-                    }, 5000);
-                };
+        if (isOpenJob(event)) return this.acceptOpenJobs;
+        return event.tags.some(tag => Array.isArray(tag) && tag[0] === 'p' && tag[1] === this.publicKey);
+    }
 
-            } catch (error) {
-                reject(error);
-            }
+    async subscribeToRequests() {
+        // Evaluated on every (re)subscription so a reconnect does not replay the whole window again
+        // Only jobs addressed to us unless open jobs were enabled, then relays have to send every request
+        const subscription = () => ({
+            kinds: [this.dvmKind],
+            ...(this.acceptOpenJobs ? {} : { '#p': [this.publicKey] }),
+            since: Math.floor(Date.now() / 1000) - this.jobs.maxAgeSeconds
         });
+
+        this.requestSubscription = `dvm-requests-${Date.now()}`;
+        const subscribed = this.pool.subscribe(this.requestSubscription, subscription);
+
+        console.log(`👂 Subscribed to DVM requests on ${subscribed} relays`);
     }
 
-    handleRelayMessage(relayUrl, message) {
+    async handleDVMRequest(event, relayUrl) {
+        // Relays may still deliver a few requests before they see the CLOSE
+        if (!this.accepting) return
+
+        // Validate the request
+        if (!this.validateEvent(event)) {
+            console.log('❌ Invalid event received')
+            return
+        }
+
+        if (this.jobs.isStale(event)) {
+            console.log(`⏭ Ignoring stale job ${event.id.substring(0, 8)} (created_at ${event.created_at})`)
+            return
+        }
+
+        // Spam is turned away before it costs a database round trip
+        const verdict = this.limiter.check(event)
+        if (!verdict.allowed) {
+            await this.rejectJob(event, relayUrl, verdict)
+            return
+        }
+
+        // Every relay delivers the same job, only the first delivery runs it
         try {
-            const parsed = JSON.parse(message);
-            const [messageType, subscriptionId, event] = parsed;
-
-            switch (messageType) {
-                case 'EVENT':
-                    if (this.isDVMRequest(event)) {
-                        console.log(`📨 Received DVM request from ${relayUrl}`);
-                        this.handleDVMRequest(event);
-                    }
-                    break;
-                case 'NOTICE':
-                    console.log(`📢 Notice from ${relayUrl}:`, subscriptionId);
-                    break;
-                case 'EOSE':
-                    console.log(`📄 End of stored events from ${relayUrl}`);
-                    break;
-                case 'OK':
-                    console.log(`✅ Event accepted by ${relayUrl}:`, subscriptionId);
-                    break;
-                default:
-                    // Unknown message type
-                    break;
+            if (!(await this.jobs.claim(event, relayUrl))) return
+        } catch (error) {
+            console.error(`Job ledger unavailable, skipping ${event.id.substring(0, 8)}:`, error.message)
+            return
+        }
+
+        try {
+            console.log(`📨 Processing DVM request from ${event.pubkey.substring(0, 8)}...`)
+
+            // Parse request parameters, revealing encrypted ones first
+            const request = this.parseRequest(await this.decryptJobRequest(event))
+            console.log(`🔍 Request type: ${request.type}, Threat level: ${request.threatLevel}`)
+
+            const price = this.getJobPrice(request.type)
+            if (price > 0) {
+                await this.requestPayment(event, request, price)
+                return
             }
+
+            const priority = this.limiter.isAllowlisted(event.pubkey) ? JOB_PRIORITY.HIGH : JOB_PRIORITY.NORMAL
+            await this.enqueueJob(event, request, priority)
+
         } catch (error) {
-            console.warn(`⚠ Invalid message from ${relayUrl}:`, error.message);
+            await this.failJob(event, error)
         }
     }
 
-    isDVMRequest(event) {
-        if (event.kind !== this.dvmKind) return false;
-
-        // Check if addressed to our DVM
-        const isForUs = event.tags.some(tag =>
-            tag[0] === 'p' && tag[1] === this.publicKey
-        );
+    async enqueueJob(event, request, priority) {
+        // An invoice can settle while the DVM is shutting down
+        if (!this.accepting) {
+            await this.abandonJob(event)
+            return
+        }
 
-        return isForUs;
+        // Recorded first, the job may start before anything after push() runs
+        await this.recordJob(event.id, JOB_STATUS.QUEUED, { requestType: request.type })
+
+        this.inFlight.set(event.id, event)
+        const accepted = this.queue.push(
+            () => this.runJob(event, request)
+                .catch(error => this.failJob(event, error))
+                .finally(() => this.inFlight.delete(event.id)),
+            { id: event.id, priority }
+        )
+        if (accepted) return
+
+        this.inFlight.delete(event.id)
+        await this.recordJob(event.id, JOB_STATUS.REJECTED, { error: 'Job queue is full' })
+        await this.sendResponse(event, {
+            type: 'error',
+            error: 'DVM is busy, job queue is full. Retry in a minute',
+            timestamp: Math.floor(Date.now() / 1000)
+        })
     }
 
-    async subscribeToRequests() {
-        const subscription = {
-            kinds: [this.dvmKind],
-            '#p': [this.publicKey], // Requests addressed to us
-            since: Math.floor(Date.now() / 1000) - 3600 // Last hour
-        };
+    async runJob(event, request) {
+        await this.recordJob(event.id, JOB_STATUS.PROCESSING, { requestType: request.type })
 
-        const subscriptionId = `dvm-requests-${Date.now()}`;
-        this.subscriptions.set(subscriptionId, subscription);
+        // Progress feedback is best effort, the job does not wait for relays to confirm or retry it
+        this.sendFeedback(event, FEEDBACK_STATUS.PROCESSING, `Running ${request.type} job`).catch(error => {
+            console.error(`Failed to send processing feedback for ${event.id.substring(0, 8)}:`, error.message)
+        })
 
-        const subscribeMessage = ['REQ', subscriptionId, subscription];
+        const response = await this.executeJob(request)
 
-        Array.from(this.connections.values()).forEach(ws => {
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.send(JSON.stringify(subscribeMessage));
-            }
-        });
+        // Send response immediately after processing
+        const published = await this.sendResponse(event, response)
 
-        console.log('👂 Subscribed to DVM requests');
+        if (published.kind === this.dvmResultKind) {
+            await this.recordJob(event.id, JOB_STATUS.SUCCESS, { resultEventId: published.id })
+        } else {
+            await this.recordJob(event.id, JOB_STATUS.ERROR, { error: response.error || 'Response did not match the schema' })
+        }
+    }
+
+    getJobTimeout(requestType) {
+        const { timeouts } = this.config.queue
+        return timeouts.requests[requestType] || timeouts.default
     }
 
-    async handleDVMRequest(event) {
+    // Runs the handler on a dedicated connection so a job that overruns its timeout can have its
+    // query cancelled; statement_timeout backs that up on the server side
+    async executeJob(request) {
+        if (this.jobAbort.signal.aborted) throw new Error(SHUTDOWN_MESSAGE)
+
+        const timeoutMs = this.getJobTimeout(request.type)
+        const db = await this.db.connect()
+        let timedOut = false
+        let aborted = false
+        let timer
+        let abort
+
         try {
-            console.log(`📨 Processing DVM request from ${event.pubkey.substring(0, 8)}...`)
+            await db.query(`SET statement_timeout = ${timeoutMs}`)
+
+            const work = this.dispatchJob({ ...request, db })
+            const deadline = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    timedOut = true
+                    reject(new Error(`${request.type} job timed out after ${timeoutMs / 1000}s`))
+                }, timeoutMs)
+
+                // A shutdown that runs out of patience cancels the job the same way
+                abort = () => {
+                    aborted = true
+                    reject(new Error(SHUTDOWN_MESSAGE))
+                }
+                this.jobAbort.signal.addEventListener('abort', abort, { once: true })
+            })
 
-            // Validate the request
-            if (!this.validateEvent(event)) {
-                console.log('❌ Invalid event received')
-                return
+            return await Promise.race([work, deadline])
+        } catch (error) {
+            if (timedOut) this.jobsTimedOut++
+            if (timedOut || aborted) {
+                await this.db.query('SELECT pg_cancel_backend($1)', [db.processID])
+                    .catch(cancelError => console.error('Failed to cancel job query:', cancelError.message))
+            }
+            throw error
+        } finally {
+            clearTimeout(timer)
+            this.jobAbort.signal.removeEventListener('abort', abort)
+
+            // A cancelled connection may still be busy, drop it instead of handing it back to the pool
+            if (timedOut || aborted) {
+                db.release(true)
+            } else {
+                await db.query('RESET statement_timeout').catch(() => {})
+                db.release()
             }
+        }
+    }
 
-            // Parse request parameters
-            const request = this.parseRequest(event)
-            console.log(`🔍 Request type: ${request.type}, Threat level: ${request.threatLevel}`)
+    async dispatchJob(request) {
+        switch (request.type) {
+            case 'recommend':
+                return this.generateRecommendations(request)
+            case 'analyze':
+                return this.analyzeCurrentSetup(request)
+            case 'discover':
+                return this.generateDiscoveryRecommendations(request)
+            case 'health':
+                return this.getRelayHealthSummary(request)
+            case 'rotate':
+                return this.generateRotationStrategy(request)
+            case 'outbox':
+                return this.generateOutboxRelays(request)
+            default:
+                return this.generateRecommendations(request)
+        }
+    }
 
-            // Process the request
-            let response
-            switch (request.type) {
-                case 'recommend':
-                    response = await this.generateRecommendations(request)
-                    break
-                case 'analyze':
-                    response = await this.analyzeCurrentSetup(request)
-                    break
-                case 'discover':
-                    response = await this.generateDiscoveryRecommendations(request)
-                    break
-                case 'health':
-                    response = await this.getRelayHealthSummary(request)
-                    break
-                default:
-                    response = await this.generateRecommendations(request)
-            }
+    getMetrics() {
+        return {
+            queue: this.queue.getStats(),
+            jobsTimedOut: this.jobsTimedOut,
+            shuttingDown: !this.accepting,
+            delivery: this.delivery,
+            pendingPayments: this.pendingPayments.size,
+            relays: this.pool.getStats(),
+            analytics: this.analytics.getStats()
+        }
+    }
 
-            // Send response immediately after processing
-            await this.sendResponse(event, response)
+    async failJob(event, error) {
+        console.error('Error handling DVM request:', error)
+        await this.recordJob(event.id, JOB_STATUS.ERROR, { error: error.message })
 
+        // Send error feedback
+        try {
+            await this.sendResponse(event, {
+                type: 'error',
+                error: error.message,
+                timestamp: Math.floor(Date.now() / 1000)
+            })
+        } catch (sendError) {
+            console.error('Failed to send error response:', sendError)
+        }
+    }
+
+    // For jobs that never got to run because the DVM went away
+    async abandonJob(event) {
+        console.log(`🛑 Abandoning job ${event.id.substring(0, 8)}`)
+        await this.recordJob(event.id, JOB_STATUS.INTERRUPTED, { error: SHUTDOWN_MESSAGE })
+
+        try {
+            await this.sendResponse(event, {
+                type: 'error',
+                error: SHUTDOWN_MESSAGE,
+                timestamp: Math.floor(Date.now() / 1000)
+            })
         } catch (error) {
-            console.error('Error handling DVM request:', error)
+            console.error('Failed to send shutdown notice:', error.message)
+        }
+    }
 
-            // Send error response
+    // Jobs a crash or kill cut short: their requesters are told to resubmit, like abandoned ones on shutdown
+    async notifyInterruptedJobs(jobs) {
+        for (const job of jobs) {
+            // The ledger only keeps the id and author, enough to address the feedback
+            const event = { id: job.id, pubkey: job.pubkey, tags: [], content: '' }
             try {
                 await this.sendResponse(event, {
                     type: 'error',
-                    error: error.message,
+                    error: RESTART_MESSAGE,
                     timestamp: Math.floor(Date.now() / 1000)
                 })
-            } catch (sendError) {
-                console.error('Failed to send error response:', sendError)
+                await this.recordJob(job.id, JOB_STATUS.ERROR)
+            } catch (error) {
+                console.error(`Failed to tell ${job.pubkey.substring(0, 8)} about interrupted job ${job.id.substring(0, 8)}:`, error.message)
+            }
+        }
+    }
+
+    async rejectJob(event, relayUrl, { reason, message, notify }) {
+        console.log(`🚫 Rejected job ${event.id.substring(0, 8)} from ${event.pubkey.substring(0, 8)}: ${reason}`)
+        if (!notify) return
+
+        try {
+            if (await this.jobs.claim(event, relayUrl)) {
+                await this.recordJob(event.id, JOB_STATUS.REJECTED, { error: message })
+            }
+            await this.sendResponse(event, {
+                type: 'error',
+                error: message,
+                timestamp: Math.floor(Date.now() / 1000)
+            })
+        } catch (error) {
+            console.error('Failed to send rejection feedback:', error)
+        }
+    }
+
+    // The ledger is bookkeeping, a failed write must not fail the job itself
+    async recordJob(jobId, status, details) {
+        try {
+            await this.jobs.update(jobId, status, details)
+        } catch (error) {
+            console.error(`Failed to record job ${jobId.substring(0, 8)} as ${status}:`, error.message)
+        }
+    }
+
+    getJobPrice(requestType) {
+        return this.config.dvm.pricing.requests[requestType] || 0;
+    }
+
+    async requestPayment(event, request, amountMsats) {
+        const invoice = await this.invoices.createInvoice({
+            amountMsats,
+            memo: `Relay Shadow ${request.type} job ${event.id.substring(0, 8)}`,
+            expirySeconds: this.config.payments.invoiceExpirySeconds
+        });
+
+        this.pendingPayments.set(event.id, { event, request, invoice });
+        await this.recordJob(event.id, JOB_STATUS.PAYMENT_REQUIRED, { requestType: request.type, amountMsats });
+
+        await this.sendFeedback(
+            event,
+            FEEDBACK_STATUS.PAYMENT_REQUIRED,
+            `Pay ${Math.ceil(amountMsats / 1000)} sats to run the ${request.type} job`,
+            '',
+            [['amount', String(amountMsats), invoice.bolt11]]
+        );
+
+        console.log(`💸 Job ${event.id.substring(0, 8)} waiting for ${amountMsats} msats`);
+        this.watchPayments();
+    }
+
+    watchPayments() {
+        if (this.paymentTimer) return;
+
+        this.paymentTimer = setInterval(() => {
+            this.checkPendingPayments().catch(error => console.error('Payment check failed:', error));
+        }, this.config.payments.pollIntervalMs);
+    }
+
+    async checkPendingPayments() {
+        if (this.checkingPayments) return;
+        this.checkingPayments = true;
+
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            for (const [jobId, { event, request, invoice }] of this.pendingPayments) {
+                if (await this.invoices.isPaid(invoice.paymentHash)) {
+                    this.pendingPayments.delete(jobId);
+                    console.log(`💰 Job ${jobId.substring(0, 8)} paid, running it`);
+                    await this.enqueueJob(event, request, JOB_PRIORITY.HIGH);
+                } else if (now > invoice.expiresAt) {
+                    this.pendingPayments.delete(jobId);
+                    await this.failJob(event, new Error('Invoice expired before payment'));
+                }
+            }
+        } finally {
+            this.checkingPayments = false;
+
+            if (this.pendingPayments.size === 0) {
+                clearInterval(this.paymentTimer);
+                this.paymentTimer = null;
             }
         }
     }
@@ -238,18 +523,35 @@ class RelayShadowDVM {
             useCase: 'social',
             currentRelays: [],
             maxResults: 10,
+            rotationHours: 6,
+            relaysPerSlot: 4,
+            timezone: 'UTC',
+            network: 'mixed',
+            responseRelays: [],
             preferences: {}
         };
 
         // Parse tags for parameters
         for (const tag of event.tags) {
             switch (tag[0]) {
+                case 'i':
+                    this.applyJobInput(request, tag);
+                    break;
+                case 'relays':
+                    request.responseRelays = this.getRequestedRelays(event);
+                    break;
                 case 'param':
                     if (tag[1] === 'threat_level') request.threatLevel = tag[2];
                     if (tag[1] === 'use_case') request.useCase = tag[2];
                     if (tag[1] === 'request_type') request.type = tag[2];
-                    if (tag[1] === 'current_relays') request.currentRelays = tag[2].split(',').filter(r => r.trim());
+                    if (tag[1] === 'current_relays') request.currentRelays = tag[2].split(',').map(r => r.trim()).filter(r => r);
                     if (tag[1] === 'max_results') request.maxResults = parseInt(tag[2]) || 10;
+                    if (tag[1] === 'rotation_hours') request.rotationHours = parseInt(tag[2]) || 6;
+                    if (tag[1] === 'relays_per_slot') request.relaysPerSlot = parseInt(tag[2]) || 4;
+                    if (tag[1] === 'timezone') request.timezone = tag[2];
+                    if (tag[1] === 'threat_profile') request.threatProfile = tag[2];
+                    if (tag[1] === 'network') request.network = tag[2];
+                    if (tag[1] === 'min_online') request.minOnline = Number(tag[2]);
                     break;
                 case 'relay':
                     if (tag[1]) request.currentRelays.push(tag[1]);
@@ -266,64 +568,202 @@ class RelayShadowDVM {
             request.query = event.content;
         }
 
+        if (request.threatProfile != null) {
+            request.threatProfile = parseThreatProfile(this.scoring, request.threatProfile, request.threatLevel);
+        }
+        if (!NETWORK_PREFERENCES.includes(request.network)) {
+            throw new Error(`network must be one of ${NETWORK_PREFERENCES.join(', ')}`);
+        }
+        if (request.minOnline != null && !(Number.isInteger(request.minOnline) && request.minOnline >= 1 && request.minOnline <= MAX_MIN_ONLINE)) {
+            throw new Error(`min_online must be a whole number between 1 and ${MAX_MIN_ONLINE}`);
+        }
+
         return request;
     }
 
+    // What get_user_relay_recommendations ranks with: the threat level's (or custom) profile plus the network preference
+    getRankingProfile(request) {
+        return {
+            ...getThreatProfile(this.scoring, request.threatLevel, request.threatProfile),
+            network: request.network
+        };
+    }
+
+    getEncryptionScheme(event) {
+        if (!event.tags.some(tag => tag[0] === 'encrypted')) return null;
+
+        // NIP-04 ciphertext carries an ?iv= suffix, anything else is treated as NIP-44
+        return event.content.includes('?iv=') ? 'nip04' : 'nip44';
+    }
+
+    async encryptFor(pubkey, plaintext, scheme) {
+        return this.signer.encrypt(scheme, pubkey, plaintext);
+    }
+
+    async decryptFrom(pubkey, ciphertext, scheme) {
+        return this.signer.decrypt(scheme, pubkey, ciphertext);
+    }
+
+    async decryptJobRequest(event) {
+        const scheme = this.getEncryptionScheme(event);
+        if (!scheme) return event;
+
+        // NIP-90 encrypted jobs move their i/param tags into the content as a JSON tag array
+        let hiddenTags;
+        try {
+            hiddenTags = JSON.parse(await this.decryptFrom(event.pubkey, event.content, scheme));
+        } catch (error) {
+            throw new Error(`Could not decrypt ${scheme} job request`);
+        }
+
+        if (!Array.isArray(hiddenTags) || !hiddenTags.every(Array.isArray)) {
+            throw new Error('Encrypted job content must be a JSON array of tags');
+        }
+
+        console.log(`🔐 Decrypted ${scheme} job request with ${hiddenTags.length} hidden tags`);
+        return { ...event, tags: [...event.tags, ...hiddenTags], content: '' };
+    }
+
+    applyJobInput(request, [, data, inputType]) {
+        // Relay URLs are the user's current setup, a text input names the pubkey to analyze
+        switch (inputType) {
+            case 'url':
+                if (data) request.currentRelays.push(data);
+                break;
+            case 'text':
+                if (!/^[0-9a-f]{64}$/i.test(data || '')) {
+                    throw new Error(`Text input must be a hex pubkey, got "${data}"`);
+                }
+                request.userPubkey = data.toLowerCase();
+                break;
+            default:
+                throw new Error(`Unsupported input type: ${inputType}`);
+        }
+    }
+
+    getRequestedRelays(event) {
+        const tag = event.tags.find(t => t[0] === 'relays');
+        if (!tag) return [];
+
+        // Any requester can name these, so only public wss:// hosts (ws:// if the operator allows it) are
+        // dialled and the list is capped. Hostnames are not resolved before connecting.
+        const allowInsecure = this.config.relayPool.allowInsecureRequestedRelays;
+        const relays = tag.slice(1).filter(url => typeof url === 'string' && isPublicRelayUrl(url, { allowInsecure }));
+        return [...new Set(relays)].slice(0, 10);
+    }
+
     async generateRecommendations(request) {
-        const { userPubkey, threatLevel, maxResults = 10 } = request;
+        const { threatLevel, maxResults = 10 } = request;
 
         console.log(`🎯 Generating recommendations for threat level: ${threatLevel}`);
 
         try {
-            const query = `
-                SELECT * FROM get_user_relay_recommendations($1, $2, $3, true)
-            `;
+            const { candidates, recommendations, summary, clusters } = await this.selectRelaySet(request, maxResults);
 
-            const result = await this.db.query(query, [userPubkey, threatLevel, maxResults]);
+            // The static fallback knows nothing of custom profile constraints or Tor/I2P endpoints
+            if (candidates === 0 && request.threatProfile) {
+                throw new Error('No relay meets the custom threat profile, relax its constraints or thresholds');
+            }
+            if (candidates === 0 && (request.network === 'tor' || request.network === 'i2p')) {
+                throw new Error(`No ${request.network} relay meets this threat level, try network "mixed"`);
+            }
 
-            if (result.rows.length === 0) {
+            if (candidates === 0) {
                 // Fallback to general recommendations
                 console.log('🔄 No specific recommendations found, using fallback');
                 return this.generateFallbackRecommendations(request);
             }
 
-            const recommendations = result.rows.map(row => ({
-                url: row.relay_url,
-                score: parseFloat(row.score),
-                reason: row.reason,
-                privacy_score: parseFloat(row.privacy_score),
-                reliability_score: parseFloat(row.reliability_score),
-                performance_score: parseFloat(row.performance_score),
-                user_overlap: parseInt(row.user_overlap),
-                metadata: {
-                    name: row.relay_name,
-                    description: row.relay_description,
-                    contact: row.contact_info,
-                    supported_nips: row.supported_nips ? row.supported_nips.split(',') : [],
-                    fees: row.fees
-                }
-            }));
+            const diversity = summarizeClusters(recommendations.map(r => r.url), clusters);
 
             console.log(`✅ Generated ${recommendations.length} recommendations`);
 
             return {
                 type: 'relay_recommendations',
-                recommendations,
+                recommendations: this.splitRecommendations(recommendations),
                 request_id: request.requestId,
                 timestamp: Math.floor(Date.now() / 1000),
                 metadata: {
                     threat_level: threatLevel,
-                    total_analyzed: recommendations.length,
+                    network: request.network,
+                    total_analyzed: candidates,
+                    diversity: {
+                        operators: diversity.operators,
+                        jurisdictions: diversity.jurisdictions,
+                        asns: diversity.asns
+                    },
+                    set: summary,
+                    scoring: describeScoring(this.scoring, threatLevel, request.threatProfile),
                     algorithm_version: '2.0'
                 }
             };
 
         } catch (error) {
+            if (request.threatProfile || request.network === 'tor' || request.network === 'i2p') throw error;
+
             console.error('Database query failed:', error);
             return this.generateFallbackRecommendations(request);
         }
     }
 
+    // Ranks relays for the request's threat level and network, then picks a set of `size` of them
+    // (src/dvm/relay-set.js). candidates is the number of relays that passed the ranking.
+    async selectRelaySet(request, size) {
+        // A larger pool leaves the set optimizer room to trade a little score for coverage and diversity
+        const result = await request.db.query(
+            'SELECT * FROM get_user_relay_recommendations($1, $2, $3, true, $4)',
+            [request.userPubkey, request.threatLevel, Math.min(size * 3, 60), this.getRankingProfile(request)]
+        );
+
+        const sourceUrls = result.rows.map(row => row.mirror_of || row.relay_url);
+        const [clusters, contextResult] = await Promise.all([
+            loadRelayClusters(request.db, [...result.rows.map(row => row.relay_url), ...sourceUrls]),
+            request.db.query('SELECT * FROM get_relay_set_context($1, $2)', [request.userPubkey, sourceUrls])
+        ]);
+
+        const relaySet = optimizeRelaySet(
+            result.rows.map(row => ({ url: row.relay_url, source_url: row.mirror_of, score: parseFloat(row.overall_score), row })),
+            {
+                size,
+                context: new Map(contextResult.rows.map(row => [row.relay_url, row])),
+                reachableFollows: parseInt(contextResult.rows[0]?.reachable_follows) || 0,
+                clusters,
+                penalties: this.scoring.diversity,
+                weights: this.scoring.set.weights,
+                minOnline: request.minOnline ?? this.scoring.set.min_online
+            }
+        );
+
+        const recommendations = relaySet.relays.map(({ row, selection }) => ({
+            url: row.relay_url,
+            scores: {
+                overall: parseFloat(row.overall_score),
+                privacy: parseFloat(row.privacy_score),
+                reliability: parseFloat(row.reliability_score)
+            },
+            reasoning: row.reasoning,
+            network_type: row.network_type,
+            mirror_of: row.mirror_of,
+            cluster: describeCluster(getRelayCluster(clusters, row.relay_url)),
+            selection,
+            network: {
+                following_users: parseInt(row.following_users_count) || 0,
+                total_influence_weight: parseFloat(row.total_influence_weight) || 0
+            }
+        }));
+
+        return { candidates: result.rows.length, recommendations, summary: relaySet.summary, clusters };
+    }
+
+    splitRecommendations(recommendations) {
+        // The best half (at least three) is the suggested set, the rest are stand-ins
+        const primaryCount = Math.max(3, Math.ceil(recommendations.length / 2));
+        return {
+            primary: recommendations.slice(0, primaryCount),
+            backup: recommendations.slice(primaryCount)
+        };
+    }
+
     async generateFallbackRecommendations(request) {
         // Static fallback recommendations based on threat level
         const fallbackRelays = {
@@ -344,11 +784,18 @@ class RelayShadowDVM {
             ]
         };
 
-        const relays = fallbackRelays[request.threatLevel] || fallbackRelays.medium;
+        const relays = (fallbackRelays[request.threatLevel] || fallbackRelays.medium)
+            .slice(0, request.maxResults)
+            .map(relay => ({
+                url: relay.url,
+                scores: { overall: relay.score, privacy: relay.score, reliability: relay.score },
+                reasoning: relay.reason,
+                network_type: 'clearnet'
+            }));
 
         return {
             type: 'relay_recommendations',
-            recommendations: relays.slice(0, request.maxResults),
+            recommendations: this.splitRecommendations(relays),
             request_id: request.requestId,
             timestamp: Math.floor(Date.now() / 1000),
             metadata: {
@@ -361,35 +808,399 @@ class RelayShadowDVM {
 
     async analyzeCurrentSetup(request) {
         // Analyze user's current relay setup
-        console.log(`🔍 Analyzing current setup for ${request.userPubkey.substring(0, 8)}`);
+        const { userPubkey, threatLevel } = request;
+        console.log(`🔍 Analyzing current setup for ${userPubkey.substring(0, 8)}`);
+
+        const { relays: currentRelays, inferred } = await this.resolveCurrentRelays(request);
+
+        if (currentRelays.length === 0) {
+            throw new Error('No current relays provided and none could be inferred for this pubkey');
+        }
+
+        const [scoresResult, metricsResult, exposureResult, clusters] = await Promise.all([
+            request.db.query('SELECT * FROM get_relay_scores($1)', [currentRelays]),
+            request.db.query('SELECT * FROM analyze_user_current_relays($1, $2)', [userPubkey, currentRelays]),
+            request.db.query('SELECT * FROM get_relay_exposure($1, $2)', [userPubkey, currentRelays]),
+            loadRelayClusters(request.db, currentRelays)
+        ]);
+
+        const minScore = this.algorithm.minRelayScore;
+
+        const relays = scoresResult.rows.map(row => {
+            const relay = {
+                url: row.relay_url,
+                known: row.known,
+                online: row.current_status === null ? null : row.current_status,
+                network: row.network,
+                overall_score: this.toNumber(row.overall_score),
+                privacy_score: this.toNumber(row.privacy_score),
+                reliability_score: this.toNumber(row.reliability_score),
+                performance_score: this.toNumber(row.performance_score),
+                diversity_score: this.toNumber(row.diversity_score),
+                uptime_percentage: this.toNumber(row.uptime_percentage),
+                uptime_7d: this.toNumber(row.uptime_7d),
+                trend: row.trend,
+                avg_rtt_read: this.toNumber(row.avg_rtt_read),
+                unique_publishers: row.unique_publishers === null ? null : parseInt(row.unique_publishers),
+                cluster: describeCluster(getRelayCluster(clusters, row.relay_url)),
+                flags: []
+            };
+
+            if (!relay.known) {
+                relay.flags.push('unknown');
+            } else {
+                if (relay.online === false) relay.flags.push('offline');
+                if (relay.overall_score !== null && relay.overall_score < minScore) relay.flags.push('low_score');
+                if (relay.privacy_score !== null && relay.privacy_score < 4.0) relay.flags.push('low_privacy');
+                if (relay.trend === 'degrading') relay.flags.push('degrading');
+            }
+
+            return relay;
+        });
+        this.flagSharedOperators(relays);
+
+        const knownRelays = relays.filter(r => r.known);
+        const suggestions = await this.buildSwapSuggestions(request, relays);
+
+        console.log(`✅ Analyzed ${relays.length} relays, ${suggestions.length} swap suggestions`);
 
         return {
-            type: 'setup_analysis',
-            analysis: {
-                privacy_score: 7.5,
-                diversity_score: 6.8,
-                reliability_score: 8.2,
-                recommendations: [
-                    'Consider adding privacy-focused relays',
-                    'Geographic diversity could be improved',
-                    'Current setup has good reliability'
-                ]
+            type: 'relay_analysis',
+            current_setup: {
+                relay_count: relays.length,
+                known_relays: knownRelays.length,
+                online_relays: knownRelays.filter(r => r.online !== false).length,
+                inferred,
+                relays
             },
-            timestamp: Math.floor(Date.now() / 1000)
+            // Offline relays count as zero reliability: the user gets nothing from them today
+            scores: {
+                privacy: this.average(knownRelays.map(r => r.privacy_score)),
+                diversity: this.average(knownRelays.map(r => r.diversity_score)),
+                reliability: this.average(relays.map(r => r.online === false || !r.known ? 0 : r.reliability_score))
+            },
+            metrics: this.groupAnalysisMetrics(metricsResult.rows),
+            clusters: summarizeClusters(relays.map(r => r.url), clusters),
+            exposure: buildExposureReport(exposureResult.rows, relays),
+            suggestions,
+            request_id: request.requestId,
+            timestamp: Math.floor(Date.now() / 1000),
+            metadata: {
+                threat_level: threatLevel,
+                inferred_relays: inferred,
+                min_relay_score: minScore,
+                scoring: describeScoring(this.scoring, threatLevel, request.threatProfile),
+                algorithm_version: '2.0'
+            }
         };
     }
 
+    // Relays run by one operator fail (or get seized) together: keep the best scoring one and flag
+    // the others so the swap suggestions move them elsewhere
+    flagSharedOperators(relays) {
+        const byOperator = new Map();
+        for (const relay of relays) {
+            if (!relay.cluster) continue;
+            if (!byOperator.has(relay.cluster.operator)) byOperator.set(relay.cluster.operator, []);
+            byOperator.get(relay.cluster.operator).push(relay);
+        }
+
+        for (const group of byOperator.values()) {
+            if (group.length < 2) continue;
+            const [best, ...others] = [...group].sort((a, b) => (b.overall_score ?? -1) - (a.overall_score ?? -1));
+            for (const relay of others) {
+                relay.flags.push('shared_operator');
+                relay.same_operator_as = best.url;
+            }
+        }
+    }
+
+    async buildSwapSuggestions(request, relays) {
+        const weak = relays.filter(r => r.flags.length > 0);
+        if (weak.length === 0) return [];
+
+        const current = new Set(relays.map(r => r.url));
+
+        // Ask for enough candidates to still have replacements after dropping the current ones
+        const result = await request.db.query(
+            'SELECT * FROM get_user_relay_recommendations($1, $2, $3, true, $4)',
+            [
+                request.userPubkey, request.threatLevel, weak.length + relays.length,
+                this.getRankingProfile(request)
+            ]
+        );
+
+        // Replacements run by an operator the user already relies on would not spread the risk
+        const clusters = await loadRelayClusters(request.db, result.rows.map(row => row.relay_url));
+        const operators = new Set(relays.filter(r => r.cluster).map(r => r.cluster.operator));
+        const candidates = result.rows.filter(row => {
+            const cluster = getRelayCluster(clusters, row.relay_url);
+            return !current.has(this.normalizeRelayUrl(row.relay_url)) && !(cluster && operators.has(cluster.operator_cluster));
+        });
+
+        return weak.map((relay, i) => {
+            const candidate = candidates[i];
+            const problem = this.describeRelayProblem(relay);
+
+            if (!candidate) {
+                return {
+                    replace: relay.url,
+                    with: null,
+                    reason: `Consider removing ${relay.url} because ${problem}`
+                };
+            }
+
+            const candidateScore = parseFloat(candidate.overall_score);
+            return {
+                replace: relay.url,
+                with: candidate.relay_url,
+                candidate_score: candidateScore,
+                reason: `Replace ${relay.url} with ${candidate.relay_url} because ${problem}; ` +
+                    `${candidate.relay_url} scores ${candidateScore.toFixed(1)} (${candidate.reasoning})`
+            };
+        });
+    }
+
+    describeRelayProblem(relay) {
+        if (relay.flags.includes('unknown')) return 'it is not in the BigBrotr dataset';
+        if (relay.flags.includes('offline')) return 'it is currently offline';
+        if (relay.flags.includes('low_score')) return `its overall score is only ${relay.overall_score.toFixed(1)}`;
+        if (relay.flags.includes('shared_operator')) return `it has the same operator as ${relay.same_operator_as}`;
+        if (relay.flags.includes('degrading')) {
+            return `its uptime or latency got worse over the last 7 days (${relay.uptime_7d ?? 'N/A'}% uptime)`;
+        }
+        return `its privacy score is only ${relay.privacy_score.toFixed(1)}`;
+    }
+
+    groupAnalysisMetrics(rows) {
+        // analyze_user_current_relays returns one row per metric, group them by analysis type
+        const metrics = {};
+        for (const row of rows) {
+            if (!metrics[row.analysis_type]) metrics[row.analysis_type] = {};
+            metrics[row.analysis_type][row.metric] = {
+                value: row.value,
+                recommendation: row.recommendation
+            };
+        }
+        return metrics;
+    }
+
+    normalizeRelayUrl(url) {
+        return String(url).trim().toLowerCase().replace(/\/+$/, '');
+    }
+
+    normalizeRelayList(urls = []) {
+        const normalized = urls.map(url => this.normalizeRelayUrl(url)).filter(url => url.length > 0);
+        return [...new Set(normalized)];
+    }
+
+    toNumber(value) {
+        return value === null || value === undefined ? null : parseFloat(value);
+    }
+
+    average(values) {
+        const present = values.filter(v => v !== null && !Number.isNaN(v));
+        if (present.length === 0) return null;
+        return Math.round(present.reduce((sum, v) => sum + v, 0) / present.length * 10) / 10;
+    }
+
     async generateDiscoveryRecommendations(request) {
         // Discover new relays based on social graph
-        console.log(`🔍 Generating discovery recommendations for ${request.userPubkey.substring(0, 8)}`);
+        const { userPubkey, useCase, maxResults = 10 } = request;
+        console.log(`🔍 Generating discovery recommendations for ${userPubkey.substring(0, 8)}`);
+
+        const { relays: currentRelays, inferred } = await this.resolveCurrentRelays(request);
+
+        const result = await request.db.query(
+            'SELECT * FROM get_discovery_relays($1, $2, $3, $4)',
+            [userPubkey, currentRelays, useCase, maxResults]
+        );
+
+        const discoveries = result.rows.map(row => ({
+            url: row.relay_url,
+            discovery_score: parseFloat(row.discovery_score),
+            followed_publishers: parseInt(row.followed_publishers),
+            new_publishers: parseInt(row.new_publishers),
+            avg_publisher_influence: parseFloat(row.avg_publisher_influence),
+            novelty_ratio: parseFloat(row.novelty_ratio),
+            reasoning: row.reasoning
+        }));
+
+        console.log(`✅ Found ${discoveries.length} discovery relays`);
 
         return {
             type: 'discovery_recommendations',
-            recommendations: [
-                { url: 'wss://relay.nostr.band', score: 8.5, reason: 'Growing community' },
-                { url: 'wss://nostr.wine', score: 9.0, reason: 'Privacy focused' }
-            ],
-            timestamp: Math.floor(Date.now() / 1000)
+            discoveries,
+            request_id: request.requestId,
+            timestamp: Math.floor(Date.now() / 1000),
+            metadata: {
+                use_case: useCase,
+                // false when the requester has no contact list and we fell back to quality publishers
+                based_on_follows: result.rows.length > 0 ? result.rows[0].from_follows : false,
+                excluded_relays: currentRelays.length,
+                inferred_relays: inferred,
+                algorithm_version: '2.0'
+            }
+        };
+    }
+
+    async generateRotationStrategy(request) {
+        const { userPubkey, rotationHours, relaysPerSlot, timezone } = request;
+        console.log(`🔄 Generating ${rotationHours}h rotation strategy for ${userPubkey.substring(0, 8)}`);
+
+        if (!Number.isInteger(rotationHours) || rotationHours < 1 || rotationHours > 24) {
+            throw new Error(`rotation_hours must be an integer between 1 and 24, got ${rotationHours}`);
+        }
+        if (!Number.isInteger(relaysPerSlot) || relaysPerSlot < 1 || relaysPerSlot > 10) {
+            throw new Error(`relays_per_slot must be an integer between 1 and 10, got ${relaysPerSlot}`);
+        }
+
+        const offsetMinutes = this.getTimezoneOffsetMinutes(timezone);
+        const { relays: currentRelays } = await this.resolveCurrentRelays(request);
+
+        const result = await request.db.query(
+            'SELECT * FROM generate_relay_rotation_strategy($1, $2, $3, $4)',
+            [userPubkey, currentRelays, rotationHours, relaysPerSlot]
+        );
+
+        // SQL slots are in local hours; convert each boundary to UTC for clients that schedule in UTC
+        const toUtc = (localHour) => {
+            const minutes = ((localHour * 60 - offsetMinutes) % 1440 + 1440) % 1440;
+            return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        };
+
+        const slots = result.rows.map(row => ({
+            index: row.slot_index,
+            local_start: `${String(row.start_hour).padStart(2, '0')}:00`,
+            local_end: `${String(row.end_hour).padStart(2, '0')}:00`,
+            utc_start: toUtc(row.start_hour),
+            utc_end: toUtc(row.end_hour),
+            relays: row.recommended_relays,
+            reason: row.strategy_reason
+        }));
+
+        const localMinutesNow = ((Math.floor(Date.now() / 60000) + offsetMinutes) % 1440 + 1440) % 1440;
+        const currentSlot = Math.floor(localMinutesNow / (rotationHours * 60));
+        const minutesToNext = Math.min((currentSlot + 1) * rotationHours * 60, 1440) - localMinutesNow;
+
+        console.log(`✅ Generated ${slots.length} rotation slots`);
+
+        return {
+            type: 'rotation_strategy',
+            schedule: {
+                timezone,
+                utc_offset_minutes: offsetMinutes,
+                rotation_hours: rotationHours,
+                relays_per_slot: relaysPerSlot,
+                current_slot: currentSlot,
+                next_rotation_at: Math.floor(Date.now() / 1000) + minutesToNext * 60,
+                slots
+            },
+            request_id: request.requestId,
+            timestamp: Math.floor(Date.now() / 1000),
+            metadata: {
+                excluded_relays: currentRelays.length,
+                algorithm_version: '2.0'
+            }
+        };
+    }
+
+    // NIP-65: read from the relays the follows write to, write to a relay set picked for the threat level
+    async generateOutboxRelays(request) {
+        const { userPubkey, threatLevel, maxResults = 10 } = request;
+        console.log(`📮 Building outbox relay list for ${userPubkey.substring(0, 8)}`);
+
+        const [followRelays, currentList] = await Promise.all([
+            request.db.query('SELECT * FROM get_follow_write_relays($1)', [userPubkey]),
+            request.db.query(
+                'SELECT tags FROM events WHERE pubkey = $1 AND kind = $2 ORDER BY created_at DESC LIMIT 1',
+                [userPubkey, RELAY_LIST_KIND]
+            )
+        ]);
+        const current = currentList.rows.length > 0 ? parseRelayList(currentList.rows[0].tags) : null;
+
+        const candidateUrls = [...new Set(followRelays.rows.map(row => row.relay_url).filter(Boolean))];
+        const scoreResult = candidateUrls.length > 0
+            ? await request.db.query('SELECT * FROM get_relay_scores($1)', [candidateUrls])
+            : { rows: [] };
+        const scores = new Map(scoreResult.rows.map(row => [row.relay_url, {
+            overall_score: row.overall_score === null ? null : parseFloat(row.overall_score),
+            online: row.current_status
+        }]));
+
+        const { relays: read, coverage } = coverFollows(followRelays.rows, scores, maxResults);
+
+        const writeSize = request.minOnline ?? this.scoring.set.min_online;
+        const { recommendations } = await this.selectRelaySet(request, writeSize);
+        const write = recommendations.map(rec => ({
+            url: rec.url,
+            overall_score: rec.scores.overall,
+            network_type: rec.network_type,
+            reasons: current?.write.includes(this.normalizeRelayUrl(rec.url))
+                ? [...rec.selection.reasons, 'Already in your relay list']
+                : rec.selection.reasons
+        }));
+
+        if (read.length === 0 && write.length === 0) {
+            throw new Error('No follow relay lists or ranked relays found to build a relay list from');
+        }
+
+        console.log(`✅ Outbox list: ${read.length} read relays reach ${coverage.covered}/${coverage.follows} follows, ${write.length} write relays`);
+
+        return {
+            type: 'outbox_relays',
+            relay_list: { read, write, current },
+            coverage,
+            event_template: buildRelayListTemplate(read.map(relay => relay.url), write.map(relay => relay.url)),
+            request_id: request.requestId,
+            timestamp: Math.floor(Date.now() / 1000),
+            metadata: {
+                threat_level: threatLevel,
+                max_read_relays: maxResults,
+                write_relays: writeSize,
+                algorithm_version: '2.0'
+            }
+        };
+    }
+
+    getTimezoneOffsetMinutes(timezone, date = new Date()) {
+        let parts;
+        try {
+            parts = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric'
+            }).formatToParts(date);
+        } catch (error) {
+            throw new Error(`Unknown timezone: ${timezone}`);
+        }
+
+        const get = (type) => parseInt(parts.find(p => p.type === type).value);
+        const localAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+        return Math.round((localAsUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+    }
+
+    async resolveCurrentRelays(request) {
+        const relays = this.normalizeRelayList(request.currentRelays);
+        if (relays.length > 0) {
+            return { relays, inferred: false };
+        }
+
+        // Nothing sent: fall back to the relays the user has been seen publishing on
+        const result = await request.db.query(`
+            SELECT er.relay_url
+            FROM events e
+            JOIN events_relays er ON e.id = er.event_id
+            WHERE e.pubkey = $1
+            GROUP BY er.relay_url
+            ORDER BY MAX(er.seen_at) DESC
+            LIMIT 10
+        `, [request.userPubkey]);
+
+        return {
+            relays: this.normalizeRelayList(result.rows.map(row => row.relay_url)),
+            inferred: true
         };
     }
 
@@ -397,60 +1208,109 @@ class RelayShadowDVM {
         // Get overall relay health summary
         console.log(`📊 Getting relay health summary`);
 
+        const result = await request.db.query(
+            'SELECT get_relay_health_summary($1) AS summary',
+            [request.maxResults || 10]
+        );
+        const health = result.rows[0].summary;
+
+        console.log(`✅ Health summary: ${health.online_relays} online, ${health.offline_relays} offline`);
+
         return {
-            type: 'health_summary',
+            type: 'relay_health_summary',
             summary: {
-                total_relays_monitored: 150,
-                healthy_relays: 132,
-                average_uptime: 97.8,
-                average_response_time: 45
+                total: health.total_relays,
+                healthy: health.healthy_relays,
+                unhealthy: health.unhealthy_relays,
+                online: health.online_relays,
+                offline: health.offline_relays,
+                unchecked: health.unchecked_relays,
+                average_uptime: health.average_uptime,
+                average_latency: health.average_latency,
+                rtt_percentiles: health.rtt_percentiles,
+                nip11_coverage: health.nip11_coverage,
+                trends: health.trends
             },
+            networks: health.networks,
+            degraded_relays: health.degraded_relays,
+            request_id: request.requestId,
+            timestamp: Math.floor(Date.now() / 1000),
+            metadata: {
+                latest_check_at: health.latest_check_at,
+                degraded_window_start: health.window_start,
+                algorithm_version: '2.0'
+            }
+        };
+    }
+
+    buildResponsePayload(originalEvent, responseData) {
+        const payload = {
+            ...responseData,
+            schema_version: RESPONSE_SCHEMA_VERSION,
+            request_id: responseData.request_id ?? originalEvent.id
+        };
+
+        // Never publish something clients cannot parse; tell them what went wrong instead
+        const { valid, errors } = validateResponse(payload);
+        if (valid) return payload;
+
+        console.error(`❌ ${payload.type} response violates schema ${RESPONSE_SCHEMA_VERSION}:`, errors);
+        return {
+            type: 'error',
+            error: `Internal error: ${payload.type} response did not match schema ${RESPONSE_SCHEMA_VERSION}`,
+            schema_version: RESPONSE_SCHEMA_VERSION,
+            request_id: originalEvent.id,
             timestamp: Math.floor(Date.now() / 1000)
         };
     }
 
+    async announce() {
+        const announcement = await this.signEvent({
+            ...buildHandlerInfoEvent({ ...this.config, publicKey: this.publicKey, dvmRelays: this.dvmRelays }),
+            pubkey: this.publicKey
+        });
+
+        console.log(`📢 Publishing handler announcement (kind ${announcement.kind})`);
+        await this.publishEvent(announcement);
+        return announcement;
+    }
+
     async sendResponse(originalEvent, responseData) {
         try {
+            const payload = this.buildResponsePayload(originalEvent, responseData);
+
+            // NIP-90 reports failures as feedback, only successful jobs get a result event
+            if (payload.type === 'error') {
+                return await this.sendFeedback(originalEvent, FEEDBACK_STATUS.ERROR, payload.error, JSON.stringify(payload));
+            }
+
+            // Encrypted jobs get an encrypted result with the same scheme the requester used
+            const scheme = this.getEncryptionScheme(originalEvent);
+            const content = JSON.stringify(payload);
+
             const responseEvent = {
-                kind: this.dvmResponseKind,
+                kind: this.dvmResultKind,
                 created_at: Math.floor(Date.now() / 1000),
                 tags: [
+                    ['request', JSON.stringify(originalEvent)],
                     ['e', originalEvent.id],
                     ['p', originalEvent.pubkey],
-                    ['status', responseData.type === 'error' ? 'error' : 'success']
+                    ...(scheme ? [['encrypted']] : originalEvent.tags.filter(tag => tag[0] === 'i'))
                 ],
-                content: JSON.stringify(responseData),
+                content: scheme ? await this.encryptFor(originalEvent.pubkey, content, scheme) : content,
                 pubkey: this.publicKey
             };
 
             // Sign the event using the class method
             const signedResponse = await this.signEvent(responseEvent);
 
-            console.log(`📤 Sending DVM response: ${signedResponse.id.substring(0, 8)}`);
-
-            // Send to all connected relays
-            const results = await Promise.allSettled(
-                Array.from(this.connections.values()).map(ws => {
-                    if (ws.readyState === WebSocket.OPEN) {
-                        return new Promise((resolve, reject) => {
-                            const timeout = setTimeout(() => reject(new Error('Timeout')), 5000);
-
-                            try {
-                                ws.send(JSON.stringify(['EVENT', signedResponse]));
-                                clearTimeout(timeout);
-                                resolve(true);
-                            } catch (error) {
-                                clearTimeout(timeout);
-                                reject(error);
-                            }
-                        });
-                    }
-                    return Promise.reject(new Error('Relay not connected'));
-                })
-            );
+            console.log(`📤 Sending DVM result: ${signedResponse.id.substring(0, 8)}`);
+            const delivered = await this.publishEvent(signedResponse, this.getRequestedRelays(originalEvent));
+            if (!delivered.some(result => result.accepted)) {
+                throw new Error('No relay accepted the job result');
+            }
 
-            const successful = results.filter(r => r.status === 'fulfilled').length;
-            console.log(`✅ Response sent to ${successful}/${results.length} relays`);
+            await this.sendFeedback(originalEvent, FEEDBACK_STATUS.SUCCESS);
 
             return signedResponse;
 
@@ -460,56 +1320,128 @@ class RelayShadowDVM {
         }
     }
 
-    async publishEventToRelay(ws, event, relayUrl) {
-        return new Promise((resolve, reject) => {
-            if (ws.readyState !== WebSocket.OPEN) {
-                reject(new Error(`Relay ${relayUrl} not connected`));
-                return;
-            }
-
-            const eventMessage = ['EVENT', event];
-            ws.send(JSON.stringify(eventMessage));
-            console.log(`  → Sent response to ${relayUrl}`);
-            resolve();
+    async sendFeedback(originalEvent, status, extraInfo, content = '', extraTags = []) {
+        // Extra info would leak the job type or error details of an encrypted job, so it only travels in the content
+        const scheme = this.getEncryptionScheme(originalEvent);
+        const statusTag = extraInfo && !scheme ? ['status', status, extraInfo] : ['status', status];
+
+        const tags = [
+            statusTag,
+            ['e', originalEvent.id],
+            ['p', originalEvent.pubkey],
+            ...extraTags
+        ];
+        if (scheme) tags.push(['encrypted']);
+
+        const feedbackEvent = await this.signEvent({
+            kind: this.dvmFeedbackKind,
+            created_at: Math.floor(Date.now() / 1000),
+            tags,
+            content: scheme && content ? await this.encryptFor(originalEvent.pubkey, content, scheme) : content,
+            pubkey: this.publicKey
         });
+
+        console.log(`📣 Job ${originalEvent.id.substring(0, 8)} feedback: ${status}`);
+        await this.publishEvent(feedbackEvent, this.getRequestedRelays(originalEvent));
+
+        return feedbackEvent;
     }
 
-    async sendErrorResponse(originalEvent, errorMessage) {
-        const errorEvent = {
-            kind: this.dvmResponseKind,
-            created_at: Math.floor(Date.now() / 1000),
-            tags: [
-                ['e', originalEvent.id],
-                ['p', originalEvent.pubkey],
-                ['status', 'error']
-            ],
-            content: JSON.stringify({
-                type: 'error',
-                error: errorMessage,
-                timestamp: Date.now()
-            }),
-            pubkey: this.publicKey
-        };
+    // Resolves with one { url, accepted, message, attempts } per relay tried
+    async publishEvent(event, requestedRelays = []) {
+        const results = await this.pool.publish(event);
+        const confirmed = results.filter(result => result.accepted).map(result => result.url);
+
+        // Customers listen on the relays they asked for; go there directly when none of ours reached them.
+        // Those are hosts the requester picked, so each gets a single attempt and never the retry path.
+        const reachedRequester = requestedRelays.length === 0
+            ? confirmed.length > 0
+            : confirmed.some(url => requestedRelays.includes(url));
+        const fallbackRelays = reachedRequester ? [] : requestedRelays.filter(url => !this.pool.has(url));
+
+        if (fallbackRelays.length > 0) {
+            this.delivery.fallbacks++;
+            results.push(...await Promise.all(fallbackRelays.map(url =>
+                this.pool.publishOnce(url, event, this.config.relayPool.okTimeoutMs)
+                    .then(() => ({ url, accepted: true, message: '', attempts: 1 }))
+                    .catch(error => ({ url, accepted: false, message: error.message, attempts: 1 }))
+            )));
+        }
+
+        this.recordDelivery(event, results);
+        return results;
+    }
 
-        const signedEvent = await this.signEvent(errorEvent);
+    recordDelivery(event, results) {
+        const accepted = results.filter(result => result.accepted);
+        const label = { [this.dvmResultKind]: 'Result', [this.dvmFeedbackKind]: 'Feedback' }[event.kind] || `Kind ${event.kind}`;
 
-        const publishPromises = Array.from(this.connections.entries()).map(([url, ws]) => {
-            return this.publishEventToRelay(ws, signedEvent, url);
+        this.delivery.published++;
+        this.delivery.retries += results.reduce((sum, result) => sum + result.attempts - 1, 0);
+        accepted.length > 0 ? this.delivery.confirmed++ : this.delivery.unconfirmed++;
+
+        console.log(`📬 ${label} ${event.id.substring(0, 8)} confirmed by ${accepted.length}/${results.length} relays`);
+        results.filter(result => !result.accepted).forEach(result => {
+            console.log(`   ✗ ${result.url}: ${result.message} (${result.attempts} attempts)`);
         });
+    }
 
-        await Promise.allSettled(publishPromises);
-        console.log(`❌ Error response sent: ${errorMessage}`);
+    // Stops taking jobs, gives running ones up to `timeoutMs` to finish and tells everyone else to
+    // resubmit, then closes the relays and the database. Returns whether every running job finished.
+    async shutdown({ timeoutMs = this.config.queue?.shutdownTimeoutMs ?? 15000 } = {}) {
+        console.log(`🛑 Shutting down, waiting up to ${timeoutMs / 1000}s for ${this.queue.running} running jobs...`);
+
+        this.accepting = false;
+        if (this.requestSubscription) this.pool.unsubscribe(this.requestSubscription);
+
+        // Queued jobs have not started and unpaid invoices will not be watched any more
+        const abandoned = this.queue.clear().map(jobId => this.inFlight.get(jobId)).filter(Boolean);
+        abandoned.forEach(event => this.inFlight.delete(event.id));
+        for (const { event } of this.pendingPayments.values()) abandoned.push(event);
+        this.pendingPayments.clear();
+
+        const notices = Promise.all(abandoned.map(event => this.abandonJob(event)));
+
+        const drained = await this.waitForIdle(timeoutMs);
+        if (!drained) {
+            // failJob() reports the cancellation to each requester
+            console.log(`⏱ ${this.queue.running} jobs still running after ${timeoutMs / 1000}s, cancelling them`);
+            this.jobAbort.abort();
+            await this.waitForIdle(SHUTDOWN_NOTICE_MS);
+        }
+        await Promise.race([notices, new Promise(resolve => setTimeout(resolve, SHUTDOWN_NOTICE_MS).unref())]);
+
+        await this.disconnect();
+        this.jobs.stop();
+        // A refresh is one transaction, let it commit rather than lose its work
+        await this.analytics.stop();
+        await this.db.end();
+        console.log(`✅ Shutdown complete (${abandoned.length} queued jobs abandoned${drained ? '' : ', running jobs cancelled'})`);
+
+        return drained;
+    }
+
+    waitForIdle(timeoutMs) {
+        let timer;
+        return Promise.race([
+            this.queue.onIdle().then(() => true),
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(false), timeoutMs);
+            })
+        ]).finally(() => clearTimeout(timer));
     }
 
     async disconnect() {
         console.log('🔌 Disconnecting from relays...');
 
-        // Close all connections
-        Array.from(this.connections.values()).forEach(ws => {
-            ws.close();
-        });
-        this.connections.clear();
-        this.subscriptions.clear();
+        clearInterval(this.announceTimer);
+        this.announceTimer = null;
+        clearInterval(this.paymentTimer);
+        this.paymentTimer = null;
+        this.pendingPayments.clear();
+
+        this.pool.close();
+        this.signer.close();
 
         console.log('👋 Disconnected from all relays');
     }
@@ -0,0 +1,105 @@
+// src/dvm/analytics-refresh.js
+// Keeps the analytics tables current from inside the DVM process. refresh_relay_analytics() folds
+// the events_relays and relay_metadata rows newer than its watermarks (less a lag for late rows)
+// into the tables in place, so a run costs what arrived since the last one instead of a rebuild
+// over every event.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Refreshed CONCURRENTLY in their own statements so jobs keep reading them and the aggregation
+// transaction does not hold their locks: the windows feed reliability_score, the rest read the scores
+const VIEWS_BEFORE = ['relay_reliability_windows'];
+const VIEWS_AFTER = ['relay_recommendations', 'relay_onion_mirrors'];
+
+export class AnalyticsRefresher {
+    constructor(db, { refreshIntervalMs = 15 * 60 * 1000, lagSeconds = 3600 } = {}) {
+        this.db = db;
+        this.refreshIntervalMs = refreshIntervalMs;
+        this.lagSeconds = lagSeconds;
+        this.timer = null;
+        this.running = null;
+        this.stats = { runs: 0, failures: 0, lastRun: null, lastError: null };
+    }
+
+    // Creates the watermark table and the check count columns of relay_analytics if needed
+    async init() {
+        await this.db.query(readFileSync(join(__dirname, '../../database/analytics-refresh.sql'), 'utf8'));
+    }
+
+    // A refresh interval of 0 leaves refreshing to whoever calls refresh_relay_analytics() (cron, setup)
+    start() {
+        if (!(this.refreshIntervalMs > 0) || this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.refresh().catch(() => {});
+        }, this.refreshIntervalMs);
+        this.timer.unref();
+    }
+
+    // Waits for a refresh in progress, so the pool is not closed under it
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.running) {
+            await this.running.catch(() => {});
+        }
+    }
+
+    // Runs one refresh; a tick that finds the previous one still running joins it instead
+    refresh() {
+        if (!this.running) {
+            this.running = this.runRefresh().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runRefresh() {
+        const startedAt = Date.now();
+        try {
+            await this.refreshViews(VIEWS_BEFORE);
+            const result = await this.db.query('SELECT refresh_relay_analytics($1) as result', [this.lagSeconds]);
+            const summary = result.rows[0].result;
+
+            // A skipped run means another process holds the refresh and refreshes the views itself
+            if (!summary.skipped) await this.refreshViews(VIEWS_AFTER);
+
+            this.stats.runs++;
+            this.stats.lastRun = { at: Math.floor(startedAt / 1000), ...summary, duration_ms: Date.now() - startedAt };
+
+            if (summary.skipped) {
+                console.log(`⏭ Analytics refresh skipped: ${summary.reason}`);
+            } else if (summary.sightings > 0 || summary.relays_checked > 0) {
+                console.log(`📈 Analytics refreshed: ${summary.sightings} event sightings (${summary.late_sightings} late), ${summary.relays_checked} relays with new checks, ${summary.rescored_relays} relays rescored in ${this.stats.lastRun.duration_ms}ms`);
+            }
+            return summary;
+        } catch (error) {
+            this.stats.failures++;
+            this.stats.lastError = { at: Math.floor(Date.now() / 1000), message: error.message };
+            console.error('❌ Analytics refresh failed:', error.message);
+            throw error;
+        }
+    }
+
+    async refreshViews(views) {
+        for (const view of views) {
+            await this.db.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${view}`);
+        }
+    }
+
+    getStats() {
+        return {
+            interval_ms: this.refreshIntervalMs,
+            lag_seconds: this.lagSeconds,
+            running: this.running !== null,
+            ...this.stats
+        };
+    }
+}
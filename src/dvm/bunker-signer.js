@@ -0,0 +1,151 @@
+// src/dvm/bunker-signer.js
+// NIP-46 remote signing: the DVM's secret key stays in a bunker and every signature or
+// encryption is a kind 24133 request to it. Requests are NIP-44 encrypted with a client key;
+// replies from older bunkers that still speak NIP-04 are understood too.
+
+import { randomBytes } from 'crypto';
+import { verifySignature } from 'nostr-tools';
+import { RelayPool } from './relay-pool.js';
+
+const NIP46_KIND = 24133;
+
+// bunker://<remote-signer-pubkey>?relay=wss://...&relay=...&secret=...
+export function parseBunkerUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error('DVM_BUNKER_URL is not a valid bunker:// URL');
+    }
+
+    const remotePubkey = parsed.hostname || parsed.pathname.replace(/^\/+/, '');
+    const relays = parsed.searchParams.getAll('relay');
+
+    if (parsed.protocol !== 'bunker:' || !/^[0-9a-f]{64}$/.test(remotePubkey)) {
+        throw new Error('DVM_BUNKER_URL must look like bunker://<hex pubkey>?relay=wss://...');
+    }
+    if (relays.length === 0) {
+        throw new Error('DVM_BUNKER_URL names no relay to reach the bunker on');
+    }
+
+    return { remotePubkey, relays, secret: parsed.searchParams.get('secret') };
+}
+
+export class BunkerSigner {
+    // clientSigner is a LocalSigner holding the key this DVM uses to talk to the bunker
+    constructor(bunkerUrl, clientSigner, { timeoutMs = 30000 } = {}) {
+        const { remotePubkey, relays, secret } = parseBunkerUrl(bunkerUrl);
+
+        this.type = 'bunker';
+        this.remotePubkey = remotePubkey;
+        this.secret = secret;
+        this.client = clientSigner;
+        this.timeoutMs = timeoutMs;
+        this.publicKey = null;
+        this.pending = new Map();
+
+        this.pool = new RelayPool(relays, {
+            signEvent: event => this.client.signEvent(event),
+            handlers: {
+                onEvent: (relayUrl, subscriptionId, event) => this.handleResponse(event).catch(error => {
+                    console.warn(`⚠ Unreadable bunker response from ${relayUrl}:`, error.message);
+                })
+            }
+        });
+    }
+
+    // Registers this client with the bunker and learns which pubkey it signs for
+    async connect() {
+        console.log(`🔐 Connecting to NIP-46 bunker ${this.remotePubkey.substring(0, 8)}...`);
+
+        if (await this.pool.connect() === 0) {
+            throw new Error('Could not reach any bunker relay');
+        }
+        this.pool.subscribe('nip46', () => ({
+            kinds: [NIP46_KIND],
+            '#p': [this.client.publicKey],
+            since: Math.floor(Date.now() / 1000) - 10
+        }));
+
+        await this.request('connect', [this.remotePubkey, this.secret || '']);
+        this.publicKey = await this.request('get_public_key', []);
+        console.log(`✅ Bunker signs for ${this.publicKey.substring(0, 8)}...`);
+    }
+
+    async request(method, params) {
+        const id = randomBytes(8).toString('hex');
+        const content = await this.client.encrypt('nip44', this.remotePubkey, JSON.stringify({ id, method, params }));
+        const event = await this.client.signEvent({
+            kind: NIP46_KIND,
+            created_at: Math.floor(Date.now() / 1000),
+            tags: [['p', this.remotePubkey]],
+            content
+        });
+
+        const response = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Bunker did not answer ${method} within ${this.timeoutMs / 1000}s`));
+            }, this.timeoutMs);
+            this.pending.set(id, { method, resolve, reject, timer });
+        });
+
+        const results = await this.pool.publish(event);
+        if (!results.some(result => result.accepted)) {
+            this.settle(id, new Error(`No bunker relay accepted the ${method} request`));
+        }
+        return response;
+    }
+
+    async handleResponse(event) {
+        if (event.kind !== NIP46_KIND || event.pubkey !== this.remotePubkey || !verifySignature(event)) return;
+
+        const scheme = event.content.includes('?iv=') ? 'nip04' : 'nip44';
+        const { id, result, error } = JSON.parse(await this.client.decrypt(scheme, this.remotePubkey, event.content));
+
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        // The bunker wants the operator to approve this client in a browser first; its answer follows later
+        if (result === 'auth_url') {
+            console.log(`🔐 Approve the DVM's ${request.method} request in your bunker: ${error}`);
+            return;
+        }
+
+        this.settle(id, error ? new Error(`Bunker refused ${request.method}: ${error}`) : null, result);
+    }
+
+    settle(id, error, result) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        this.pending.delete(id);
+        clearTimeout(request.timer);
+        error ? request.reject(error) : request.resolve(result);
+    }
+
+    // The bunker's reply is checked, a signer that returns someone else's event is not trusted
+    async signEvent(event) {
+        const signed = JSON.parse(await this.request('sign_event', [JSON.stringify(event)]));
+
+        if (signed.pubkey !== this.publicKey || !verifySignature(signed)) {
+            throw new Error('Bunker returned an event with a bad signature');
+        }
+        return signed;
+    }
+
+    async encrypt(scheme, pubkey, plaintext) {
+        return this.request(`${scheme}_encrypt`, [pubkey, plaintext]);
+    }
+
+    async decrypt(scheme, pubkey, ciphertext) {
+        return this.request(`${scheme}_decrypt`, [pubkey, ciphertext]);
+    }
+
+    close() {
+        for (const id of this.pending.keys()) {
+            this.settle(id, new Error('Bunker connection closed'));
+        }
+        this.pool.close();
+    }
+}
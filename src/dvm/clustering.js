@@ -0,0 +1,250 @@
+// src/dvm/clustering.js
+// Groups relays by who runs them and where. Relays whose latest NIP-11 document shares an admin
+// pubkey or contact end up in one operator cluster (transitively), and clearnet hosts are resolved
+// and looked up in a local ip2asn database (https://iptoasn.com, ip2asn-v4.tsv) for their ASN and
+// country. The result is stored in relay_clusters, see database/relay-clusters.sql.
+
+import { readFileSync, createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { promises as dns } from 'dns';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const normalizeUrl = (url) => String(url).trim().toLowerCase().replace(/\/+$/, '');
+
+export async function ensureClusterTable(db) {
+    await db.query(readFileSync(join(__dirname, '../../database/relay-clusters.sql'), 'utf8'));
+}
+
+function ipToInt(ip) {
+    const parts = String(ip).split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0;
+    for (const part of parts) {
+        const octet = Number(part);
+        if (!/^\d{1,3}$/.test(part) || octet > 255) return null;
+        value = value * 256 + octet;
+    }
+    return value;
+}
+
+// ip2asn TSV: range_start, range_end, AS number, country code, AS description. IPv6 rows are skipped.
+export async function loadAsnDatabase(path) {
+    const ranges = [];
+    const lines = createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        const [start, end, asn, country, org] = line.split('\t');
+        const startInt = ipToInt(start);
+        const endInt = ipToInt(end);
+        if (startInt === null || endInt === null) continue;
+
+        // AS 0 marks unrouted space
+        if (Number(asn) === 0) continue;
+        ranges.push({ start: startInt, end: endInt, asn: Number(asn), country: /^[A-Z]{2}$/.test(country) ? country : null, org: org || null });
+    }
+
+    if (ranges.length === 0) {
+        throw new Error(`${path} has no IPv4 ranges, expected an ip2asn TSV file`);
+    }
+    ranges.sort((a, b) => a.start - b.start);
+
+    return {
+        size: ranges.length,
+        lookup(ip) {
+            const value = ipToInt(ip);
+            if (value === null) return null;
+
+            let low = 0;
+            let high = ranges.length - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (ranges[mid].start > value) high = mid - 1;
+                else if (ranges[mid].end < value) low = mid + 1;
+                else return ranges[mid];
+            }
+            return null;
+        }
+    };
+}
+
+export async function resolveIPv4(host, timeoutMs = 5000) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+
+    try {
+        const lookup = dns.lookup(host, { family: 4 }).then(result => result.address, () => null);
+        return await Promise.race([lookup, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// "https://github.com/hoytech/strfry" -> "strfry", so versions and forks of a URL compare equal
+export function softwareName(software) {
+    if (!software) return null;
+
+    let name = String(software).trim();
+    try {
+        name = new URL(name).pathname.split('/').filter(Boolean).pop() || name;
+    } catch {
+        // Not a URL, use the text as is
+    }
+    return name.toLowerCase().replace(/\.git$/, '') || null;
+}
+
+function operatorSignals(relay) {
+    const signals = [];
+    const pubkey = String(relay.pubkey || '').trim().toLowerCase();
+    const contact = String(relay.contact || '').trim().toLowerCase().replace(/^mailto:/, '');
+
+    if (/^[0-9a-f]{64}$/.test(pubkey)) signals.push(['pubkey', pubkey]);
+    if (contact.length >= 3) signals.push(['contact', contact]);
+    return signals;
+}
+
+// Union-find over shared NIP-11 pubkeys and contacts. Returns url -> { cluster, signals }, where the
+// cluster is named after its smallest URL so it stays stable between runs.
+export function buildOperatorClusters(relays) {
+    const parent = new Map(relays.map(relay => [relay.url, relay.url]));
+    const find = (url) => {
+        while (parent.get(url) !== url) {
+            parent.set(url, parent.get(parent.get(url)));
+            url = parent.get(url);
+        }
+        return url;
+    };
+    const union = (a, b) => {
+        const [rootA, rootB] = [find(a), find(b)];
+        if (rootA === rootB) return;
+        if (rootA < rootB) parent.set(rootB, rootA);
+        else parent.set(rootA, rootB);
+    };
+
+    const bySignal = new Map();
+    for (const relay of relays) {
+        for (const [type, value] of operatorSignals(relay)) {
+            const key = `${type}:${value}`;
+            if (!bySignal.has(key)) bySignal.set(key, { type, urls: [] });
+            bySignal.get(key).urls.push(relay.url);
+        }
+    }
+
+    const signals = new Map(relays.map(relay => [relay.url, new Set()]));
+    for (const { type, urls } of bySignal.values()) {
+        if (urls.length < 2) continue;
+        for (const url of urls) {
+            union(urls[0], url);
+            signals.get(url).add(type);
+        }
+    }
+
+    return new Map(relays.map(relay => [relay.url, { cluster: find(relay.url), signals: [...signals.get(relay.url)] }]));
+}
+
+async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+}
+
+// Rebuilds relay_clusters from the latest NIP-11 document of every relay. Without an ASN database
+// only operator and software clusters are built.
+export async function buildRelayClusters(db, { asnDatabase = null, resolveHost = resolveIPv4, concurrency = 8 } = {}) {
+    await ensureClusterTable(db);
+
+    const { rows } = await db.query(`
+        SELECT DISTINCT ON (r.url) r.url, r.network, rm.pubkey, rm.contact, rm.software
+        FROM relays r
+        LEFT JOIN relay_metadata rm ON rm.relay_url = r.url AND rm.nip11_success = true
+        ORDER BY r.url, rm.generated_at DESC NULLS LAST
+    `);
+
+    const operators = buildOperatorClusters(rows);
+    const asn = asnDatabase ? await loadAsnDatabase(asnDatabase) : null;
+    if (asn) console.log(`🌍 Loaded ${asn.size.toLocaleString()} IPv4 ranges from ${asnDatabase}`);
+
+    const addresses = await mapWithConcurrency(rows, concurrency, async (relay) => {
+        if (!asn || relay.network === 'tor' || relay.network === 'i2p') return null;
+
+        let host;
+        try {
+            host = new URL(relay.url).hostname;
+        } catch {
+            return null;
+        }
+        if (/\.(onion|i2p)$/i.test(host)) return null;
+        return ipToInt(host) !== null ? host : resolveHost(host);
+    });
+
+    const updatedAt = Math.floor(Date.now() / 1000);
+    const records = rows.map((relay, i) => {
+        const location = addresses[i] ? asn.lookup(addresses[i]) : null;
+        return {
+            url: relay.url,
+            operator_cluster: operators.get(relay.url).cluster,
+            operator_signals: operators.get(relay.url).signals,
+            software: softwareName(relay.software),
+            ip: addresses[i],
+            asn: location?.asn ?? null,
+            as_org: location?.org ?? null,
+            country: location?.country ?? null
+        };
+    });
+
+    await db.query(`
+        INSERT INTO relay_clusters (url, operator_cluster, operator_signals, software, ip, asn, as_org, country, updated_at)
+        SELECT c.url, c.operator_cluster, c.operator_signals, c.software, c.ip, c.asn, c.as_org, c.country, $2
+        FROM jsonb_to_recordset($1) AS c(url TEXT, operator_cluster TEXT, operator_signals JSONB, software TEXT, ip TEXT, asn INT, as_org TEXT, country TEXT)
+        ON CONFLICT (url) DO UPDATE SET
+            operator_cluster = EXCLUDED.operator_cluster,
+            operator_signals = EXCLUDED.operator_signals,
+            software = EXCLUDED.software,
+            ip = EXCLUDED.ip,
+            asn = EXCLUDED.asn,
+            as_org = EXCLUDED.as_org,
+            country = EXCLUDED.country,
+            updated_at = EXCLUDED.updated_at
+    `, [JSON.stringify(records), updatedAt]);
+    // Relays that disappeared from the dataset
+    await db.query('DELETE FROM relay_clusters WHERE updated_at < $1', [updatedAt]);
+
+    const clusterSizes = new Map();
+    for (const record of records) clusterSizes.set(record.operator_cluster, (clusterSizes.get(record.operator_cluster) || 0) + 1);
+
+    return {
+        relays: records.length,
+        sharedOperators: [...clusterSizes.values()].filter(size => size > 1).length,
+        resolved: records.filter(record => record.ip).length,
+        located: records.filter(record => record.asn !== null).length
+    };
+}
+
+// Clusters of the given relays, keyed by normalized URL (lowercase, no trailing slash)
+export async function loadRelayClusters(db, urls) {
+    if (urls.length === 0) return new Map();
+
+    const { rows } = await db.query(
+        `SELECT * FROM relay_clusters WHERE rtrim(lower(url), '/') = ANY($1)`,
+        [[...new Set(urls.map(normalizeUrl))]]
+    );
+    return new Map(rows.map(row => [normalizeUrl(row.url), row]));
+}
+
+export function getRelayCluster(clusters, url) {
+    return clusters.get(normalizeUrl(url)) || null;
+}
@@ -1,12 +1,24 @@
 // src/dvm/config.js
 import dotenv from 'dotenv';
-import { generatePrivateKey, getPublicKey } from 'nostr-tools';
+import { nip19 } from 'nostr-tools';
+import { DVM_KINDS } from '../constants/dvm-kinds.js';
+import { loadScoring } from './scoring.js';
 
 dotenv.config();
 
-// Generate or get private key
-const privateKey = process.env.DVM_PRIVATE_KEY || generatePrivateKey();
-const publicKey = process.env.DVM_PUBLIC_KEY || getPublicKey(privateKey);
+// Per request type numbers, e.g. DVM_PRICES=analyze:21000,rotate:10000 (unlisted types fall back to defaults)
+const parseRequestValues = (value = '') => Object.fromEntries(
+    value.split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([type, msats]) => type && parseInt(msats) > 0)
+        .map(([type, msats]) => [type, parseInt(msats)])
+);
+
+// Comma-separated hex pubkeys or npubs, e.g. DVM_ALLOWLIST=npub1...,3bf0c63f...
+const parsePubkeys = (value = '') => value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => entry.startsWith('npub') ? nip19.decode(entry).data : entry.toLowerCase());
 
 export const config = {
     // Database Configuration
@@ -21,16 +33,111 @@ export const config = {
         connectionTimeoutMillis: 2000,
     },
 
+    // DVM identity, resolved by loadSigner() in src/dvm/keys.js. The public key is filled in from
+    // the signer at startup; DVM_PUBLIC_KEY only serves tools that run without the key.
+    keys: {
+        privateKey: process.env.DVM_PRIVATE_KEY, // nsec or hex
+        keyfile: process.env.DVM_KEYFILE, // NIP-49 ncryptsec, created on first start
+        passphrase: process.env.DVM_KEY_PASSPHRASE,
+        passphraseFile: process.env.DVM_KEY_PASSPHRASE_FILE,
+        bunkerUrl: process.env.DVM_BUNKER_URL, // NIP-46 bunker://<pubkey>?relay=...&secret=...
+        bunkerTimeoutMs: parseInt(process.env.DVM_BUNKER_TIMEOUT_MS) || 30000,
+    },
+    publicKey: process.env.DVM_PUBLIC_KEY || null,
+
     // DVM Configuration
-    privateKey,
-    publicKey,
     dvmRelays: (process.env.DVM_RELAYS || 'wss://relay.damus.io,wss://relay.snort.social,wss://nos.lol').split(','),
 
+    // Relay connections: reconnect backoff (doubling up to reconnectMaxMs, with jitter) and dead-socket detection
+    relayPool: {
+        connectTimeoutMs: parseInt(process.env.DVM_RELAY_CONNECT_TIMEOUT_MS) || 10000,
+        backoff: {
+            initialMs: parseInt(process.env.DVM_RECONNECT_INITIAL_MS) || 1000,
+            maxMs: parseInt(process.env.DVM_RECONNECT_MAX_MS) || 5 * 60 * 1000,
+        },
+        pingIntervalMs: parseInt(process.env.DVM_RELAY_PING_MS) || 30000,
+        idleTimeoutMs: parseInt(process.env.DVM_RELAY_IDLE_TIMEOUT_MS) || 90000,
+        // Publishing waits for each relay's OK; rate-limited/auth-required/timeouts are retried
+        okTimeoutMs: parseInt(process.env.DVM_PUBLISH_OK_TIMEOUT_MS) || 5000,
+        publishRetries: parseInt(process.env.DVM_PUBLISH_RETRIES ?? 2),
+        retryDelayMs: parseInt(process.env.DVM_PUBLISH_RETRY_DELAY_MS) || 1000,
+        // Relays named in a request's `relays` tag must be public wss:// hosts unless this allows ws://
+        allowInsecureRequestedRelays: process.env.DVM_ALLOW_WS_REQUESTED_RELAYS === 'true',
+    },
+
     // DVM Protocol
     dvm: {
-        requestKind: 5600,
-        responseKind: 5601,
-        jobRequestKind: 68001,
+        requestKind: DVM_KINDS.REQUEST,
+        resultKind: DVM_KINDS.RESULT,
+        feedbackKind: DVM_KINDS.FEEDBACK,
+        // NIP-89 announcement
+        name: process.env.DVM_NAME || 'Relay Shadow',
+        about: process.env.DVM_ABOUT || 'Privacy-focused relay recommendations, setup analysis and rotation schedules from BigBrotr network data',
+        handlerId: process.env.DVM_HANDLER_ID || 'relay-shadow',
+        announceIntervalMs: parseInt(process.env.DVM_ANNOUNCE_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+        // Job prices in msats, unlisted request types are free
+        pricing: { unit: 'msats', requests: parseRequestValues(process.env.DVM_PRICES) },
+    },
+
+    // Lightning payments for priced jobs (NIP-90 payment-required feedback)
+    payments: {
+        backend: process.env.DVM_PAYMENT_BACKEND || 'mock',
+        invoiceExpirySeconds: parseInt(process.env.DVM_INVOICE_EXPIRY_SECONDS) || 600,
+        pollIntervalMs: parseInt(process.env.DVM_PAYMENT_POLL_MS) || 3000,
+        mockAutoSettleMs: parseInt(process.env.DVM_MOCK_SETTLE_MS) || 0,
+        lnbits: {
+            url: process.env.LNBITS_URL,
+            apiKey: process.env.LNBITS_API_KEY,
+        },
+    },
+
+    // Job ledger: requests older than maxAgeSeconds are replays and never run
+    jobs: {
+        maxAgeSeconds: parseInt(process.env.DVM_JOB_MAX_AGE_SECONDS) || 3600,
+        maxFutureSkewSeconds: parseInt(process.env.DVM_JOB_MAX_FUTURE_SKEW_SECONDS) || 300,
+        // Rows are kept this long past maxAgeSeconds, then pruned at startup and every pruneIntervalMs
+        retentionMarginSeconds: parseInt(process.env.DVM_JOB_RETENTION_MARGIN_SECONDS ?? 86400),
+        pruneIntervalMs: parseInt(process.env.DVM_JOB_PRUNE_INTERVAL_MS ?? 60 * 60 * 1000),
+    },
+
+    // Abuse controls, checked before a job reaches the database. Allow-listed pubkeys skip limits and PoW
+    rateLimit: {
+        perPubkey: {
+            capacity: parseInt(process.env.DVM_RATE_LIMIT_BURST) || 5,
+            refillPerMinute: parseInt(process.env.DVM_RATE_LIMIT_PER_MINUTE) || 10,
+        },
+        global: {
+            capacity: parseInt(process.env.DVM_GLOBAL_RATE_LIMIT_BURST) || 30,
+            refillPerMinute: parseInt(process.env.DVM_GLOBAL_RATE_LIMIT_PER_MINUTE) || 120,
+        },
+        allowlist: parsePubkeys(process.env.DVM_ALLOWLIST),
+        denylist: parsePubkeys(process.env.DVM_DENYLIST),
+        minPowDifficulty: parseInt(process.env.DVM_MIN_POW) || 0, // NIP-13 leading zero bits, 0 disables
+        // Untargeted NIP-90 jobs (no `p` tag) are ignored unless enabled, and share their own bucket
+        openJobs: {
+            enabled: process.env.DVM_OPEN_JOBS === 'true',
+            capacity: parseInt(process.env.DVM_OPEN_JOBS_BURST) || 5,
+            refillPerMinute: parseInt(process.env.DVM_OPEN_JOBS_PER_MINUTE) || 10,
+        },
+    },
+
+    // Job queue: jobs beyond `concurrency` wait, normal ones are rejected past `maxDepth`.
+    // Each running job holds a pool connection whose queries are cancelled after its type's timeout
+    queue: {
+        concurrency: parseInt(process.env.DVM_JOB_CONCURRENCY) || 4,
+        maxDepth: parseInt(process.env.DVM_JOB_QUEUE_MAX) || 100,
+        // On SIGINT/SIGTERM jobs get this long to finish before they are abandoned
+        shutdownTimeoutMs: parseInt(process.env.DVM_SHUTDOWN_TIMEOUT_MS) || 15000,
+        timeouts: {
+            default: parseInt(process.env.DVM_JOB_TIMEOUT_MS) || 30000,
+            requests: {
+                health: 15000,
+                recommend: 20000,
+                rotate: 20000,
+                outbox: 20000,
+                ...parseRequestValues(process.env.DVM_JOB_TIMEOUTS),
+            },
+        },
     },
 
     // Server Configuration
@@ -39,17 +146,44 @@ export const config = {
         clientPort: parseInt(process.env.CLIENT_PORT) || 3000,
         logLevel: process.env.LOG_LEVEL || 'info',
         nodeEnv: process.env.NODE_ENV || 'development',
+        // Each /api/relays/timeseries request scans a relay's checks: token buckets per client IP and overall
+        timeseriesRateLimit: {
+            perClient: {
+                capacity: parseInt(process.env.API_TIMESERIES_BURST) || 10,
+                refillPerMinute: parseInt(process.env.API_TIMESERIES_PER_MINUTE) || 30,
+            },
+            global: {
+                capacity: parseInt(process.env.API_TIMESERIES_GLOBAL_BURST) || 30,
+                refillPerMinute: parseInt(process.env.API_TIMESERIES_GLOBAL_PER_MINUTE) || 120,
+            },
+        },
     },
 
     // Algorithm Parameters
     algorithm: {
         maxRecommendations: 10,
         minRelayScore: 5.0,
-        socialGraphWeight: 0.4,
-        privacyWeight: 0.25,
-        reliabilityWeight: 0.20,
-        performanceWeight: 0.15,
-    }
+    },
+
+    // Quality weights and per threat level ranking profiles, validated when the DVM starts
+    // (defaults and format in src/dvm/scoring.js)
+    scoring: loadScoring({
+        file: process.env.DVM_SCORING_FILE,
+        json: process.env.DVM_SCORING,
+    }),
+
+    // Operator/ASN/jurisdiction clusters used to diversify relay sets (npm run clusters)
+    clustering: {
+        asnDatabase: process.env.DVM_ASN_DATABASE,
+        dnsConcurrency: parseInt(process.env.DVM_CLUSTER_DNS_CONCURRENCY) || 8,
+    },
+
+    // Incremental refresh of the analytics tables (refresh_relay_analytics()), 0 turns it off
+    analytics: {
+        refreshIntervalMs: parseInt(process.env.DVM_ANALYTICS_REFRESH_MS ?? 15 * 60 * 1000),
+        // Rows up to this much older than the watermarks are still counted when they arrive late
+        lagSeconds: parseInt(process.env.DVM_ANALYTICS_LAG_SECONDS ?? 3600),
+    },
 };
 
 // Validation and warnings
@@ -57,13 +191,16 @@ if (!config.database.password) {
     console.warn('⚠️  Warning: No database password provided. Set DB_PASSWORD in .env file');
 }
 
-if (!process.env.DVM_PRIVATE_KEY) {
-    console.warn('⚠️  Warning: Using generated private key. Set DVM_PRIVATE_KEY in .env for persistence');
-    console.log(`🔑 Generated private key: ${config.privateKey}`);
-    console.log(`📡 Generated public key: ${config.publicKey}`);
-    console.log('💡 Add this to your .env file:');
-    console.log(`DVM_PRIVATE_KEY=${config.privateKey}`);
-    console.log(`DVM_PUBLIC_KEY=${config.publicKey}`);
+if (config.queue.concurrency >= config.database.max) {
+    console.warn(`⚠️  Warning: DVM_JOB_CONCURRENCY (${config.queue.concurrency}) leaves no pool connections for the job ledger and payments`);
+}
+
+if (Object.keys(config.dvm.pricing.requests).length > 0 && config.payments.backend === 'mock') {
+    console.warn('⚠️  Warning: Priced jobs use the mock payment backend. Set DVM_PAYMENT_BACKEND=lnbits to take real payments');
+}
+
+if (config.keys.privateKey && !config.keys.keyfile && !config.keys.bunkerUrl) {
+    console.warn('⚠️  Warning: DVM_PRIVATE_KEY is stored in plain text. Move it to an encrypted keyfile with `npm run keys -- import`');
 }
 
 export default config;
\ No newline at end of file
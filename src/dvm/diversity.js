@@ -0,0 +1,96 @@
+// src/dvm/diversity.js
+// Relay sets that do not put all eggs in one basket. Each relay already in a set that shares an
+// operator, country, ASN or software with a candidate lowers the candidate's score by that
+// dimension's penalty (scoring.diversity in src/dvm/scoring.js), see src/dvm/relay-set.js.
+
+import { getRelayCluster } from './clustering.js';
+
+// Dimension -> relay_clusters column
+const DIMENSION_KEYS = {
+    operator: 'operator_cluster',
+    jurisdiction: 'country',
+    asn: 'asn',
+    software: 'software'
+};
+
+function clusterKey(cluster, dimension) {
+    const value = cluster?.[DIMENSION_KEYS[dimension]];
+    return value === null || value === undefined ? null : String(value);
+}
+
+// Keeps count of the clusters in a growing set. penalty(url) is what adding the relay would cost and
+// which relays in the set it shares each dimension with
+export function createDiversityTracker(clusters, penalties) {
+    const members = Object.fromEntries(Object.keys(DIMENSION_KEYS).map(dimension => [dimension, new Map()]));
+
+    return {
+        penalty(url) {
+            const cluster = getRelayCluster(clusters, url);
+            let penalty = 0;
+            const shared = [];
+
+            for (const dimension of Object.keys(DIMENSION_KEYS)) {
+                const relays = members[dimension].get(clusterKey(cluster, dimension)) || [];
+                if (relays.length === 0) continue;
+
+                penalty += (penalties[dimension] || 0) * relays.length;
+                shared.push({ dimension, relays });
+            }
+            return { penalty, shared };
+        },
+
+        add(url) {
+            const cluster = getRelayCluster(clusters, url);
+            for (const dimension of Object.keys(DIMENSION_KEYS)) {
+                const key = clusterKey(cluster, dimension);
+                if (key === null) continue;
+                if (!members[dimension].has(key)) members[dimension].set(key, []);
+                members[dimension].get(key).push(url);
+            }
+        }
+    };
+}
+
+// Counts of distinct operators/countries/ASNs in a relay set and every group of two or more relays
+// sharing one. Relays without cluster data count as their own operator and are left out otherwise.
+export function summarizeClusters(urls, clusters) {
+    const groups = Object.fromEntries(Object.keys(DIMENSION_KEYS).map(dimension => [dimension, new Map()]));
+
+    for (const url of urls) {
+        const cluster = getRelayCluster(clusters, url);
+        for (const dimension of Object.keys(DIMENSION_KEYS)) {
+            const key = dimension === 'operator' ? clusterKey(cluster, dimension) ?? url : clusterKey(cluster, dimension);
+            if (key === null) continue;
+
+            if (!groups[dimension].has(key)) {
+                groups[dimension].set(key, { label: dimension === 'asn' && cluster?.as_org ? `AS${key} ${cluster.as_org}` : key, relays: [] });
+            }
+            groups[dimension].get(key).relays.push(url);
+        }
+    }
+
+    const shared = [];
+    for (const [dimension, byKey] of Object.entries(groups)) {
+        for (const [key, { label, relays }] of byKey) {
+            if (relays.length > 1) shared.push({ dimension, key, label, relays });
+        }
+    }
+
+    return {
+        operators: groups.operator.size,
+        jurisdictions: groups.jurisdiction.size,
+        asns: groups.asn.size,
+        shared
+    };
+}
+
+export function describeCluster(cluster) {
+    if (!cluster) return null;
+    return {
+        operator: cluster.operator_cluster,
+        country: cluster.country ? cluster.country.trim() : null,
+        asn: cluster.asn,
+        as_org: cluster.as_org,
+        software: cluster.software
+    };
+}
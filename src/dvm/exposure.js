@@ -0,0 +1,84 @@
+// src/dvm/exposure.js
+// What a relay set reveals about the user, per relay and per operator. Built from what the dataset
+// saw each relay store (get_relay_exposure) and the operator clusters: a relay holding the user's
+// latest contact list lets its operator see the whole follow graph, AUTH ties the connecting IP
+// address to the pubkey, stored DMs show who the user talks to and when, and relays run by one
+// operator pool what they see.
+
+// Share of the user's events above which a relay is said to see most of their activity
+const ACTIVITY_SHARE = 0.5;
+
+const RISK_DESCRIPTIONS = {
+    social_graph: () => 'Stores your latest contact list, so its operator sees everyone you follow',
+    activity: (relay) => `Stores ${Math.round(relay.user_event_share * 100)}% of your events`,
+    auth: () => 'Requires NIP-42 AUTH, which ties your IP address to your pubkey',
+    direct_messages: (relay) => `Stores ${relay.dm_events} of your direct messages: who you talk to and when, even if encrypted`,
+    shared_operator: (relay) => `Run by the same operator as ${relay.same_operator_as.join(', ')}, who sees what all of them see`
+};
+
+// rows: get_relay_exposure, relays: the analyzed relays (url, cluster)
+export function buildExposureReport(rows, relays) {
+    const clusterOf = new Map(relays.map(relay => [relay.url, relay.cluster]));
+    // Relays without cluster data only count as their own operator
+    const operatorOf = (url) => clusterOf.get(url)?.operator || url;
+
+    const byOperator = new Map();
+    for (const row of rows) {
+        const operator = operatorOf(row.relay_url);
+        if (!byOperator.has(operator)) byOperator.set(operator, []);
+        byOperator.get(operator).push(row.relay_url);
+    }
+
+    const report = rows.map(row => {
+        const total = parseInt(row.user_events_total) || 0;
+        const relay = {
+            url: row.relay_url,
+            known: row.known,
+            operator: operatorOf(row.relay_url),
+            holds_contact_list: row.holds_contact_list,
+            user_events: parseInt(row.user_events) || 0,
+            user_event_share: total > 0 ? Math.round((parseInt(row.user_events) || 0) / total * 100) / 100 : null,
+            dm_events: parseInt(row.dm_events) || 0,
+            stores_dms: row.stores_dms,
+            auth_required: row.auth_required,
+            supports_auth: row.supports_auth,
+            same_operator_as: byOperator.get(operatorOf(row.relay_url)).filter(url => url !== row.relay_url)
+        };
+
+        const risks = [];
+        if (relay.holds_contact_list) risks.push('social_graph');
+        if (relay.user_event_share !== null && relay.user_event_share >= ACTIVITY_SHARE) risks.push('activity');
+        if (relay.auth_required) risks.push('auth');
+        if (relay.dm_events > 0) risks.push('direct_messages');
+        if (relay.same_operator_as.length > 0) risks.push('shared_operator');
+
+        // An operator that knows the IP behind the pubkey and what it follows or whom it messages
+        // has a full picture; anything less is a partial one. The dataset never saw unknown relays.
+        const identified = risks.includes('auth');
+        const revealing = risks.includes('social_graph') || risks.includes('direct_messages');
+        let exposure = risks.length > 0 ? 'medium' : 'low';
+        if (identified && revealing) exposure = 'high';
+        else if (!relay.known) exposure = 'unknown';
+
+        return {
+            ...relay,
+            exposure,
+            risks: risks.map(risk => ({ risk, description: RISK_DESCRIPTIONS[risk](relay) }))
+        };
+    });
+
+    const operatorsWith = (predicate) => new Set(report.filter(predicate).map(relay => relay.operator)).size;
+
+    return {
+        relays: report,
+        summary: {
+            operators: byOperator.size,
+            operators_with_social_graph: operatorsWith(relay => relay.holds_contact_list),
+            operators_with_direct_messages: operatorsWith(relay => relay.dm_events > 0),
+            auth_relays: report.filter(relay => relay.auth_required).length,
+            dm_storing_relays: report.filter(relay => relay.stores_dms).length,
+            shared_operators: [...byOperator.values()].filter(urls => urls.length > 1).length,
+            high_exposure: report.filter(relay => relay.exposure === 'high').map(relay => relay.url)
+        }
+    };
+}
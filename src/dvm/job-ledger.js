@@ -0,0 +1,120 @@
+// src/dvm/job-ledger.js
+// Postgres-backed ledger of NIP-90 jobs (table dvm_jobs, see database/job-ledger.sql).
+// Every relay delivers the same request and restarts replay the subscription window, so a job
+// is only run by whoever manages to claim its event id first.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const JOB_STATUS = {
+    RECEIVED: 'received',
+    PAYMENT_REQUIRED: 'payment-required',
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    SUCCESS: 'success',
+    ERROR: 'error',
+    REJECTED: 'rejected',
+    INTERRUPTED: 'interrupted'
+};
+
+export const RESTART_MESSAGE = 'DVM restarted before the job finished, please resubmit the job';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+export class JobLedger {
+    constructor(db, { maxAgeSeconds = 3600, maxFutureSkewSeconds = 300, retentionMarginSeconds = 86400, pruneIntervalMs = 60 * 60 * 1000 } = {}) {
+        this.db = db;
+        this.maxAgeSeconds = maxAgeSeconds;
+        this.maxFutureSkewSeconds = maxFutureSkewSeconds;
+        this.retentionMarginSeconds = retentionMarginSeconds;
+        this.pruneIntervalMs = pruneIntervalMs;
+        this.pruneTimer = null;
+    }
+
+    // Creates the table if needed, drops expired jobs and marks the ones a previous process never
+    // finished (pending invoices die with it). Returns those still young enough for their requester
+    // to be waiting, who have not been told yet.
+    async init() {
+        await this.db.query(readFileSync(join(__dirname, '../../database/job-ledger.sql'), 'utf8'));
+        await this.prune();
+
+        const result = await this.db.query(`
+            UPDATE dvm_jobs SET status = $1, updated_at = $2, error = $3
+            WHERE status IN ($4, $5, $6, $7)
+            RETURNING id, pubkey, created_at
+        `, [JOB_STATUS.INTERRUPTED, now(), RESTART_MESSAGE, JOB_STATUS.RECEIVED, JOB_STATUS.PAYMENT_REQUIRED, JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING]);
+
+        if (result.rowCount > 0) {
+            console.log(`⚠ Marked ${result.rowCount} unfinished jobs from a previous run as interrupted`);
+        }
+        return result.rows.filter(job => !this.isStale({ created_at: parseInt(job.created_at) }));
+    }
+
+    // Expired requests are rejected by isStale() before the ledger is asked, so their rows only
+    // matter for the margin kept after the subscription window
+    async prune() {
+        const result = await this.db.query(
+            'DELETE FROM dvm_jobs WHERE created_at < $1',
+            [now() - this.maxAgeSeconds - this.retentionMarginSeconds]
+        );
+        if (result.rowCount > 0) {
+            console.log(`🧹 Pruned ${result.rowCount} expired jobs from the ledger`);
+        }
+        return result.rowCount;
+    }
+
+    // Prunes on a timer from then on; an interval of 0 leaves it to startup
+    start() {
+        if (!(this.pruneIntervalMs > 0) || this.pruneTimer) return;
+
+        this.pruneTimer = setInterval(() => {
+            this.prune().catch(error => console.error('Job ledger pruning failed:', error.message));
+        }, this.pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    stop() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+    }
+
+    // Requests older than the subscription window are replays, far-future ones are bogus
+    isStale(event) {
+        const age = now() - event.created_at;
+        return age > this.maxAgeSeconds || age < -this.maxFutureSkewSeconds;
+    }
+
+    // Returns true when this call owns the job; duplicates only bump seen_count
+    async claim(event, relayUrl) {
+        const timestamp = now();
+        const inserted = await this.db.query(`
+            INSERT INTO dvm_jobs (id, pubkey, created_at, received_at, updated_at, first_relay)
+            VALUES ($1, $2, $3, $4, $4, $5)
+            ON CONFLICT (id) DO NOTHING
+            RETURNING id
+        `, [event.id, event.pubkey, event.created_at, timestamp, relayUrl || null]);
+
+        if (inserted.rows.length > 0) return true;
+
+        await this.db.query('UPDATE dvm_jobs SET seen_count = seen_count + 1 WHERE id = $1', [event.id]);
+        return false;
+    }
+
+    async update(jobId, status, { requestType, amountMsats, resultEventId, error } = {}) {
+        await this.db.query(`
+            UPDATE dvm_jobs SET
+                status = $2,
+                updated_at = $3,
+                request_type = COALESCE($4, request_type),
+                amount_msats = COALESCE($5, amount_msats),
+                result_event_id = COALESCE($6, result_event_id),
+                error = COALESCE($7, error)
+            WHERE id = $1
+        `, [jobId, status, now(), requestType ?? null, amountMsats ?? null, resultEventId ?? null, error ?? null]);
+    }
+}
@@ -0,0 +1,106 @@
+// src/dvm/job-queue.js
+// Bounded in-process job queue. At most `concurrency` jobs run at once so slow SQL functions
+// cannot pile up against the connection pool; high-priority jobs (paid, allow-listed) jump
+// ahead and are never turned away, normal ones are rejected once `maxDepth` jobs are waiting.
+
+export const JOB_PRIORITY = {
+    HIGH: 'high',
+    NORMAL: 'normal'
+};
+
+export class JobQueue {
+    constructor({ concurrency = 4, maxDepth = 100 } = {}) {
+        this.concurrency = concurrency;
+        this.maxDepth = maxDepth;
+        this.waiting = { [JOB_PRIORITY.HIGH]: [], [JOB_PRIORITY.NORMAL]: [] };
+        this.running = 0;
+        this.idleWaiters = [];
+        this.stats = {
+            enqueued: 0,
+            started: 0,
+            completed: 0,
+            failed: 0,
+            rejected: 0,
+            maxDepthSeen: 0,
+            totalWaitMs: 0
+        };
+    }
+
+    get depth() {
+        return this.waiting[JOB_PRIORITY.HIGH].length + this.waiting[JOB_PRIORITY.NORMAL].length;
+    }
+
+    // Returns false when the job was turned away because the queue is full
+    push(task, { id, priority = JOB_PRIORITY.NORMAL } = {}) {
+        if (priority !== JOB_PRIORITY.HIGH && this.depth >= this.maxDepth) {
+            this.stats.rejected++;
+            return false;
+        }
+
+        this.waiting[priority].push({ id, task, enqueuedAt: Date.now() });
+        this.stats.enqueued++;
+        this.stats.maxDepthSeen = Math.max(this.stats.maxDepthSeen, this.depth);
+
+        this.drain();
+        return true;
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.depth > 0) {
+            const job = this.waiting[JOB_PRIORITY.HIGH].shift() || this.waiting[JOB_PRIORITY.NORMAL].shift();
+
+            this.running++;
+            this.stats.started++;
+            this.stats.totalWaitMs += Date.now() - job.enqueuedAt;
+
+            Promise.resolve()
+                .then(job.task)
+                .then(() => {
+                    this.stats.completed++;
+                }, error => {
+                    this.stats.failed++;
+                    console.error(`Queued job ${job.id?.substring(0, 8)} failed:`, error);
+                })
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                    this.notifyIdle();
+                });
+        }
+    }
+
+    // Resolves once nothing is waiting or running
+    onIdle() {
+        if (this.running === 0 && this.depth === 0) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    notifyIdle() {
+        if (this.running > 0 || this.depth > 0) return;
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    // Drops every job that has not started yet and returns their ids
+    clear() {
+        const dropped = [...this.waiting[JOB_PRIORITY.HIGH], ...this.waiting[JOB_PRIORITY.NORMAL]].map(job => job.id);
+        this.waiting[JOB_PRIORITY.HIGH] = [];
+        this.waiting[JOB_PRIORITY.NORMAL] = [];
+        this.notifyIdle();
+        return dropped;
+    }
+
+    getStats() {
+        return {
+            depth: this.depth,
+            depthByPriority: {
+                high: this.waiting[JOB_PRIORITY.HIGH].length,
+                normal: this.waiting[JOB_PRIORITY.NORMAL].length
+            },
+            running: this.running,
+            concurrency: this.concurrency,
+            maxDepth: this.maxDepth,
+            ...this.stats,
+            avgWaitMs: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0
+        };
+    }
+}
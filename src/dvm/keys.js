@@ -0,0 +1,230 @@
+// src/dvm/keys.js
+// DVM identity. The secret key comes from DVM_PRIVATE_KEY (nsec or hex), from a NIP-49 encrypted
+// keyfile (ncryptsec) or stays with a NIP-46 bunker that signs remotely. Secret material is kept in
+// private fields and never logged, only pubkeys/npubs are.
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { scrypt, randomBytes } from 'crypto';
+import { promisify } from 'util';
+import { generatePrivateKey, getPublicKey, finishEvent, nip04, nip19, nip44 } from 'nostr-tools';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bech32 } from '@scure/base';
+import { BunkerSigner } from './bunker-signer.js';
+
+const scryptAsync = promisify(scrypt);
+
+const NCRYPTSEC_PREFIX = 'ncryptsec';
+const NCRYPTSEC_VERSION = 0x02;
+// An ncryptsec is longer than bech32's default 90 character limit
+const BECH32_MAX_LENGTH = 5000;
+
+// NIP-49 key security byte, authenticated along with the ciphertext
+export const KEY_SECURITY = {
+    INSECURE: 0x00, // was handled unencrypted, e.g. pasted from .env
+    SECURE: 0x01, // never left this process unencrypted
+    UNKNOWN: 0x02
+};
+
+// Accepts an nsec or 64 hex characters; the error never echoes the input
+export function parseSecretKey(value) {
+    const input = String(value ?? '').trim();
+
+    if (input.startsWith('nsec1')) {
+        try {
+            return nip19.decode(input).data;
+        } catch {
+            throw new Error('Invalid nsec: bad bech32 encoding');
+        }
+    }
+    if (/^[0-9a-f]{64}$/i.test(input)) return input.toLowerCase();
+
+    throw new Error('Secret key must be an nsec or 64 hex characters');
+}
+
+// scrypt with N = 2^logn, r = 8, p = 1 as NIP-49 specifies
+async function deriveKey(passphrase, salt, logn) {
+    const N = 2 ** logn;
+    return scryptAsync(passphrase.normalize('NFKC'), salt, 32, { N, r: 8, p: 1, maxmem: 256 * N * 8 });
+}
+
+export async function encryptSecretKey(secretKey, passphrase, { logn = 16, keySecurity = KEY_SECURITY.UNKNOWN } = {}) {
+    const salt = randomBytes(16);
+    const nonce = randomBytes(24);
+    const associatedData = Uint8Array.of(keySecurity);
+
+    const key = await deriveKey(passphrase, salt, logn);
+    const ciphertext = xchacha20poly1305(key, nonce, associatedData).encrypt(Buffer.from(secretKey, 'hex'));
+
+    const payload = Buffer.concat([Uint8Array.of(NCRYPTSEC_VERSION, logn), salt, nonce, associatedData, ciphertext]);
+    return bech32.encode(NCRYPTSEC_PREFIX, bech32.toWords(payload), BECH32_MAX_LENGTH);
+}
+
+export async function decryptSecretKey(ncryptsec, passphrase) {
+    let payload;
+    try {
+        const { prefix, words } = bech32.decode(ncryptsec.trim(), BECH32_MAX_LENGTH);
+        if (prefix !== NCRYPTSEC_PREFIX) throw new Error(prefix);
+        payload = Uint8Array.from(bech32.fromWords(words));
+    } catch {
+        throw new Error('Keyfile does not contain an ncryptsec');
+    }
+
+    if (payload[0] !== NCRYPTSEC_VERSION || payload.length !== 91) {
+        throw new Error(`Unsupported ncryptsec version ${payload[0]}`);
+    }
+
+    const logn = payload[1];
+    const salt = payload.slice(2, 18);
+    const nonce = payload.slice(18, 42);
+    const associatedData = payload.slice(42, 43);
+    const ciphertext = payload.slice(43);
+
+    const key = await deriveKey(passphrase, salt, logn);
+    try {
+        const secretKey = xchacha20poly1305(key, nonce, associatedData).decrypt(ciphertext);
+        return { secretKey: Buffer.from(secretKey).toString('hex'), keySecurity: associatedData[0] };
+    } catch {
+        throw new Error('Wrong passphrase for keyfile');
+    }
+}
+
+export async function readKeyfile(path, passphrase) {
+    return decryptSecretKey(readFileSync(path, 'utf8'), passphrase);
+}
+
+// Owner-only permissions, the file is encrypted but still worth keeping private
+export async function writeKeyfile(path, secretKey, passphrase, options) {
+    const ncryptsec = await encryptSecretKey(secretKey, passphrase, options);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, `${ncryptsec}\n`, { mode: 0o600 });
+}
+
+// Reads a line from the terminal without echoing it
+export function promptPassphrase(question) {
+    const { stdin, stdout } = process;
+    if (!stdin.isTTY) {
+        return Promise.reject(new Error('No passphrase given: set DVM_KEY_PASSPHRASE or DVM_KEY_PASSPHRASE_FILE'));
+    }
+
+    stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.resume();
+
+    return new Promise((resolve, reject) => {
+        let input = '';
+
+        const finish = (error) => {
+            stdin.off('data', onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            stdout.write('\n');
+            error ? reject(error) : resolve(input);
+        };
+
+        const onData = (chunk) => {
+            for (const char of chunk.toString('utf8')) {
+                if (char === '\r' || char === '\n') return finish();
+                if (char === '\u0003') return finish(new Error('Passphrase prompt cancelled'));
+                input = char === '\u007f' || char === '\b' ? input.slice(0, -1) : input + char;
+            }
+        };
+
+        stdin.on('data', onData);
+    });
+}
+
+export async function resolvePassphrase({ passphrase, passphraseFile }, question = '🔐 Keyfile passphrase: ') {
+    if (passphrase) return passphrase;
+    if (passphraseFile) return readFileSync(passphraseFile, 'utf8').replace(/\r?\n$/, '');
+    return promptPassphrase(question);
+}
+
+// Signs and encrypts with a secret key held in memory
+export class LocalSigner {
+    #secretKey;
+
+    constructor(secretKey) {
+        this.#secretKey = parseSecretKey(secretKey);
+        this.type = 'local';
+        this.publicKey = getPublicKey(this.#secretKey);
+    }
+
+    async signEvent(event) {
+        return finishEvent(event, this.#secretKey);
+    }
+
+    async encrypt(scheme, pubkey, plaintext) {
+        if (scheme === 'nip04') {
+            return nip04.encrypt(this.#secretKey, pubkey, plaintext);
+        }
+        return nip44.encrypt(nip44.utils.v2.getConversationKey(this.#secretKey, pubkey), plaintext);
+    }
+
+    async decrypt(scheme, pubkey, ciphertext) {
+        if (scheme === 'nip04') {
+            return nip04.decrypt(this.#secretKey, pubkey, ciphertext);
+        }
+        return nip44.decrypt(nip44.utils.v2.getConversationKey(this.#secretKey, pubkey), ciphertext);
+    }
+
+    close() {}
+}
+
+// A keyfile that does not exist yet is created with a fresh key, so the identity survives restarts
+async function loadKeyfile(options) {
+    const { keyfile } = options;
+
+    if (!existsSync(keyfile)) {
+        const passphrase = await resolvePassphrase(options, '🔐 New keyfile passphrase: ');
+        if (!passphrase) throw new Error('Refusing to create a keyfile with an empty passphrase');
+
+        const secretKey = generatePrivateKey();
+        await writeKeyfile(keyfile, secretKey, passphrase, { keySecurity: KEY_SECURITY.SECURE });
+        console.log(`🔑 Generated a new DVM key in ${keyfile}`);
+        return secretKey;
+    }
+
+    const { secretKey, keySecurity } = await readKeyfile(keyfile, await resolvePassphrase(options));
+    if (keySecurity === KEY_SECURITY.INSECURE) {
+        console.warn(`⚠️  Warning: the key in ${keyfile} was handled unencrypted before it was stored`);
+    }
+    return secretKey;
+}
+
+// Order of precedence: bunker (the local key, if any, becomes its client key), keyfile, DVM_PRIVATE_KEY
+export async function loadSigner(options = {}) {
+    if (options.keyfile && options.privateKey) {
+        console.warn('⚠️  Warning: DVM_PRIVATE_KEY is ignored because DVM_KEYFILE is set');
+    }
+
+    let secretKey = null;
+    if (options.keyfile) {
+        secretKey = await loadKeyfile(options);
+    } else if (options.privateKey) {
+        secretKey = parseSecretKey(options.privateKey);
+    }
+
+    if (options.bunkerUrl) {
+        if (!secretKey) {
+            console.warn('⚠️  Warning: No DVM_KEYFILE or DVM_PRIVATE_KEY for the bunker client key, the bunker has to approve a new client on every start');
+        }
+        const signer = new BunkerSigner(options.bunkerUrl, new LocalSigner(secretKey || generatePrivateKey()), {
+            timeoutMs: options.bunkerTimeoutMs
+        });
+        try {
+            await signer.connect();
+        } catch (error) {
+            signer.close();
+            throw error;
+        }
+        return signer;
+    }
+
+    if (!secretKey) {
+        throw new Error('No DVM key configured: set DVM_KEYFILE (created on first start), DVM_PRIVATE_KEY or DVM_BUNKER_URL');
+    }
+    return new LocalSigner(secretKey);
+}
+
+export const npubOf = (pubkey) => nip19.npubEncode(pubkey);
@@ -0,0 +1,103 @@
+// src/dvm/outbox.js
+// Outbox model (NIP-65). A user reads each follow from the relays that follow writes to, so the read
+// set is a set cover: the fewest relays that together reach every follow, picked greedily by how
+// many not yet reached follows each relay adds. The result is offered as a kind 10002 template the
+// client signs and publishes itself.
+
+export const RELAY_LIST_KIND = 10002;
+
+const normalizeUrl = (url) => String(url).trim().toLowerCase().replace(/\/+$/, '');
+
+// { read, write } of a kind 10002 tag list; "r" tags without a marker are both
+export function parseRelayList(tags = []) {
+    const read = new Set();
+    const write = new Set();
+
+    for (const [name, url, marker] of tags) {
+        if (name !== 'r' || !/^wss?:\/\//i.test(url || '')) continue;
+        if (marker !== 'write') read.add(normalizeUrl(url));
+        if (marker !== 'read') write.add(normalizeUrl(url));
+    }
+    return { read: [...read], write: [...write] };
+}
+
+// rows: get_follow_write_relays, scores: url -> { overall_score, online }. Relays known to be offline
+// are skipped. Ties go to the better scoring relay.
+export function coverFollows(rows, scores, maxRelays) {
+    const followsByRelay = new Map();
+    const follows = new Set();
+    const sources = { nip65: new Set(), observed: new Set() };
+    const unusable = new Set();
+
+    for (const row of rows) {
+        follows.add(row.followed_pubkey);
+        if (!row.relay_url) continue;
+
+        sources[row.source]?.add(row.followed_pubkey);
+        if (scores.get(row.relay_url)?.online === false) {
+            unusable.add(row.relay_url);
+            continue;
+        }
+        if (!followsByRelay.has(row.relay_url)) followsByRelay.set(row.relay_url, new Set());
+        followsByRelay.get(row.relay_url).add(row.followed_pubkey);
+    }
+
+    const reachable = new Set([...followsByRelay.values()].flatMap(pubkeys => [...pubkeys]));
+    const scoreOf = (url) => scores.get(url)?.overall_score ?? 0;
+    const covered = new Set();
+    const picked = [];
+
+    while (picked.length < maxRelays && covered.size < reachable.size) {
+        let best = null;
+        for (const [url, pubkeys] of followsByRelay) {
+            const gain = [...pubkeys].filter(pubkey => !covered.has(pubkey)).length;
+            if (gain > 0 && (!best || gain > best.gain || (gain === best.gain && scoreOf(url) > scoreOf(best.url)))) {
+                best = { url, gain };
+            }
+        }
+
+        const pubkeys = followsByRelay.get(best.url);
+        followsByRelay.delete(best.url);
+        pubkeys.forEach(pubkey => covered.add(pubkey));
+
+        picked.push({
+            url: best.url,
+            follows: pubkeys.size,
+            new_follows: best.gain,
+            overall_score: scores.get(best.url)?.overall_score ?? null,
+            online: scores.get(best.url)?.online ?? null,
+            reason: picked.length === 0
+                ? `${best.gain} of your follows write here, more than to any other relay`
+                : `Reaches ${best.gain} follows the relays above miss (${covered.size}/${reachable.size})`
+        });
+    }
+
+    return {
+        relays: picked,
+        coverage: {
+            follows: follows.size,
+            with_relay_list: sources.nip65.size,
+            inferred: sources.observed.size,
+            reachable: reachable.size,
+            covered: covered.size,
+            offline_relays_skipped: unusable.size
+        }
+    };
+}
+
+// Unsigned kind 10002 event; NIP-07 signers fill in pubkey, id and sig
+export function buildRelayListTemplate(readUrls, writeUrls) {
+    const read = readUrls.map(normalizeUrl);
+    const write = writeUrls.map(normalizeUrl);
+    const urls = [...new Set([...write, ...read])];
+
+    return {
+        kind: RELAY_LIST_KIND,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: urls.map(url => {
+            if (read.includes(url) && write.includes(url)) return ['r', url];
+            return ['r', url, read.includes(url) ? 'read' : 'write'];
+        }),
+        content: ''
+    };
+}
@@ -0,0 +1,108 @@
+// src/dvm/payments.js
+// Invoice backends for paid jobs. A backend creates bolt11 invoices and reports whether they settled:
+//   createInvoice({ amountMsats, memo, expirySeconds }) -> { paymentHash, bolt11, amountMsats, expiresAt }
+//   isPaid(paymentHash) -> boolean
+
+import crypto from 'crypto';
+
+// Local backend for development and tests: invoices are fake and settle on their own or via settle()
+export class MockInvoiceBackend {
+    constructor({ autoSettleMs = 0 } = {}) {
+        this.name = 'mock';
+        this.autoSettleMs = autoSettleMs;
+        this.invoices = new Map();
+    }
+
+    async createInvoice({ amountMsats, memo, expirySeconds }) {
+        const paymentHash = crypto.randomBytes(32).toString('hex');
+        const invoice = {
+            paymentHash,
+            bolt11: `lnmock${amountMsats}n1${paymentHash}`,
+            amountMsats,
+            memo,
+            createdAt: Date.now(),
+            expiresAt: Math.floor(Date.now() / 1000) + expirySeconds,
+            settled: false
+        };
+
+        this.invoices.set(paymentHash, invoice);
+        return invoice;
+    }
+
+    settle(paymentHash) {
+        const invoice = this.invoices.get(paymentHash);
+        if (!invoice) throw new Error(`Unknown invoice ${paymentHash}`);
+        invoice.settled = true;
+    }
+
+    async isPaid(paymentHash) {
+        const invoice = this.invoices.get(paymentHash);
+        if (!invoice) return false;
+
+        if (this.autoSettleMs > 0 && Date.now() - invoice.createdAt >= this.autoSettleMs) {
+            invoice.settled = true;
+        }
+        return invoice.settled;
+    }
+}
+
+// LNbits wallet (invoice/read key); amounts are rounded up to whole sats
+export class LNbitsInvoiceBackend {
+    constructor({ url, apiKey }) {
+        if (!url || !apiKey) {
+            throw new Error('LNbits backend needs LNBITS_URL and LNBITS_API_KEY');
+        }
+
+        this.name = 'lnbits';
+        this.url = url.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.url}${path}`, {
+            ...options,
+            headers: { 'X-Api-Key': this.apiKey, 'Content-Type': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`LNbits ${path} failed: ${response.status} ${await response.text()}`);
+        }
+        return response.json();
+    }
+
+    async createInvoice({ amountMsats, memo, expirySeconds }) {
+        const result = await this.request('/api/v1/payments', {
+            method: 'POST',
+            body: JSON.stringify({
+                out: false,
+                amount: Math.ceil(amountMsats / 1000),
+                memo,
+                expiry: expirySeconds
+            })
+        });
+
+        return {
+            paymentHash: result.payment_hash,
+            bolt11: result.payment_request,
+            amountMsats,
+            memo,
+            expiresAt: Math.floor(Date.now() / 1000) + expirySeconds
+        };
+    }
+
+    async isPaid(paymentHash) {
+        const result = await this.request(`/api/v1/payments/${paymentHash}`);
+        return result.paid === true;
+    }
+}
+
+export function createInvoiceBackend(payments) {
+    switch (payments.backend) {
+        case 'lnbits':
+            return new LNbitsInvoiceBackend(payments.lnbits);
+        case 'mock':
+            return new MockInvoiceBackend({ autoSettleMs: payments.mockAutoSettleMs });
+        default:
+            throw new Error(`Unknown payment backend: ${payments.backend}`);
+    }
+}
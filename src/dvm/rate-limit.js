@@ -0,0 +1,165 @@
+// src/dvm/rate-limit.js
+// Abuse controls applied before a job touches the database: deny list, NIP-13 proof of work
+// and token buckets per requester and for the whole DVM. Allow-listed pubkeys skip all of it.
+
+import { nip13 } from 'nostr-tools';
+
+// Holds up to `capacity` tokens and regains `refillPerMinute` of them every minute
+export class TokenBucket {
+    constructor({ capacity, refillPerMinute }) {
+        this.capacity = capacity;
+        this.refillPerMs = refillPerMinute / 60000;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        this.throttled = false;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    take() {
+        this.refill();
+        if (this.tokens < 1) return false;
+
+        this.tokens -= 1;
+        return true;
+    }
+
+    // Seconds until the next token is available
+    retryAfter() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs / 1000);
+    }
+
+    isFull() {
+        this.refill();
+        return this.tokens >= this.capacity;
+    }
+}
+
+// NIP-90 jobs without a `p` tag are open to any service provider
+export function isOpenJob(event) {
+    return !event.tags.some(tag => Array.isArray(tag) && tag[0] === 'p');
+}
+
+// Idle buckets are dropped once this many requesters are tracked
+const MAX_TRACKED_PUBKEYS = 10000;
+// Every relay delivers the same request; its copies reuse the first verdict instead of spending tokens
+const MAX_REMEMBERED_VERDICTS = 1000;
+
+export class RequestLimiter {
+    constructor({ perPubkey, global, allowlist = [], denylist = [], minPowDifficulty = 0, openJobs = null }) {
+        this.perPubkey = perPubkey;
+        this.global = new TokenBucket(global);
+        this.openJobs = openJobs?.enabled ? new TokenBucket(openJobs) : null;
+        this.allowlist = new Set(allowlist);
+        this.denylist = new Set(denylist);
+        this.minPowDifficulty = minPowDifficulty;
+        this.buckets = new Map();
+        this.verdicts = new Map();
+    }
+
+    isAllowlisted(pubkey) {
+        return this.allowlist.has(pubkey);
+    }
+
+    // Returns { allowed: true } or { allowed: false, reason, message, notify, retryAfter? }.
+    // `notify` is set once per rejection worth telling the requester about, never for copies.
+    check(event) {
+        const remembered = this.verdicts.get(event.id);
+        if (remembered) return { ...remembered, notify: false };
+
+        const verdict = this.evaluate(event);
+
+        this.verdicts.set(event.id, verdict);
+        if (this.verdicts.size > MAX_REMEMBERED_VERDICTS) {
+            this.verdicts.delete(this.verdicts.keys().next().value);
+        }
+        return verdict;
+    }
+
+    // Every request spends a token first, so a requester spraying bad jobs is throttled and
+    // only hears about it once per throttling episode
+    evaluate(event) {
+        if (this.denylist.has(event.pubkey)) {
+            return { allowed: false, reason: 'denied', message: 'Requester is blocked by this DVM', notify: false };
+        }
+
+        if (this.isAllowlisted(event.pubkey)) return { allowed: true };
+
+        const bucket = this.getBucket(event.pubkey);
+        if (!bucket.take()) {
+            const retryAfter = bucket.retryAfter();
+            const notify = !bucket.throttled;
+            bucket.throttled = true;
+
+            return {
+                allowed: false,
+                reason: 'rate-limited',
+                message: `Rate limit exceeded: ${this.perPubkey.refillPerMinute} jobs per minute per requester, retry in ${retryAfter}s`,
+                notify,
+                retryAfter
+            };
+        }
+        bucket.throttled = false;
+
+        if (this.minPowDifficulty > 0) {
+            const difficulty = nip13.getPow(event.id);
+            if (difficulty < this.minPowDifficulty) {
+                return {
+                    allowed: false,
+                    reason: 'pow',
+                    message: `Proof of work required: request id needs ${this.minPowDifficulty} leading zero bits (NIP-13), got ${difficulty}`,
+                    notify: true
+                };
+            }
+        }
+
+        // Open jobs are broadcast to every DVM, so together they only get a small share of the capacity
+        if (this.openJobs && isOpenJob(event) && !this.openJobs.take()) {
+            bucket.tokens += 1;
+            return {
+                allowed: false,
+                reason: 'busy',
+                message: `Not taking more open jobs, retry in ${this.openJobs.retryAfter()}s or address the job to this DVM`,
+                notify: false
+            };
+        }
+
+        // A request the global bucket turns away should not cost the requester its own token
+        if (!this.global.take()) {
+            bucket.tokens += 1;
+            const retryAfter = this.global.retryAfter();
+            return {
+                allowed: false,
+                reason: 'busy',
+                message: `DVM is at capacity, retry in ${retryAfter}s`,
+                notify: true,
+                retryAfter
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    getBucket(pubkey) {
+        let bucket = this.buckets.get(pubkey);
+        if (!bucket) {
+            if (this.buckets.size >= MAX_TRACKED_PUBKEYS) this.pruneIdleBuckets();
+
+            bucket = new TokenBucket(this.perPubkey);
+            this.buckets.set(pubkey, bucket);
+        }
+        return bucket;
+    }
+
+    // A full bucket carries no state a fresh one would not have
+    pruneIdleBuckets() {
+        for (const [pubkey, bucket] of this.buckets) {
+            if (bucket.isFull()) this.buckets.delete(pubkey);
+        }
+    }
+}
@@ -0,0 +1,569 @@
+// src/dvm/relay-pool.js
+// Long-lived relay connections shared by the DVM and the test client. Each relay reconnects
+// with exponential backoff and jitter, re-sends every active subscription once it is back,
+// pings to notice dead sockets, answers NIP-42 AUTH challenges and keeps health stats.
+
+import { isIP } from 'net';
+import WebSocket from 'ws';
+
+const AUTH_KIND = 22242;
+
+// NIP-01 machine-readable OK prefixes worth trying again; the pool answers AUTH challenges on its own
+const TRANSIENT_REJECTIONS = ['rate-limited:', 'auth-required:'];
+
+const DEFAULT_OPTIONS = {
+    connectTimeoutMs: 10000,
+    backoff: {
+        initialMs: 1000,
+        maxMs: 5 * 60 * 1000,
+        factor: 2,
+        jitter: 0.3
+    },
+    // A connection that stayed up this long is healthy again and restarts the backoff
+    stableAfterMs: 60000,
+    pingIntervalMs: 30000,
+    // Waiting for OK after publishing, and how often a transient failure is retried
+    okTimeoutMs: 5000,
+    publishRetries: 2,
+    retryDelayMs: 1000,
+    // No message or pong for this long means the socket is dead even if it never closed
+    idleTimeoutMs: 90000
+};
+
+// Hosts a requester must not be able to point us at: loopback, private, link-local, CGNAT, multicast and mDNS
+const PRIVATE_IPV4 = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+];
+const PRIVATE_HOSTNAMES = /(^|\.)(localhost|local|internal|home\.arpa)$/;
+
+function ipv4ToInt(address) {
+    return address.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+}
+
+function isPrivateAddress(address) {
+    if (isIP(address) === 4) {
+        const value = ipv4ToInt(address);
+        return PRIVATE_IPV4.some(([network, bits]) => {
+            const mask = (~0 << (32 - bits)) >>> 0;
+            return ((value & mask) >>> 0) === ipv4ToInt(network);
+        });
+    }
+
+    // ::, ::1, unique local fc00::/7, link-local fe80::/10 and IPv4-mapped addresses
+    const ipv6 = address.toLowerCase();
+    if (ipv6 === '::' || ipv6 === '::1') return true;
+    if (/^f[cd]/.test(ipv6) || /^fe[89ab]/.test(ipv6)) return true;
+
+    const mapped = ipv6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const mappedHex = ipv6.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+        const value = (parseInt(mappedHex[1], 16) << 16 | parseInt(mappedHex[2], 16)) >>> 0;
+        return isPrivateAddress([value >>> 24, value >>> 16 & 255, value >>> 8 & 255, value & 255].join('.'));
+    }
+    return false;
+}
+
+// Whether a requester-supplied relay URL is a public websocket host we may dial. Names are not
+// resolved, so a public name pointing at a private address still gets through.
+export function isPublicRelayUrl(url, { allowInsecure = false } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+
+    if (parsed.protocol !== 'wss:' && !(allowInsecure && parsed.protocol === 'ws:')) return false;
+    if (parsed.username || parsed.password) return false;
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (!host) return false;
+    if (isIP(host)) return !isPrivateAddress(host);
+    return !PRIVATE_HOSTNAMES.test(host);
+}
+
+export class RelayPool {
+    // handlers: { onEvent(url, subscriptionId, event), onOk(url, eventId, accepted, message),
+    //             onNotice(url, message), onEose(url, subscriptionId), onClosed(url, subscriptionId, message),
+    //             onConnect(url), onDisconnect(url, code) }
+    // signEvent(unsignedEvent) signs NIP-42 AUTH events; without it challenges are ignored
+    constructor(urls, { handlers = {}, signEvent = null, WebSocketImpl = WebSocket, ...options } = {}) {
+        this.handlers = handlers;
+        this.signEvent = signEvent;
+        this.WebSocket = WebSocketImpl;
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            backoff: { ...DEFAULT_OPTIONS.backoff, ...options.backoff }
+        };
+
+        this.relays = new Map(urls.map(url => [url, this.createRelayState(url)]));
+        this.subscriptions = new Map();
+        this.closed = false;
+    }
+
+    createRelayState(url) {
+        return {
+            url,
+            ws: null,
+            status: 'disconnected',
+            attempt: 0,
+            openedAt: null,
+            lastActivityAt: null,
+            pingSentAt: null,
+            reconnectTimer: null,
+            pingTimer: null,
+            authEventId: null,
+            pendingOks: new Map(),
+            stats: {
+                connects: 0,
+                disconnects: 0,
+                failures: 0,
+                messagesReceived: 0,
+                eventsReceived: 0,
+                eventsPublished: 0,
+                okAccepted: 0,
+                okRejected: 0,
+                okTimeouts: 0,
+                lastConnectedAt: null,
+                lastDisconnectedAt: null,
+                lastError: null,
+                pingRttMs: null,
+                nextRetryAt: null,
+                authenticated: false
+            }
+        };
+    }
+
+    // Resolves with the number of relays reachable on the first attempt; the others keep retrying
+    async connect() {
+        this.closed = false;
+
+        const results = await Promise.allSettled(
+            Array.from(this.relays.values()).map(relay => this.open(relay))
+        );
+        return results.filter(result => result.status === 'fulfilled').length;
+    }
+
+    open(relay) {
+        return new Promise((resolve, reject) => {
+            relay.status = 'connecting';
+            relay.stats.nextRetryAt = null;
+
+            let ws;
+            try {
+                ws = new this.WebSocket(relay.url);
+            } catch (error) {
+                this.handleFailure(relay, error);
+                reject(error);
+                return;
+            }
+            relay.ws = ws;
+
+            const timeout = setTimeout(() => {
+                // ws throws on an error event nobody listens to, and aborting the handshake emits one
+                ws.onclose = null;
+                ws.onerror = () => {};
+                this.terminate(ws);
+                const error = new Error(`Connection timeout: ${relay.url}`);
+                this.handleFailure(relay, error);
+                reject(error);
+            }, this.options.connectTimeoutMs);
+
+            ws.onopen = () => {
+                clearTimeout(timeout);
+                this.handleOpen(relay);
+                resolve(relay.url);
+            };
+
+            ws.onerror = (error) => {
+                relay.stats.lastError = error.message || 'Connection error';
+                if (relay.status !== 'connecting') return;
+
+                clearTimeout(timeout);
+                ws.onclose = null;
+                this.handleFailure(relay, error);
+                reject(error);
+            };
+
+            ws.onmessage = (message) => this.handleMessage(relay, message.data);
+            ws.onclose = (event) => {
+                clearTimeout(timeout);
+
+                if (relay.status === 'connecting') {
+                    const error = new Error(`Connection closed (code ${event.code})`);
+                    this.handleFailure(relay, error);
+                    reject(error);
+                    return;
+                }
+                this.handleClose(relay, event.code);
+            };
+
+            if (typeof ws.on === 'function') {
+                ws.on('pong', () => {
+                    relay.lastActivityAt = Date.now();
+                    if (relay.pingSentAt) relay.stats.pingRttMs = Date.now() - relay.pingSentAt;
+                });
+            }
+        });
+    }
+
+    handleOpen(relay) {
+        relay.status = 'connected';
+        relay.openedAt = Date.now();
+        relay.lastActivityAt = Date.now();
+        relay.stats.connects++;
+        relay.stats.lastConnectedAt = Date.now();
+        relay.stats.lastError = null;
+
+        console.log(`  ✓ Connected to ${relay.url}`);
+
+        // Whatever was subscribed before the drop has to be asked for again
+        for (const subscriptionId of this.subscriptions.keys()) {
+            this.sendSubscription(relay, subscriptionId);
+        }
+
+        this.startPing(relay);
+        this.handlers.onConnect?.(relay.url);
+    }
+
+    handleClose(relay, code) {
+        this.stopPing(relay);
+        relay.ws = null;
+        relay.status = 'disconnected';
+        relay.stats.disconnects++;
+        relay.stats.lastDisconnectedAt = Date.now();
+        relay.stats.authenticated = false;
+
+        if (relay.openedAt && Date.now() - relay.openedAt >= this.options.stableAfterMs) {
+            relay.attempt = 0;
+        }
+
+        // Nothing still in flight will be acknowledged on this socket
+        for (const settle of relay.pendingOks.values()) {
+            settle({ accepted: false, message: 'connection lost', transient: true });
+        }
+
+        console.log(`  ⚠ Disconnected from ${relay.url}`, code);
+        this.handlers.onDisconnect?.(relay.url, code);
+        this.scheduleReconnect(relay);
+    }
+
+    handleFailure(relay, error) {
+        relay.ws = null;
+        relay.status = 'disconnected';
+        relay.stats.failures++;
+        relay.stats.lastError = error?.message || 'Connection failed';
+
+        console.log(`  ✗ Failed to connect to ${relay.url}:`, relay.stats.lastError);
+        this.scheduleReconnect(relay);
+    }
+
+    scheduleReconnect(relay) {
+        if (this.closed || relay.reconnectTimer) return;
+
+        const delay = this.getBackoffDelay(relay.attempt++);
+        relay.stats.nextRetryAt = Date.now() + delay;
+
+        relay.reconnectTimer = setTimeout(() => {
+            relay.reconnectTimer = null;
+            this.open(relay).catch(() => {});
+        }, delay);
+    }
+
+    getBackoffDelay(attempt) {
+        const { initialMs, maxMs, factor, jitter } = this.options.backoff;
+        const base = Math.min(maxMs, initialMs * Math.pow(factor, attempt));
+        return Math.round(base * (1 - jitter + Math.random() * 2 * jitter));
+    }
+
+    startPing(relay) {
+        // Only sockets with protocol-level ping (the ws package) can tell silence from death
+        if (typeof relay.ws?.ping !== 'function') return;
+
+        relay.pingTimer = setInterval(() => {
+            if (Date.now() - relay.lastActivityAt > this.options.idleTimeoutMs) {
+                console.log(`  ⚠ ${relay.url} went silent, reconnecting`);
+                this.terminate(relay.ws);
+                return;
+            }
+
+            relay.pingSentAt = Date.now();
+            try {
+                relay.ws.ping();
+            } catch (error) {
+                relay.stats.lastError = error.message;
+            }
+        }, this.options.pingIntervalMs);
+    }
+
+    stopPing(relay) {
+        clearInterval(relay.pingTimer);
+        relay.pingTimer = null;
+    }
+
+    terminate(ws) {
+        if (typeof ws.terminate === 'function') {
+            ws.terminate();
+        } else {
+            ws.close();
+        }
+    }
+
+    handleMessage(relay, data) {
+        relay.lastActivityAt = Date.now();
+        relay.stats.messagesReceived++;
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn(`⚠ Invalid message from ${relay.url}:`, error.message);
+            return;
+        }
+        if (!Array.isArray(message)) return;
+
+        const [type, ...args] = message;
+
+        // A relay can send anything, and a handler choking on one frame must not take the socket down
+        try {
+            switch (type) {
+                case 'EVENT':
+                    relay.stats.eventsReceived++;
+                    this.handlers.onEvent?.(relay.url, args[0], args[1]);
+                    break;
+                case 'OK':
+                    if (relay.authEventId && args[0] === relay.authEventId) {
+                        this.handleAuthResult(relay, args[1], args[2]);
+                    } else {
+                        relay.pendingOks.get(args[0])?.({ accepted: args[1] === true, message: args[2] || '' });
+                        this.handlers.onOk?.(relay.url, args[0], args[1], args[2]);
+                    }
+                    break;
+                case 'EOSE':
+                    this.handlers.onEose?.(relay.url, args[0]);
+                    break;
+                case 'CLOSED':
+                    this.handlers.onClosed?.(relay.url, args[0], args[1]);
+                    break;
+                case 'NOTICE':
+                    this.handlers.onNotice?.(relay.url, args[0]);
+                    break;
+                case 'AUTH':
+                    this.authenticate(relay, args[0]).catch(error => {
+                        console.error(`AUTH with ${relay.url} failed:`, error.message);
+                    });
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            console.warn(`⚠ Failed to handle ${type} from ${relay.url}:`, error.message);
+        }
+    }
+
+    // NIP-42: answer the challenge with a signed kind 22242 event naming this relay
+    async authenticate(relay, challenge) {
+        if (!this.signEvent || typeof challenge !== 'string') return;
+
+        const authEvent = await this.signEvent({
+            kind: AUTH_KIND,
+            created_at: Math.floor(Date.now() / 1000),
+            tags: [['relay', relay.url], ['challenge', challenge]],
+            content: ''
+        });
+
+        relay.authEventId = authEvent.id;
+        this.send(relay, ['AUTH', authEvent]);
+        console.log(`🔐 Answered AUTH challenge from ${relay.url}`);
+    }
+
+    handleAuthResult(relay, accepted, message) {
+        relay.authEventId = null;
+        relay.stats.authenticated = accepted === true;
+
+        if (!accepted) {
+            console.log(`🔐 ${relay.url} rejected our AUTH: ${message || 'no reason given'}`);
+            return;
+        }
+
+        // Subscriptions closed with auth-required go through now
+        console.log(`🔐 Authenticated with ${relay.url}`);
+        for (const subscriptionId of this.subscriptions.keys()) {
+            this.sendSubscription(relay, subscriptionId);
+        }
+    }
+
+    // `filters` is a filter object, an array of them, or a function returning either; functions
+    // are evaluated again on every resubscription so `since` can move forward
+    subscribe(subscriptionId, filters) {
+        this.subscriptions.set(subscriptionId, filters);
+
+        let sent = 0;
+        for (const relay of this.relays.values()) {
+            if (this.sendSubscription(relay, subscriptionId)) sent++;
+        }
+        return sent;
+    }
+
+    unsubscribe(subscriptionId) {
+        if (!this.subscriptions.delete(subscriptionId)) return;
+
+        for (const relay of this.relays.values()) {
+            this.send(relay, ['CLOSE', subscriptionId]);
+        }
+    }
+
+    sendSubscription(relay, subscriptionId) {
+        const filters = this.subscriptions.get(subscriptionId);
+        const resolved = typeof filters === 'function' ? filters() : filters;
+        return this.send(relay, ['REQ', subscriptionId, ...[].concat(resolved)]);
+    }
+
+    // Publishes to every relay in the pool and resolves with one { url, accepted, message, attempts }
+    // per relay once each has answered OK, given up after retries, or timed out
+    publish(event, options = {}) {
+        return Promise.all(Array.from(this.relays.keys()).map(url => this.publishToRelay(url, event, options)));
+    }
+
+    async publishToRelay(url, event, options = {}) {
+        const {
+            timeoutMs = this.options.okTimeoutMs,
+            retries = this.options.publishRetries,
+            retryDelayMs = this.options.retryDelayMs
+        } = options;
+        const relay = this.relays.get(url);
+
+        for (let attempt = 1; ; attempt++) {
+            const acknowledgement = this.waitForOk(relay, event.id, timeoutMs);
+
+            if (this.send(relay, ['EVENT', event])) {
+                relay.stats.eventsPublished++;
+            } else {
+                relay.pendingOks.get(event.id)({ accepted: false, message: 'not connected', transient: true });
+            }
+            const result = await acknowledgement;
+
+            if (result.accepted || !result.transient || attempt > retries) {
+                return { url, accepted: result.accepted, message: result.message, attempts: attempt };
+            }
+
+            // Backs off so a rate limit can refill and a reconnect or AUTH round trip can finish
+            await new Promise(resolve => setTimeout(resolve, retryDelayMs * Math.pow(2, attempt - 1)));
+        }
+    }
+
+    waitForOk(relay, eventId, timeoutMs) {
+        return new Promise(resolve => {
+            const settle = (result) => {
+                clearTimeout(timer);
+                relay.pendingOks.delete(eventId);
+
+                if (result.message === 'timeout') relay.stats.okTimeouts++;
+                else if (result.accepted) relay.stats.okAccepted++;
+                else if (result.message !== 'not connected') relay.stats.okRejected++;
+
+                resolve({
+                    ...result,
+                    transient: result.transient || TRANSIENT_REJECTIONS.some(prefix => result.message?.startsWith(prefix))
+                });
+            };
+
+            const timer = setTimeout(() => settle({ accepted: false, message: 'timeout', transient: true }), timeoutMs);
+            relay.pendingOks.set(eventId, settle);
+        });
+    }
+
+    // One-shot connection for a relay outside the pool; resolves once it accepts the event
+    publishOnce(url, event, timeoutMs = 5000) {
+        return new Promise((resolve, reject) => {
+            const ws = new this.WebSocket(url);
+            const timeout = setTimeout(() => {
+                this.terminate(ws);
+                reject(new Error(`Publish timeout: ${url}`));
+            }, timeoutMs);
+
+            ws.onopen = () => {
+                ws.send(JSON.stringify(['EVENT', event]));
+            };
+
+            ws.onmessage = (message) => {
+                let parsed;
+                try {
+                    parsed = JSON.parse(message.data);
+                } catch {
+                    return;
+                }
+
+                const [type, eventId, accepted, reason] = parsed;
+                if (type !== 'OK' || eventId !== event.id) return;
+
+                clearTimeout(timeout);
+                ws.close();
+                accepted ? resolve(url) : reject(new Error(`Rejected by ${url}: ${reason}`));
+            };
+
+            ws.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error(`Failed to connect to ${url}`));
+            };
+        });
+    }
+
+    send(relay, message) {
+        if (!relay.ws || relay.ws.readyState !== this.WebSocket.OPEN) return false;
+
+        try {
+            relay.ws.send(JSON.stringify(message));
+            return true;
+        } catch (error) {
+            relay.stats.lastError = error.message;
+            return false;
+        }
+    }
+
+    has(url) {
+        return this.relays.has(url);
+    }
+
+    isConnected(url) {
+        return this.relays.get(url)?.status === 'connected';
+    }
+
+    get connectedCount() {
+        return Array.from(this.relays.values()).filter(relay => relay.status === 'connected').length;
+    }
+
+    getStats() {
+        return Array.from(this.relays.values()).map(relay => ({
+            url: relay.url,
+            status: relay.status,
+            reconnectAttempt: relay.attempt,
+            ...relay.stats
+        }));
+    }
+
+    close() {
+        this.closed = true;
+
+        for (const relay of this.relays.values()) {
+            clearTimeout(relay.reconnectTimer);
+            relay.reconnectTimer = null;
+            this.stopPing(relay);
+
+            if (relay.ws) {
+                relay.ws.onclose = null;
+                relay.ws.close();
+                relay.ws = null;
+            }
+            relay.status = 'disconnected';
+
+            for (const settle of relay.pendingOks.values()) {
+                settle({ accepted: false, message: 'pool closed' });
+            }
+        }
+        this.subscriptions.clear();
+    }
+}
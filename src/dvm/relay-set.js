@@ -0,0 +1,134 @@
+// src/dvm/relay-set.js
+// Chooses a relay set instead of the top N relays. Candidates are added greedily by what they add to
+// the set chosen so far: their own score, the share of the requester's follows they reach that no
+// relay in the set reaches yet, an independent online relay while the set has fewer than min_online,
+// minus the diversity penalty for operators/jurisdictions/networks already in the set. Every pick
+// records why it was made, in the context of the relays picked before it.
+
+import { getRelayCluster } from './clustering.js';
+import { createDiversityTracker } from './diversity.js';
+
+const DIMENSION_NAMES = {
+    operator: 'operator',
+    jurisdiction: 'jurisdiction',
+    asn: 'network (ASN)',
+    software: 'software'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// candidates: [{ url, score, source_url?, ... }]. source_url is the relay the endpoint stands in for
+// (the clearnet twin of an onion mirror), whose follows and status count for it.
+// context: url -> { online, followed_pubkeys } from get_relay_set_context
+export function optimizeRelaySet(candidates, { size, context, reachableFollows, clusters, penalties, weights, minOnline }) {
+    const remaining = candidates.map((candidate, position) => {
+        const info = context.get(candidate.source_url || candidate.url) || {};
+        const cluster = getRelayCluster(clusters, candidate.url) || getRelayCluster(clusters, candidate.source_url || candidate.url);
+        return {
+            candidate,
+            position,
+            follows: info.followed_pubkeys || [],
+            online: info.online === true,
+            clustered: cluster !== null,
+            // Relays without cluster data only count as their own operator
+            operator: cluster?.operator_cluster || candidate.source_url || candidate.url
+        };
+    });
+
+    const diversity = createDiversityTracker(clusters, penalties);
+    const covered = new Set();
+    const onlineOperators = new Set();
+    const picked = [];
+
+    const evaluate = (entry) => {
+        const newFollows = entry.follows.filter(pubkey => !covered.has(pubkey)).length;
+        const coverageGain = reachableFollows > 0 ? weights.coverage * newFollows / reachableFollows : 0;
+        const independent = entry.online && !onlineOperators.has(entry.operator) && onlineOperators.size < minOnline;
+        const { penalty, shared } = diversity.penalty(entry.candidate.url);
+
+        return {
+            gain: entry.candidate.score + coverageGain + (independent ? weights.redundancy : 0) - penalty,
+            newFollows,
+            independent,
+            penalty,
+            shared
+        };
+    };
+
+    while (picked.length < size && remaining.length > 0) {
+        let bestIndex = 0;
+        let best = null;
+
+        remaining.forEach((entry, i) => {
+            const result = evaluate(entry);
+            // Strictly greater, so ties keep the ranking order
+            if (best === null || result.gain > best.gain) {
+                bestIndex = i;
+                best = result;
+            }
+        });
+
+        const [entry] = remaining.splice(bestIndex, 1);
+        const reasons = describePick(entry, best, {
+            rank: picked.length + 1,
+            reachableFollows,
+            coveredBefore: covered.size,
+            independentCount: onlineOperators.size + 1,
+            minOnline
+        });
+
+        entry.follows.forEach(pubkey => covered.add(pubkey));
+        if (best.independent) onlineOperators.add(entry.operator);
+        diversity.add(entry.candidate.url);
+
+        picked.push({
+            ...entry.candidate,
+            selection: {
+                rank: picked.length + 1,
+                gain: round(best.gain),
+                new_follows: best.newFollows,
+                independent_online: best.independent,
+                diversity_penalty: round(best.penalty),
+                reasons
+            }
+        });
+    }
+
+    return {
+        relays: picked,
+        summary: {
+            follows_reachable: reachableFollows,
+            follows_covered: covered.size,
+            coverage: reachableFollows > 0 ? round(covered.size / reachableFollows) : null,
+            independent_online: onlineOperators.size,
+            min_online: minOnline,
+            redundancy_met: onlineOperators.size >= minOnline
+        }
+    };
+}
+
+function describePick(entry, result, { rank, reachableFollows, coveredBefore, independentCount, minOnline }) {
+    const reasons = [];
+
+    reasons.push(`Ranked #${entry.position + 1} on its own for this threat level (score ${entry.candidate.score.toFixed(1)})`);
+
+    if (result.newFollows > 0) {
+        reasons.push(coveredBefore === 0
+            ? `Reaches ${result.newFollows} of your ${reachableFollows} follows`
+            : `Reaches ${result.newFollows} more of your follows than the relays above (${coveredBefore + result.newFollows}/${reachableFollows})`);
+    }
+
+    if (result.independent) {
+        reasons.push(`Online and run by another operator: independent relay ${independentCount} of the ${minOnline} wanted`);
+    }
+
+    if (result.shared.length > 0) {
+        for (const { dimension, relays } of result.shared) {
+            reasons.push(`Shares its ${DIMENSION_NAMES[dimension]} with ${relays.join(', ')}`);
+        }
+    } else if (rank > 1 && entry.clustered) {
+        reasons.push('No known operator, jurisdiction or network in common with the relays above');
+    }
+
+    return reasons;
+}
@@ -0,0 +1,63 @@
+// src/dvm/reliability.js
+// Uptime and RTT history of a single relay for charting, bucketed from relay_metadata checks by
+// get_relay_timeseries, next to its rolling windows and trend from relay_reliability_windows.
+
+// Chart range -> bucket size, about 24-30 points each
+export const TIMESERIES_WINDOWS = {
+    '24h': { seconds: 86400, bucketSeconds: 3600 },
+    '7d': { seconds: 604800, bucketSeconds: 21600 },
+    '30d': { seconds: 2592000, bucketSeconds: 86400 }
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const toMilliseconds = (value) => (value === null || value === undefined ? null : Math.round(parseFloat(value) * 10) / 10);
+const toPercentage = (value) => (value === null || value === undefined ? null : Math.round(parseFloat(value) * 10000) / 100);
+
+// Relays are stored with and without a trailing slash; matching the spellings exactly keeps the
+// lookups on the relay_url indexes instead of normalizing every stored row
+export function relayUrlSpellings(url) {
+    const normalized = url.trim().toLowerCase().replace(/\/+$/, '');
+    return [...new Set([url, normalized, `${normalized}/`])];
+}
+
+export async function getRelayTimeseries(db, url, window = '7d') {
+    const range = TIMESERIES_WINDOWS[window];
+    if (!range) {
+        throw new Error(`window must be one of ${Object.keys(TIMESERIES_WINDOWS).join(', ')}, got ${window}`);
+    }
+
+    const since = Math.floor(Date.now() / 1000) - range.seconds;
+    const spellings = relayUrlSpellings(url);
+    const [points, windows] = await Promise.all([
+        db.query('SELECT * FROM get_relay_timeseries($1, $2, $3)', [spellings, since, range.bucketSeconds]),
+        db.query('SELECT * FROM relay_reliability_windows WHERE url = ANY($1) LIMIT 1', [spellings])
+    ]);
+    const summary = windows.rows[0];
+
+    return {
+        url,
+        window,
+        since,
+        bucket_seconds: range.bucketSeconds,
+        points: points.rows.map(row => ({
+            t: parseInt(row.bucket_start),
+            checks: parseInt(row.checks),
+            uptime: toNumber(row.uptime),
+            rtt_open: toNumber(row.avg_rtt_open),
+            rtt_read: toNumber(row.avg_rtt_read),
+            rtt_write: toNumber(row.avg_rtt_write)
+        })),
+        // null when the relay is not in the dataset
+        windows: summary ? {
+            uptime_24h: toPercentage(summary.uptime_24h),
+            uptime_7d: toPercentage(summary.uptime_7d),
+            uptime_30d: toPercentage(summary.uptime_30d),
+            avg_rtt_24h: toMilliseconds(summary.avg_rtt_24h),
+            avg_rtt_7d: toMilliseconds(summary.avg_rtt_7d),
+            avg_rtt_30d: toMilliseconds(summary.avg_rtt_30d),
+            weighted_uptime: toPercentage(summary.weighted_uptime),
+            uptime_change: toPercentage(summary.uptime_change),
+            trend: summary.trend
+        } : null
+    };
+}
@@ -0,0 +1,318 @@
+// src/dvm/scoring.js
+// Scoring profiles in one place. `quality` weights build relay_recommendations.overall_score (stored
+// in scoring_weights, see database/scoring-weights.sql); each threat level then re-ranks relays in
+// get_user_relay_recommendations with its own weights and minimum scores. Operators override any
+// number with DVM_SCORING (JSON) or DVM_SCORING_FILE; overrides are merged into the defaults.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { THREAT_LEVELS } from './service-info.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Components of relay_quality_scores that make up the overall score
+export const QUALITY_COMPONENTS = ['privacy', 'reliability', 'performance', 'diversity', 'activity', 'publisher_quality'];
+// Scores of relay_recommendations a threat level can weight or set a minimum for
+export const RANKING_COMPONENTS = ['overall', 'privacy', 'reliability', 'performance', 'diversity'];
+// Cluster dimensions of relay_clusters a recommended set should not concentrate in
+export const DIVERSITY_DIMENSIONS = ['operator', 'jurisdiction', 'asn', 'software'];
+// Largest number of independent online relays a set can be asked for
+export const MAX_MIN_ONLINE = 10;
+// Terms of the relay set objective besides the relays' own scores (src/dvm/relay-set.js)
+export const SET_OBJECTIVES = ['coverage', 'redundancy'];
+// Hard requirements a custom threat profile can put on relays, checked against their latest NIP-11 document
+export const PROFILE_CONSTRAINTS = ['require_nips', 'no_auth', 'no_payment', 'tor_only', 'max_rtt_ms'];
+
+export const DEFAULT_SCORING = {
+    quality: {
+        privacy: 0.25,
+        reliability: 0.20,
+        performance: 0.15,
+        diversity: 0.15,
+        activity: 0.15,
+        publisher_quality: 0.10
+    },
+    // Relays must score above every threshold; the following bonus is log(followed users + 1) * following_bonus.
+    // onion_bonus is added to Tor/I2P endpoints, and clearnet relays are recommended as their onion mirror
+    threatLevels: {
+        low: {
+            weights: { overall: 1.0, performance: 0.2 },
+            thresholds: { reliability: 3.0 },
+            following_bonus: 0.5
+        },
+        medium: {
+            weights: { overall: 1.0, privacy: 0.1 },
+            thresholds: { privacy: 2.0, reliability: 3.0 },
+            following_bonus: 0.5
+        },
+        high: {
+            weights: { privacy: 0.4, reliability: 0.3, performance: 0.3 },
+            thresholds: { privacy: 3.0, reliability: 4.0 },
+            following_bonus: 0.5
+        },
+        'nation-state': {
+            weights: { privacy: 0.6, reliability: 0.4 },
+            thresholds: { privacy: 4.0, reliability: 5.0 },
+            following_bonus: 0.5,
+            onion_bonus: 1.0
+        }
+    },
+    // Used for threat levels outside THREAT_LEVELS
+    fallback: {
+        weights: { overall: 1.0 },
+        thresholds: { reliability: 1.0 },
+        following_bonus: 0.5
+    },
+    // Score a candidate loses for every relay already in the set that shares its operator, country,
+    // ASN or software (see src/dvm/diversity.js)
+    diversity: {
+        operator: 3.0,
+        jurisdiction: 1.5,
+        asn: 1.5,
+        software: 0.5
+    },
+    // Score points a candidate gains for what it adds to the set: `coverage` for reaching all of the
+    // requester's follows no relay in the set reaches yet (pro rata), `redundancy` for being online
+    // and run by an operator not yet in the set, until `min_online` such relays are in it
+    set: {
+        weights: {
+            coverage: 5.0,
+            redundancy: 2.0
+        },
+        min_online: 3
+    }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function merge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override;
+
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        if (key === '__proto__') continue;
+        merged[key] = Object.hasOwn(base, key) ? merge(base[key], value) : value;
+    }
+    return merged;
+}
+
+// Reads DVM_SCORING_FILE and DVM_SCORING (in that order) on top of the defaults
+export function loadScoring({ file, json } = {}) {
+    let scoring = DEFAULT_SCORING;
+
+    for (const [source, read] of [['DVM_SCORING_FILE', () => file && readFileSync(file, 'utf8')], ['DVM_SCORING', () => json]]) {
+        const text = read();
+        if (!text) continue;
+
+        try {
+            scoring = merge(scoring, JSON.parse(text));
+        } catch (error) {
+            throw new Error(`${source} is not valid JSON: ${error.message}`);
+        }
+    }
+    return scoring;
+}
+
+function checkNumbers(problems, path, values, allowed, { min = 0, max = Infinity } = {}) {
+    if (!isPlainObject(values)) {
+        problems.push(`${path} must be an object`);
+        return;
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+        if (!allowed.includes(key)) {
+            problems.push(`${path}.${key} is not one of ${allowed.join(', ')}`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            problems.push(`${path}.${key} must be a number between ${min} and ${max}, got ${JSON.stringify(value)}`);
+        }
+    }
+}
+
+function checkProfile(problems, path, profile) {
+    if (!isPlainObject(profile)) {
+        problems.push(`${path} must be an object`);
+        return;
+    }
+
+    for (const key of Object.keys(profile)) {
+        if (!['weights', 'thresholds', 'following_bonus', 'onion_bonus'].includes(key)) {
+            problems.push(`${path}.${key} is not a profile setting`);
+        }
+    }
+
+    checkNumbers(problems, `${path}.weights`, profile.weights, RANKING_COMPONENTS, { max: 10 });
+    checkNumbers(problems, `${path}.thresholds`, profile.thresholds ?? {}, RANKING_COMPONENTS, { max: 10 });
+    checkNumbers(problems, path, { following_bonus: profile.following_bonus }, ['following_bonus'], { max: 10 });
+    if (profile.onion_bonus !== undefined) {
+        checkNumbers(problems, path, { onion_bonus: profile.onion_bonus }, ['onion_bonus'], { max: 10 });
+    }
+
+    if (isPlainObject(profile.weights) && !Object.values(profile.weights).some(weight => weight > 0)) {
+        problems.push(`${path}.weights needs at least one weight above 0`);
+    }
+}
+
+function checkSetObjective(problems, set) {
+    if (!isPlainObject(set)) {
+        problems.push('set must be an object');
+        return;
+    }
+
+    for (const key of Object.keys(set)) {
+        if (!['weights', 'min_online'].includes(key)) problems.push(`set.${key} is not a set setting`);
+    }
+    checkNumbers(problems, 'set.weights', set.weights, SET_OBJECTIVES, { max: 20 });
+    if (!Number.isInteger(set.min_online) || set.min_online < 1 || set.min_online > MAX_MIN_ONLINE) {
+        problems.push(`set.min_online must be a whole number between 1 and ${MAX_MIN_ONLINE}, got ${JSON.stringify(set.min_online)}`);
+    }
+}
+
+// Throws one error listing every problem, so a bad override is fixed in one go
+export function validateScoring(scoring) {
+    const problems = [];
+
+    checkNumbers(problems, 'quality', scoring.quality, QUALITY_COMPONENTS, { max: 1 });
+    if (isPlainObject(scoring.quality)) {
+        const missing = QUALITY_COMPONENTS.filter(key => !(key in scoring.quality));
+        if (missing.length > 0) problems.push(`quality is missing ${missing.join(', ')}`);
+
+        // overall_score stays on the same 0-10 scale as its components
+        const total = Object.values(scoring.quality).reduce((sum, weight) => sum + (Number(weight) || 0), 0);
+        if (Math.abs(total - 1) > 0.001) problems.push(`quality weights must add up to 1, got ${+total.toFixed(3)}`);
+    }
+
+    if (!isPlainObject(scoring.threatLevels)) {
+        problems.push('threatLevels must be an object');
+    } else {
+        for (const level of Object.keys(scoring.threatLevels)) {
+            if (!THREAT_LEVELS.includes(level)) problems.push(`threatLevels.${level} is not one of ${THREAT_LEVELS.join(', ')}`);
+        }
+        for (const level of THREAT_LEVELS) {
+            checkProfile(problems, `threatLevels.${level}`, scoring.threatLevels[level]);
+        }
+    }
+    checkProfile(problems, 'fallback', scoring.fallback);
+    checkNumbers(problems, 'diversity', scoring.diversity, DIVERSITY_DIMENSIONS, { max: 10 });
+    checkSetObjective(problems, scoring.set);
+
+    for (const key of Object.keys(scoring)) {
+        if (!['quality', 'threatLevels', 'fallback', 'diversity', 'set'].includes(key)) problems.push(`${key} is not a scoring setting`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid scoring configuration:\n  - ${problems.join('\n  - ')}`);
+    }
+    return scoring;
+}
+
+function checkConstraints(problems, path, constraints) {
+    if (!isPlainObject(constraints)) {
+        problems.push(`${path} must be an object`);
+        return;
+    }
+
+    for (const [key, value] of Object.entries(constraints)) {
+        if (!PROFILE_CONSTRAINTS.includes(key)) {
+            problems.push(`${path}.${key} is not one of ${PROFILE_CONSTRAINTS.join(', ')}`);
+        } else if (key === 'require_nips') {
+            if (!Array.isArray(value) || !value.every(nip => Number.isInteger(nip) && nip > 0)) {
+                problems.push(`${path}.require_nips must be a list of NIP numbers, got ${JSON.stringify(value)}`);
+            }
+        } else if (key === 'max_rtt_ms') {
+            if (!Number.isInteger(value) || value <= 0) {
+                problems.push(`${path}.max_rtt_ms must be a whole number of milliseconds, got ${JSON.stringify(value)}`);
+            }
+        } else if (typeof value !== 'boolean') {
+            problems.push(`${path}.${key} must be true or false, got ${JSON.stringify(value)}`);
+        }
+    }
+}
+
+// A requester's own threat profile: weights, thresholds and bonuses override those of `base`
+// (the request's threat level unless named), constraints exclude relays outright. Accepts the JSON
+// text of a threat_profile param or an already parsed object.
+export function parseThreatProfile(scoring, value, threatLevel) {
+    let custom = value;
+    if (typeof value === 'string') {
+        try {
+            custom = JSON.parse(value);
+        } catch {
+            throw new Error('threat_profile is not valid JSON');
+        }
+    }
+    if (!isPlainObject(custom)) {
+        throw new Error('threat_profile must be a JSON object');
+    }
+
+    const problems = [];
+    for (const key of Object.keys(custom)) {
+        if (!['base', 'weights', 'thresholds', 'following_bonus', 'onion_bonus', 'constraints'].includes(key)) {
+            problems.push(`threat_profile.${key} is not a profile setting`);
+        }
+    }
+
+    const base = custom.base ?? threatLevel;
+    if (custom.base !== undefined && !THREAT_LEVELS.includes(custom.base)) {
+        problems.push(`threat_profile.base is not one of ${THREAT_LEVELS.join(', ')}`);
+    }
+
+    const baseProfile = getThreatProfile(scoring, base);
+    const profile = {
+        weights: isPlainObject(custom.weights) ? { ...baseProfile.weights, ...custom.weights } : custom.weights ?? baseProfile.weights,
+        thresholds: isPlainObject(custom.thresholds) ? { ...baseProfile.thresholds, ...custom.thresholds } : custom.thresholds ?? baseProfile.thresholds,
+        following_bonus: custom.following_bonus ?? baseProfile.following_bonus,
+        onion_bonus: custom.onion_bonus ?? baseProfile.onion_bonus
+    };
+    checkProfile(problems, 'threat_profile', profile);
+    checkConstraints(problems, 'threat_profile.constraints', custom.constraints ?? {});
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid threat_profile: ${problems.join('; ')}`);
+    }
+    return { base, ...profile, constraints: custom.constraints ?? {} };
+}
+
+// The profile get_user_relay_recommendations receives as its `scoring` argument; a parsed custom
+// profile takes the place of the threat level's
+export function getThreatProfile(scoring, threatLevel, customProfile = null) {
+    const profile = customProfile
+        ?? (Object.hasOwn(scoring.threatLevels, threatLevel) ? scoring.threatLevels[threatLevel] : scoring.fallback);
+    return {
+        weights: profile.weights,
+        thresholds: profile.thresholds ?? {},
+        following_bonus: profile.following_bonus,
+        onion_bonus: profile.onion_bonus ?? 0,
+        constraints: profile.constraints ?? {}
+    };
+}
+
+// Reported in response metadata so requesters can see how relays were ranked
+export function describeScoring(scoring, threatLevel, customProfile = null) {
+    let profile = Object.hasOwn(scoring.threatLevels, threatLevel) ? threatLevel : 'fallback';
+    if (customProfile) profile = `custom (based on ${customProfile.base})`;
+
+    return {
+        profile,
+        ...getThreatProfile(scoring, threatLevel, customProfile),
+        quality_weights: scoring.quality,
+        diversity_penalties: scoring.diversity,
+        set_weights: scoring.set.weights
+    };
+}
+
+// Stores the quality weights relay_recommendations is built from. Returns true when they changed,
+// in which case the view has to be refreshed for them to take effect.
+export async function saveQualityWeights(db, quality) {
+    await db.query(readFileSync(join(__dirname, '../../database/scoring-weights.sql'), 'utf8'));
+
+    const result = await db.query(`
+        INSERT INTO scoring_weights (name, weights, updated_at)
+        VALUES ('quality', $1, $2)
+        ON CONFLICT (name) DO UPDATE SET weights = EXCLUDED.weights, updated_at = EXCLUDED.updated_at
+        WHERE scoring_weights.weights IS DISTINCT FROM EXCLUDED.weights
+        RETURNING name
+    `, [JSON.stringify(quality), Math.floor(Date.now() / 1000)]);
+
+    return result.rowCount > 0;
+}
@@ -0,0 +1,79 @@
+// src/dvm/service-info.js
+// Single description of what this DVM offers, used by the NIP-89 announcement and /api/dvm/info
+
+import { DVM_KINDS } from '../constants/dvm-kinds.js';
+import { RESPONSE_SCHEMA_VERSION } from '../constants/response-schema.js';
+import { PROFILE_CONSTRAINTS } from './scoring.js';
+
+export const SUPPORTED_REQUESTS = ['recommend', 'analyze', 'discover', 'health', 'rotate', 'outbox'];
+export const THREAT_LEVELS = ['low', 'medium', 'high', 'nation-state'];
+// In order of preference; requests may use either, results reuse the requester's scheme
+export const ENCRYPTION_SCHEMES = ['nip44', 'nip04'];
+export const USE_CASES = ['social', 'journalism', 'activism', 'research', 'development', 'trading'];
+// Which endpoints a request wants: anything, only clearnet, or only Tor (onion mirrors included) / I2P
+export const NETWORK_PREFERENCES = ['mixed', 'clearnet', 'tor', 'i2p'];
+
+export function getServiceInfo(config) {
+    return {
+        name: config.dvm.name,
+        about: config.dvm.about,
+        publicKey: config.publicKey,
+        relays: config.dvmRelays,
+        kinds: {
+            request: DVM_KINDS.REQUEST,
+            result: DVM_KINDS.RESULT,
+            feedback: DVM_KINDS.FEEDBACK
+        },
+        supportedRequests: SUPPORTED_REQUESTS,
+        threatLevels: THREAT_LEVELS,
+        useCases: USE_CASES,
+        networks: NETWORK_PREFERENCES,
+        maxResults: config.algorithm.maxRecommendations,
+        pricing: config.dvm.pricing,
+        limits: {
+            jobsPerMinute: config.rateLimit.perPubkey.refillPerMinute,
+            burst: config.rateLimit.perPubkey.capacity,
+            minPowDifficulty: config.rateLimit.minPowDifficulty,
+            openJobs: config.rateLimit.openJobs?.enabled === true
+        },
+        encryption: ENCRYPTION_SCHEMES,
+        schemaVersion: RESPONSE_SCHEMA_VERSION
+    };
+}
+
+// NIP-89 handler information (kind 31990); the d tag keeps it replaceable across restarts
+export function buildHandlerInfoEvent(config) {
+    const info = getServiceInfo(config);
+
+    return {
+        kind: DVM_KINDS.HANDLER_INFO,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+            ['d', config.dvm.handlerId],
+            ['k', String(DVM_KINDS.REQUEST)],
+            ...info.relays.map(relay => ['relay', relay])
+        ],
+        content: JSON.stringify({
+            name: info.name,
+            about: info.about,
+            nip90Params: {
+                request_type: { required: false, values: info.supportedRequests },
+                threat_level: { required: false, values: info.threatLevels },
+                use_case: { required: false, values: info.useCases },
+                network: { required: false, values: info.networks },
+                max_results: { required: false, values: [] },
+                // Independent online relays a recommended set should contain (1-10)
+                min_online: { required: false, values: [] },
+                // JSON: {"base", "weights", "thresholds", "following_bonus", "constraints": {...}}
+                threat_profile: { required: false, values: [], constraints: PROFILE_CONSTRAINTS }
+            },
+            supportedRequests: info.supportedRequests,
+            threatLevels: info.threatLevels,
+            pricing: info.pricing,
+            limits: info.limits,
+            encryption: info.encryption,
+            relays: info.relays,
+            schemaVersion: info.schemaVersion
+        })
+    };
+}
@@ -5,6 +5,7 @@
 
 import { Pool } from 'pg';
 import config from '../dvm/config.js';
+import { validateScoring, saveQualityWeights } from '../dvm/scoring.js';
 
 class DataAnalysis {
     constructor() {
@@ -300,6 +301,9 @@ async function rebuildWithLowerThresholds() {
     try {
         console.log('🔧 Rebuilding with lower quality thresholds...');
 
+        // The view reads the configured quality weights from scoring_weights
+        await saveQualityWeights(pool, validateScoring(config.scoring).quality);
+
         // Drop and recreate materialized view with lower thresholds
         await pool.query(`
             DROP MATERIALIZED VIEW IF EXISTS relay_recommendations;
@@ -310,12 +314,12 @@ async function rebuildWithLowerThresholds() {
                 -- Overall quality score (weighted average) with lower minimum
                 GREATEST(
                     (
-                        COALESCE(rqs.privacy_score, 0) * 0.25 +
-                        COALESCE(rqs.reliability_score, 0) * 0.20 +
-                        COALESCE(rqs.performance_score, 0) * 0.15 +
-                        COALESCE(rqs.diversity_score, 0) * 0.15 +
-                        COALESCE(rqs.activity_score, 0) * 0.15 +
-                        COALESCE(rqs.publisher_quality_score, 0) * 0.10
+                        COALESCE(rqs.privacy_score, 0) * (qw.weights->>'privacy')::NUMERIC +
+                        COALESCE(rqs.reliability_score, 0) * (qw.weights->>'reliability')::NUMERIC +
+                        COALESCE(rqs.performance_score, 0) * (qw.weights->>'performance')::NUMERIC +
+                        COALESCE(rqs.diversity_score, 0) * (qw.weights->>'diversity')::NUMERIC +
+                        COALESCE(rqs.activity_score, 0) * (qw.weights->>'activity')::NUMERIC +
+                        COALESCE(rqs.publisher_quality_score, 0) * (qw.weights->>'publisher_quality')::NUMERIC
                     ) + COALESCE(rqs.recency_bonus, 0),
                     1.0  -- Minimum score of 1.0 instead of requiring current_status = true
                 ) as overall_score,
@@ -345,7 +349,12 @@ async function rebuildWithLowerThresholds() {
 
             FROM relay_quality_scores rqs
             JOIN relay_analytics ra ON rqs.url = ra.url
+            CROSS JOIN (SELECT weights FROM scoring_weights WHERE name = 'quality') qw
             ORDER BY overall_score DESC;
+
+            -- The analytics refresh updates the view CONCURRENTLY, which needs a unique index
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_relay_recommendations_url
+                ON relay_recommendations(url);
         `);
 
         console.log('✅ Rebuilt with lower thresholds');
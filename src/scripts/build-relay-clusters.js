@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+// Builds relay_clusters: operator clusters from shared NIP-11 pubkeys/contacts, relay software and,
+// with an ip2asn database (https://iptoasn.com), the ASN and country of every clearnet relay.
+
+import { Pool } from 'pg';
+import config from '../dvm/config.js';
+import { buildRelayClusters } from '../dvm/clustering.js';
+
+function printUsage() {
+    console.log(`
+🧭 Relay Shadow DVM relay clusters
+
+Usage: npm run clusters -- [--asn-database <ip2asn-v4.tsv>] [--no-dns]
+
+  --asn-database   ip2asn TSV used for ASN and country lookups (default: DVM_ASN_DATABASE)
+  --no-dns         Skip DNS and ASN lookups, only build operator and software clusters
+`);
+}
+
+async function buildClusters(args) {
+    if (args.includes('--help')) return printUsage();
+
+    const databaseIndex = args.indexOf('--asn-database');
+    const asnDatabase = args.includes('--no-dns')
+        ? null
+        : (databaseIndex >= 0 ? args[databaseIndex + 1] : config.clustering.asnDatabase) || null;
+
+    if (!asnDatabase && !args.includes('--no-dns')) {
+        console.warn('⚠️  Warning: No ASN database (DVM_ASN_DATABASE or --asn-database), jurisdiction and ASN clusters are skipped');
+    }
+
+    const pool = new Pool(config.database);
+    try {
+        console.log('🧭 Building relay clusters...');
+        const stats = await buildRelayClusters(pool, {
+            asnDatabase,
+            concurrency: config.clustering.dnsConcurrency
+        });
+
+        console.log(`✅ Clustered ${stats.relays.toLocaleString()} relays`);
+        console.log(`   👥 Operators running more than one relay: ${stats.sharedOperators}`);
+        if (asnDatabase) {
+            console.log(`   🌍 Resolved ${stats.resolved} hosts, located ${stats.located} in an ASN`);
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    buildClusters(process.argv.slice(2)).catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
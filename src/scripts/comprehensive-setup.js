@@ -8,6 +8,10 @@ import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import config from '../dvm/config.js';
+import { validateScoring, saveQualityWeights, getThreatProfile } from '../dvm/scoring.js';
+import { RelayPool } from '../dvm/relay-pool.js';
+import { RelayShadowDVM } from '../dvm/RelayShadowDVM.js';
+import { DVM_KINDS } from '../constants/dvm-kinds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -105,9 +109,15 @@ class ComprehensiveSetup {
                 'utf8'
             );
 
+            // relay_recommendations is built from the configured quality weights
+            await saveQualityWeights(this.pool, validateScoring(config.scoring).quality);
+
             this.log('Executing preprocessing SQL...', 'progress');
             await this.pool.query(preprocessingSql);
 
+            // Watermarks and check counts of the incremental refresh (refresh_relay_analytics())
+            await this.pool.query(readFileSync(join(__dirname, '../../database/analytics-refresh.sql'), 'utf8'));
+
             // Verify tables were created
             const tables = [
                 'relay_analytics',
@@ -153,7 +163,13 @@ class ComprehensiveSetup {
                 'analyze_user_current_relays',
                 'get_discovery_relays',
                 'get_relay_health_summary',
-                'refresh_relay_analytics'
+                'generate_relay_rotation_strategy',
+                'refresh_relay_analytics',
+                'get_relay_scores',
+                'get_relay_set_context',
+                'get_follow_write_relays',
+                'get_relay_exposure',
+                'get_relay_timeseries'
             ];
 
             for (const func of functions) {
@@ -191,6 +207,11 @@ class ComprehensiveSetup {
                 throw new Error('relay_recommendations materialized view not found');
             }
 
+            // Rolling uptime/RTT windows behind reliability_score, created by preprocessing.sql as well
+            await this.pool.query('REFRESH MATERIALIZED VIEW relay_reliability_windows');
+            const windowsResult = await this.pool.query('SELECT COUNT(*) FROM relay_reliability_windows');
+            this.log(`relay_reliability_windows: ${parseInt(windowsResult.rows[0].count).toLocaleString()} records`, 'info');
+
             // Refresh the view
             await this.pool.query('REFRESH MATERIALIZED VIEW relay_recommendations');
 
@@ -199,6 +220,11 @@ class ComprehensiveSetup {
             const count = parseInt(countResult.rows[0].count);
             this.log(`relay_recommendations: ${count.toLocaleString()} records`, 'info');
 
+            // Onion mirrors for Tor-preferring requests, created by preprocessing.sql as well
+            await this.pool.query('REFRESH MATERIALIZED VIEW relay_onion_mirrors');
+            const mirrorsResult = await this.pool.query('SELECT COUNT(*) FROM relay_onion_mirrors');
+            this.log(`relay_onion_mirrors: ${parseInt(mirrorsResult.rows[0].count).toLocaleString()} records`, 'info');
+
             return true;
         });
     }
@@ -219,11 +245,44 @@ class ComprehensiveSetup {
                 tests.user_recommendations = 0;
             }
 
+            // Threat level minimums hold for every recommended relay, online ones included
+            try {
+                const testPubkey = 'npub1test1234567890abcdef1234567890abcdef1234567890abcdef12345';
+                const scoring = validateScoring(config.scoring);
+                const violations = [];
+
+                for (const threat of Object.keys(scoring.threatLevels)) {
+                    const profile = getThreatProfile(scoring, threat);
+                    const result = await this.pool.query(`
+                        SELECT rec.relay_url
+                        FROM get_user_relay_recommendations($1, $2, 100, false, $3) rec
+                        JOIN relay_recommendations rr ON rr.url = COALESCE(rec.mirror_of, rec.relay_url)
+                        CROSS JOIN (SELECT $3::JSONB->'thresholds' as thresholds) t
+                        WHERE COALESCE(rr.overall_score, 0) <= COALESCE((t.thresholds->>'overall')::NUMERIC, -1)
+                           OR COALESCE(rr.privacy_score, 0) <= COALESCE((t.thresholds->>'privacy')::NUMERIC, -1)
+                           OR COALESCE(rr.reliability_score, 0) <= COALESCE((t.thresholds->>'reliability')::NUMERIC, -1)
+                           OR COALESCE(rr.performance_score, 0) <= COALESCE((t.thresholds->>'performance')::NUMERIC, -1)
+                           OR COALESCE(rr.diversity_score, 0) <= COALESCE((t.thresholds->>'diversity')::NUMERIC, -1)
+                    `, [testPubkey, threat, profile]);
+
+                    violations.push(...result.rows.map(row => `${threat}: ${row.relay_url}`));
+                }
+
+                if (violations.length > 0) {
+                    this.log(`Relays below their threat level thresholds were recommended: ${violations.join(', ')}`, 'warning');
+                }
+                tests.threshold_filter = violations.length === 0 ? 'pass' : 'fail';
+            } catch (error) {
+                this.log(`Threshold filter test failed: ${error.message}`, 'warning');
+                tests.threshold_filter = 'fail';
+            }
+
             // Test discovery relays
             try {
+                const testPubkey = 'npub1test1234567890abcdef1234567890abcdef1234567890abcdef12345';
                 const result = await this.pool.query(`
-                    SELECT COUNT(*) FROM get_discovery_relays(10)
-                `);
+                    SELECT COUNT(*) FROM get_discovery_relays($1, ARRAY[]::TEXT[], 'social', 10)
+                `, [testPubkey]);
                 tests.discovery_relays = parseInt(result.rows[0].count);
             } catch (error) {
                 this.log(`Discovery relays test failed: ${error.message}`, 'warning');
@@ -241,6 +300,33 @@ class ComprehensiveSetup {
                 tests.health_summary = 'fail';
             }
 
+            // Garbage from a relay is dropped frame by frame instead of throwing out of the socket handler
+            try {
+                const dvm = { dvmKind: DVM_KINDS.REQUEST, publicKey: 'f'.repeat(64), acceptOpenJobs: false };
+                const received = [];
+                const pool = new RelayPool(['wss://malformed.invalid'], {
+                    handlers: {
+                        onEvent: (url, subscriptionId, event) => {
+                            if (RelayShadowDVM.prototype.isDVMRequest.call(dvm, event)) received.push(event);
+                        },
+                        onNotice: () => { throw new Error('handler failure'); }
+                    }
+                });
+                const relay = pool.relays.get('wss://malformed.invalid');
+                const frames = [
+                    'not json', 'null', '{}', '[]', '["EVENT"]', '["EVENT","sub",null]', '["EVENT","sub",42]',
+                    '["EVENT","sub",{}]', `["EVENT","sub",{"kind":${DVM_KINDS.REQUEST},"tags":"p"}]`,
+                    `["EVENT","sub",{"kind":${DVM_KINDS.REQUEST},"tags":[null,5,["p"]]}]`,
+                    '["OK"]', '["OK",null,null,null]', '["NOTICE","boom"]', '["EOSE"]', '["CLOSED",{}]'
+                ];
+                for (const frame of frames) pool.handleMessage(relay, frame);
+
+                tests.malformed_frames = received.length === 0 ? 'pass' : 'fail';
+            } catch (error) {
+                this.log(`Malformed frame test failed: ${error.message}`, 'warning');
+                tests.malformed_frames = 'fail';
+            }
+
             this.log(`Function tests completed: ${JSON.stringify(tests)}`, 'info');
             return tests;
         });
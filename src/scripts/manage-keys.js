@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+// DVM key management: create, import and inspect the NIP-49 encrypted keyfile.
+// Only public keys are ever printed; there is deliberately no command to export the secret.
+
+import { existsSync } from 'fs';
+import { generatePrivateKey, getPublicKey } from 'nostr-tools';
+import {
+    KEY_SECURITY,
+    parseSecretKey,
+    readKeyfile,
+    writeKeyfile,
+    resolvePassphrase,
+    promptPassphrase,
+    npubOf
+} from '../dvm/keys.js';
+import config from '../dvm/config.js';
+
+function printUsage() {
+    console.log(`
+🔑 Relay Shadow DVM key management
+
+Usage: npm run keys -- <command> [--keyfile <path>] [--force]
+
+Commands:
+  generate     Create a new key in the keyfile
+  import       Encrypt an existing key (DVM_PRIVATE_KEY, or typed at the prompt) into the keyfile
+  show         Print the keyfile's public key and npub
+  passphrase   Re-encrypt the keyfile with a new passphrase
+
+The keyfile defaults to DVM_KEYFILE; the passphrase comes from DVM_KEY_PASSPHRASE,
+DVM_KEY_PASSPHRASE_FILE or a prompt.
+`);
+}
+
+async function newPassphrase({ prompt = false } = {}) {
+    if (!prompt && (config.keys.passphrase || config.keys.passphraseFile)) return resolvePassphrase(config.keys);
+
+    const passphrase = await promptPassphrase('🔐 New passphrase: ');
+    if (await promptPassphrase('🔐 Repeat passphrase: ') !== passphrase) {
+        throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+}
+
+async function saveKey(keyfile, secretKey, keySecurity, { force = false, passphrase } = {}) {
+    if (existsSync(keyfile) && !force) {
+        throw new Error(`${keyfile} already exists, pass --force to replace it`);
+    }
+
+    passphrase = passphrase ?? await newPassphrase();
+    if (!passphrase) throw new Error('Refusing to encrypt the key with an empty passphrase');
+
+    await writeKeyfile(keyfile, secretKey, passphrase, { keySecurity });
+    console.log(`✅ Saved ${keyfile}`);
+    console.log(`📡 Public key: ${getPublicKey(secretKey)}`);
+    console.log(`📡 npub: ${npubOf(getPublicKey(secretKey))}`);
+}
+
+async function manageKeys(args) {
+    const [command] = args;
+    const keyfileIndex = args.indexOf('--keyfile');
+    const keyfile = keyfileIndex >= 0 ? args[keyfileIndex + 1] : config.keys.keyfile;
+    const force = args.includes('--force');
+
+    if (!keyfile) {
+        throw new Error('No keyfile: set DVM_KEYFILE or pass --keyfile <path>');
+    }
+
+    switch (command) {
+        case 'generate':
+            await saveKey(keyfile, generatePrivateKey(), KEY_SECURITY.SECURE, { force });
+            break;
+
+        case 'import': {
+            const secretKey = parseSecretKey(config.keys.privateKey || await promptPassphrase('🔑 nsec or hex key: '));
+            // The key existed in plain text before, NIP-49 records that
+            await saveKey(keyfile, secretKey, KEY_SECURITY.INSECURE, { force });
+            if (config.keys.privateKey) {
+                console.log('💡 Remove DVM_PRIVATE_KEY from your .env now that the keyfile holds it');
+            }
+            break;
+        }
+
+        case 'show': {
+            const { secretKey, keySecurity } = await readKeyfile(keyfile, await resolvePassphrase(config.keys));
+            console.log(`📡 Public key: ${getPublicKey(secretKey)}`);
+            console.log(`📡 npub: ${npubOf(getPublicKey(secretKey))}`);
+            console.log(`🔐 Key security: ${Object.keys(KEY_SECURITY).find(name => KEY_SECURITY[name] === keySecurity)?.toLowerCase() || 'unknown'}`);
+            break;
+        }
+
+        case 'passphrase': {
+            const { secretKey, keySecurity } = await readKeyfile(keyfile, await resolvePassphrase(config.keys, '🔐 Current passphrase: '));
+            await saveKey(keyfile, secretKey, keySecurity, { force: true, passphrase: await newPassphrase({ prompt: true }) });
+            break;
+        }
+
+        default:
+            printUsage();
+    }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    manageKeys(process.argv.slice(2)).catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
@@ -4,6 +4,8 @@ import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import config from '../dvm/config.js';
+import { validateScoring, saveQualityWeights } from '../dvm/scoring.js';
+import { AnalyticsRefresher } from '../dvm/analytics-refresh.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,6 +33,15 @@ async function setupDatabase() {
 
         const analyticsTablesExist = parseInt(analyticsCheck.rows[0].table_count) === 3;
 
+        // Watermarks and check counts of the incremental refresh
+        const analyticsRefreshSql = readFileSync(
+            join(__dirname, '../../database/analytics-refresh.sql'),
+            'utf8'
+        );
+
+        // relay_recommendations is built from the configured quality weights
+        await saveQualityWeights(pool, validateScoring(config.scoring).quality);
+
         if (!analyticsTablesExist) {
             console.log('📊 Creating analytics tables...');
 
@@ -41,6 +52,7 @@ async function setupDatabase() {
             );
 
             await pool.query(preprocessingSql);
+            await pool.query(analyticsRefreshSql);
             console.log('✅ Analytics tables created successfully!');
 
             // Read and execute query functions
@@ -55,10 +67,14 @@ async function setupDatabase() {
         } else {
             console.log('✅ Analytics tables already exist');
 
-            // Refresh materialized views
+            // Fold in what arrived since the last refresh
             console.log('🔄 Refreshing analytics...');
-            await pool.query('SELECT refresh_relay_analytics()');
-            console.log('✅ Analytics refreshed!');
+            const refresher = new AnalyticsRefresher(pool, config.analytics);
+            await refresher.init();
+            const summary = await refresher.refresh();
+            if (!summary.skipped) {
+                console.log(`✅ Analytics refreshed! (${summary.sightings} event sightings, ${summary.relays_checked} relays with new checks)`);
+            }
         }
 
         // Test DVM functions
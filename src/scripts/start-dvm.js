@@ -1,15 +1,27 @@
 // src/scripts/start-dvm.js
+import os from 'os';
 import { RelayShadowDVM } from '../dvm/RelayShadowDVM.js';
 import { startApiServer } from '../api/server.js';
+import { loadSigner, npubOf } from '../dvm/keys.js';
 import config from '../dvm/config.js';
 
+// Set once startup gets far enough for shutdown() to have something to close
+let dvm = null;
+let apiServer = null;
+let signer = null;
+let shuttingDown = false;
+
 async function startDVM() {
     console.log('🔮 Starting Relay Shadow DVM...');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
     try {
+        // Keyfile passphrase or bunker approval may be needed before anything else can start
+        signer = await loadSigner(config.keys);
+        config.publicKey = signer.publicKey;
+
         // Display configuration
-        console.log(`🔑 DVM Public Key: ${config.publicKey}`);
+        console.log(`🔑 DVM Public Key: ${config.publicKey} (${npubOf(config.publicKey)}, ${signer.type} signer)`);
         console.log(`🌐 Monitoring ${config.dvmRelays.length} relays:`);
         config.dvmRelays.forEach(relay => console.log(`   • ${relay.trim()}`));
         console.log(`🗃️  Database: ${config.database.host}:${config.database.port}/${config.database.database}`);
@@ -42,17 +54,18 @@ async function startDVM() {
             await testPool.end();
         }
 
+        // Initialize the DVM first so the API can report its metrics
+        dvm = new RelayShadowDVM({ ...config, signer });
+
         // Start API server for client communication
         console.log('🌐 Starting API server...');
-        startApiServer();
+        apiServer = startApiServer(dvm);
 
-        // Initialize and start DVM
-        const dvm = new RelayShadowDVM(config);
         await dvm.start();
 
         console.log('🎉 Relay Shadow DVM is now running!');
         console.log('📡 Listening for DVM requests...');
-        console.log('💡 Send requests with kind 5600 mentioning this DVM');
+        console.log('💡 Send NIP-90 job requests with kind 5600, results arrive on kind 6600');
 
         console.log('\n✨ Ready to provide privacy-focused relay recommendations!');
         console.log(`📱 Client can connect at: http://localhost:${config.server.clientPort}`);
@@ -78,17 +91,48 @@ async function startDVM() {
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down Relay Shadow DVM...');
+// Stop taking jobs, let running ones finish (or cancel them after DVM_SHUTDOWN_TIMEOUT_MS),
+// close relays, API and database. Exits 0 when every running job finished, 1 otherwise;
+// a second signal skips the wait and exits with 128 + signal number.
+async function shutdown(signal) {
+    const signalCode = 128 + os.constants.signals[signal];
+
+    if (shuttingDown) {
+        console.log(`\n⚠ Received ${signal} again, exiting without waiting for jobs`);
+        process.exit(signalCode);
+    }
+    shuttingDown = true;
+    console.log(`\n🛑 Received ${signal}, shutting down Relay Shadow DVM gracefully...`);
+
+    // Backstop in case closing a relay or the database hangs
+    const graceMs = (config.queue.shutdownTimeoutMs || 15000) + 15000;
+    setTimeout(() => {
+        console.error(`💥 Shutdown did not finish within ${graceMs / 1000}s, exiting`);
+        process.exit(signalCode);
+    }, graceMs).unref();
+
+    let exitCode = 0;
+    try {
+        apiServer?.close();
+        apiServer?.closeIdleConnections();
+
+        if (dvm) {
+            const drained = await dvm.shutdown();
+            if (!drained) exitCode = 1;
+        } else {
+            signer?.close();
+        }
+    } catch (error) {
+        console.error('❌ Shutdown failed:', error);
+        exitCode = 1;
+    }
+
     console.log('👋 Goodbye!');
-    process.exit(0);
-});
+    process.exit(exitCode);
+}
 
-process.on('SIGTERM', () => {
-    console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
-    process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 process.on('uncaughtException', (error) => {
     console.error('💥 Uncaught Exception:', error);
@@ -3,8 +3,11 @@
 // Fixed DVM Test Client with improved error handling and message parsing
 // src/scripts/test-client.js
 
-import { generatePrivateKey, getPublicKey, finishEvent, validateEvent } from 'nostr-tools'
+import { generatePrivateKey, getPublicKey, finishEvent, validateEvent, nip04, nip13, nip44 } from 'nostr-tools'
 import { decode } from 'nostr-tools/nip19'
+import { validateResponse } from '../constants/response-schema.js'
+import { DVM_KINDS, FEEDBACK_STATUS } from '../constants/dvm-kinds.js'
+import { RelayPool } from '../dvm/relay-pool.js'
 import process from 'process'
 
 class DVMTestClient {
@@ -15,9 +18,7 @@ class DVMTestClient {
         // Validate and clean the DVM public key
         this.dvmPublicKey = this.validateAndCleanPubkey(dvmPublicKey)
 
-        this.connections = new Map()
         this.responses = []
-        this.pendingEvents = new Map()
 
         // Default relays
         this.relays = [
@@ -27,6 +28,18 @@ class DVMTestClient {
             'wss://relay.nostr.band'
         ]
 
+        this.pool = new RelayPool(this.relays, {
+            connectTimeoutMs: 15000,
+            signEvent: event => finishEvent(event, this.privateKey),
+            handlers: {
+                onEvent: (relayUrl, subscriptionId, event) => this.handleEventMessage(relayUrl, [subscriptionId, event]),
+                onOk: (relayUrl, eventId, accepted, reason) => this.handleOkMessage(relayUrl, [eventId, accepted, reason]),
+                onNotice: (relayUrl, message) => console.log(`📢 Notice from ${relayUrl}:`, message),
+                onEose: (relayUrl) => console.log(`📄 End of stored events from ${relayUrl}`),
+                onClosed: (relayUrl, subscriptionId, message) => console.log(`🚫 Subscription closed by ${relayUrl}:`, message)
+            }
+        })
+
         console.log(`🔧 Test Client initialized`)
         console.log(`📡 Client pubkey: ${this.publicKey}`)
         console.log(`🎯 Target DVM: ${this.dvmPublicKey}`)
@@ -63,10 +76,7 @@ class DVMTestClient {
     async connect() {
         console.log(`🌐 Connecting to ${this.relays.length} relays...`)
 
-        const connectionPromises = this.relays.map(relay => this.connectToRelay(relay))
-        const results = await Promise.allSettled(connectionPromises)
-
-        const connected = results.filter(r => r.status === 'fulfilled').length
+        const connected = await this.pool.connect()
         console.log(`✅ Connected to ${connected}/${this.relays.length} relays`)
 
         if (connected === 0) {
@@ -78,84 +88,6 @@ class DVMTestClient {
         return connected
     }
 
-    async connectToRelay(relayUrl) {
-        return new Promise((resolve, reject) => {
-            try {
-                const ws = new WebSocket(relayUrl)
-                const timeout = setTimeout(() => {
-                    if (ws.readyState === WebSocket.CONNECTING) {
-                        ws.close()
-                        reject(new Error(`Connection timeout: ${relayUrl}`))
-                    }
-                }, 15000)
-
-                ws.onopen = () => {
-                    clearTimeout(timeout)
-                    this.connections.set(relayUrl, ws)
-                    console.log(`  ✓ Connected to ${relayUrl}`)
-                    resolve(ws)
-                }
-
-                ws.onerror = (error) => {
-                    clearTimeout(timeout)
-                    console.log(`  ✗ Failed to connect to ${relayUrl}:`, error.message || 'Connection failed')
-                    reject(error)
-                }
-
-                ws.onmessage = (event) => {
-                    this.handleMessage(relayUrl, event.data)
-                }
-
-                ws.onclose = (event) => {
-                    this.connections.delete(relayUrl)
-                    console.log(`  ⚠ Disconnected from ${relayUrl} (code: ${event.code})`)
-                }
-
-            } catch (error) {
-                reject(error)
-            }
-        })
-    }
-
-    handleMessage(relayUrl, message) {
-        try {
-            const parsed = JSON.parse(message)
-
-            if (!Array.isArray(parsed) || parsed.length < 2) {
-                console.warn(`Invalid message format from ${relayUrl}`)
-                return
-            }
-
-            const [messageType, ...args] = parsed
-
-            switch (messageType) {
-                case 'EVENT':
-                    this.handleEventMessage(relayUrl, args)
-                    break
-                case 'OK':
-                    this.handleOkMessage(relayUrl, args)
-                    break
-                case 'NOTICE':
-                    console.log(`📢 Notice from ${relayUrl}:`, args[0])
-                    break
-                case 'EOSE':
-                    console.log(`📄 End of stored events from ${relayUrl}`)
-                    break
-                case 'AUTH':
-                    console.log(`🔐 Auth challenge from ${relayUrl}`)
-                    break
-                case 'CLOSED':
-                    console.log(`🚫 Subscription closed by ${relayUrl}:`, args[1])
-                    break
-                default:
-                    console.log(`❓ Unknown message type from ${relayUrl}:`, messageType)
-                    break
-            }
-        } catch (error) {
-            console.warn(`⚠ Invalid message from ${relayUrl}:`, error.message)
-        }
-    }
-
     handleEventMessage(relayUrl, args) {
         if (args.length < 2) {
             console.warn(`Invalid EVENT message from ${relayUrl}`)
@@ -165,6 +97,10 @@ class DVMTestClient {
         const [subscriptionId, event] = args
 
         if (this.isDVMResponse(event)) {
+            if (event.kind === DVM_KINDS.FEEDBACK) {
+                this.processDVMFeedback(event)
+                return
+            }
             console.log(`📨 Received DVM response from ${relayUrl}`)
             this.processDVMResponse(event)
         }
@@ -183,22 +119,10 @@ class DVMTestClient {
         } else {
             console.log(`❌ Event rejected by ${relayUrl}: ${reason || 'Unknown reason'}`)
         }
-
-        // Resolve pending event if exists
-        if (this.pendingEvents.has(eventId)) {
-            const { resolve, reject } = this.pendingEvents.get(eventId)
-            this.pendingEvents.delete(eventId)
-
-            if (accepted) {
-                resolve({ relayUrl, accepted: true })
-            } else {
-                reject(new Error(`Event rejected by ${relayUrl}: ${reason}`))
-            }
-        }
     }
 
     isDVMResponse(event) {
-        if (!event || event.kind !== 5601) return false
+        if (!event || ![DVM_KINDS.RESULT, DVM_KINDS.FEEDBACK].includes(event.kind)) return false
 
         // Check if addressed to us
         const isForUs = event.tags && event.tags.some(tag =>
@@ -208,7 +132,40 @@ class DVMTestClient {
         return isForUs
     }
 
-    processDVMResponse(event) {
+    processDVMFeedback(event) {
+        const [, status, info] = event.tags.find(tag => tag[0] === 'status') || []
+
+        // Error feedback carries the error payload, everything else is a progress update
+        if (status === FEEDBACK_STATUS.ERROR && event.content) {
+            this.processDVMResponse(event)
+            return
+        }
+
+        console.log(`📣 Job status: ${status}${info ? ` - ${info}` : ''}`)
+
+        if (status === FEEDBACK_STATUS.PAYMENT_REQUIRED) {
+            const [, amount, bolt11] = event.tags.find(tag => tag[0] === 'amount') || []
+            console.log(`💸 Pay ${Math.ceil(parseInt(amount) / 1000)} sats with your wallet to continue:`)
+            console.log(`   ${bolt11}`)
+        }
+    }
+
+    async encrypt(plaintext, scheme) {
+        if (scheme === 'nip04') {
+            return nip04.encrypt(this.privateKey, this.dvmPublicKey, plaintext)
+        }
+        return nip44.encrypt(nip44.utils.v2.getConversationKey(this.privateKey, this.dvmPublicKey), plaintext)
+    }
+
+    async decrypt(pubkey, ciphertext) {
+        // The DVM answers with the scheme we used; NIP-04 ciphertext ends with ?iv=
+        if (ciphertext.includes('?iv=')) {
+            return nip04.decrypt(this.privateKey, pubkey, ciphertext)
+        }
+        return nip44.decrypt(nip44.utils.v2.getConversationKey(this.privateKey, pubkey), ciphertext)
+    }
+
+    async processDVMResponse(event) {
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
         console.log(`📨 DVM Response Received!`)
         console.log(`🔍 Event ID: ${event.id}`)
@@ -216,98 +173,149 @@ class DVMTestClient {
         console.log(`⏰ Timestamp: ${new Date(event.created_at * 1000).toISOString()}`)
 
         try {
+            const encrypted = event.tags.some(tag => tag[0] === 'encrypted')
+            const content = encrypted ? await this.decrypt(event.pubkey, event.content) : event.content
+            if (encrypted) console.log('🔐 Decrypted response')
+
             // Try to parse as JSON first
             let responseData
             try {
-                responseData = JSON.parse(event.content)
+                responseData = JSON.parse(content)
             } catch (e) {
                 // If not JSON, treat as plain text response
                 responseData = {
                     type: 'text_response',
-                    content: event.content
+                    content
                 }
             }
 
             this.responses.push(responseData)
 
+            const validation = validateResponse(responseData)
+            if (!validation.compatible) {
+                console.log(`❌ Incompatible DVM version (schema ${responseData.schema_version || 'unknown'})`)
+                validation.errors.forEach(error => console.log(`   ${error}`))
+                return
+            }
+            if (!validation.valid) {
+                console.log(`⚠️ Response does not match schema ${responseData.schema_version}:`)
+                validation.errors.forEach(error => console.log(`   ${error}`))
+                console.log('📄 Raw response:')
+                console.log(JSON.stringify(responseData, null, 2))
+                return
+            }
+
             // Display response based on type
             if (responseData.type === 'relay_recommendations') {
                 console.log(`🎯 Type: ${responseData.type}`)
 
-                // Handle both old and new response formats
-                const recommendations = responseData.recommendations?.primary ||
-                    responseData.recommendations ||
-                    []
+                const { primary, backup } = responseData.recommendations
+                console.log(`📊 Found ${primary.length} recommendations:`)
 
-                console.log(`📊 Found ${recommendations.length} recommendations:`)
-
-                recommendations.forEach((rec, i) => {
+                primary.forEach((rec, i) => {
                     console.log(`  ${i + 1}. ${rec.url}`)
-                    console.log(`     Score: ${rec.scores?.overall || 'N/A'} | Privacy: ${rec.scores?.privacy || 'N/A'}`)
-                    console.log(`     ${rec.reasoning || 'No reasoning provided'}`)
+                    console.log(`     Score: ${rec.scores.overall} | Privacy: ${rec.scores.privacy} | Reliability: ${rec.scores.reliability}`)
+                    console.log(`     ${rec.reasoning}`)
+                    rec.selection?.reasons.forEach(reason => console.log(`       - ${reason}`))
                 })
 
-                // Show backup recommendations if available
-                if (responseData.recommendations?.backup?.length > 0) {
+                const set = responseData.metadata?.set
+                if (set) {
+                    const coverage = set.coverage === null ? '' : `reaches ${set.follows_covered}/${set.follows_reachable} follows, `
+                    console.log(`🧩 Set: ${coverage}${set.independent_online}/${set.min_online} independent online relays`)
+                }
+
+                if (backup.length > 0) {
                     console.log(`\n📋 Backup recommendations:`)
-                    responseData.recommendations.backup.forEach((rec, i) => {
-                        console.log(`  ${i + 1}. ${rec.url} (Score: ${rec.scores?.overall || 'N/A'})`)
+                    backup.forEach((rec, i) => {
+                        console.log(`  ${i + 1}. ${rec.url} (Score: ${rec.scores.overall})`)
                     })
                 }
 
             } else if (responseData.type === 'relay_analysis') {
+                const { current_setup: setup, scores } = responseData
                 console.log(`🔍 Type: ${responseData.type}`)
                 console.log(`📊 Analysis results:`)
+                console.log(`  Relays: ${setup.relay_count} (${setup.known_relays} known, ${setup.online_relays} online)${setup.inferred ? ' [inferred]' : ''}`)
+                console.log(`  Privacy: ${scores.privacy ?? 'N/A'} | Diversity: ${scores.diversity ?? 'N/A'} | Reliability: ${scores.reliability ?? 'N/A'}`)
+
+                setup.relays.forEach((relay, i) => {
+                    const flags = relay.flags.length > 0 ? ` [${relay.flags.join(', ')}]` : ''
+                    console.log(`    ${i + 1}. ${relay.url} - Score: ${relay.overall_score ?? 'N/A'}${flags}`)
+                })
 
-                if (responseData.current_relays) {
-                    console.log(`  Current relays analyzed: ${responseData.current_relays.length}`)
-                    responseData.current_relays.forEach((relay, i) => {
-                        console.log(`    ${i + 1}. ${relay.url} - Score: ${relay.score || 'N/A'}`)
+                if (responseData.clusters?.shared.length > 0) {
+                    console.log(`  Concentration: ${responseData.clusters.operators} operators, ${responseData.clusters.jurisdictions} jurisdictions, ${responseData.clusters.asns} networks`)
+                    responseData.clusters.shared.forEach(group => {
+                        console.log(`    ${group.dimension} ${group.label}: ${group.relays.join(', ')}`)
                     })
                 }
 
-                if (responseData.recommendations) {
-                    console.log(`  Improvement recommendations: ${responseData.recommendations.length}`)
-                    responseData.recommendations.forEach((rec, i) => {
-                        console.log(`    ${i + 1}. ${rec.url} - ${rec.reasoning}`)
+                if (responseData.exposure) {
+                    const { summary } = responseData.exposure
+                    console.log(`  Exposure: ${summary.operators_with_social_graph}/${summary.operators} operators see your follows, ${summary.auth_relays} relays require AUTH, ${summary.operators_with_direct_messages} operators hold your DMs`)
+                    responseData.exposure.relays.forEach(relay => {
+                        console.log(`    ${relay.url} - ${relay.exposure}`)
+                        relay.risks.forEach(risk => console.log(`       • ${risk.description}`))
+                    })
+                }
+
+                if (responseData.suggestions.length > 0) {
+                    console.log(`  Suggestions: ${responseData.suggestions.length}`)
+                    responseData.suggestions.forEach((suggestion, i) => {
+                        console.log(`    ${i + 1}. ${suggestion.reason}`)
                     })
                 }
             } else if (responseData.type === 'discovery_recommendations') {
                 console.log(`🔮 Type: ${responseData.type}`)
+                console.log(`📊 Discovery recommendations: ${responseData.discoveries.length}`)
 
-                const discoveries = responseData.discoveries || responseData.recommendations || []
-                console.log(`📊 Discovery recommendations: ${discoveries.length}`)
-
-                discoveries.forEach((rec, i) => {
+                responseData.discoveries.forEach((rec, i) => {
                     console.log(`  ${i + 1}. ${rec.url}`)
-                    console.log(`     Discovery Score: ${rec.discoveryScore || rec.scores?.discovery || 'N/A'}`)
-                    console.log(`     Publishers: ${rec.uniquePublishers || rec.unique_quality_publishers || 'N/A'}`)
-                    console.log(`     ${rec.reasoning || 'No reasoning provided'}`)
+                    console.log(`     Discovery Score: ${rec.discovery_score}`)
+                    console.log(`     Follows publishing here: ${rec.followed_publishers} (${rec.new_publishers} new)`)
+                    console.log(`     ${rec.reasoning}`)
                 })
             } else if (responseData.type === 'relay_health_summary') {
+                const { summary } = responseData
                 console.log(`🏥 Type: ${responseData.type}`)
                 console.log(`📊 Health summary:`)
+                console.log(`  Total relays: ${summary.total}`)
+                console.log(`  Healthy: ${summary.healthy} | Online: ${summary.online} | Offline: ${summary.offline}`)
 
-                if (responseData.summary) {
-                    console.log(`  Total relays: ${responseData.summary.total || 'N/A'}`)
-                    console.log(`  Healthy: ${responseData.summary.healthy || 'N/A'}`)
-                    console.log(`  With issues: ${responseData.summary.issues || 'N/A'}`)
-                }
-
-                // Handle both old and new formats
-                const relays = responseData.relays || responseData.categories?.healthy || []
+                const relays = responseData.degraded_relays
                 if (relays.length > 0) {
-                    console.log(`  Relay details: ${relays.length}`)
+                    console.log(`  Degraded in the last 24h: ${relays.length}`)
                     relays.slice(0, 5).forEach((relay, i) => {
-                        const url = relay.relay_url || relay.url
-                        const status = relay.health_status || relay.status
-                        console.log(`    ${i + 1}. ${url} - ${status}`)
+                        console.log(`    ${i + 1}. ${relay.url} - ${relay.uptime_24h}% uptime`)
                     })
 
                     if (relays.length > 5) {
                         console.log(`    ... and ${relays.length - 5} more`)
                     }
                 }
+            } else if (responseData.type === 'rotation_strategy') {
+                const { schedule } = responseData
+                console.log(`🔄 Type: ${responseData.type}`)
+                console.log(`📅 ${schedule.slots.length} slots of ${schedule.rotation_hours}h (${schedule.timezone})`)
+
+                schedule.slots.forEach(slot => {
+                    const marker = slot.index === schedule.current_slot ? ' ← now' : ''
+                    console.log(`  ${slot.local_start}-${slot.local_end} (UTC ${slot.utc_start}-${slot.utc_end})${marker}`)
+                    slot.relays.forEach(relay => console.log(`     • ${relay}`))
+                })
+            } else if (responseData.type === 'outbox_relays') {
+                const { relay_list: relayList, coverage, event_template: template } = responseData
+                console.log(`📮 Type: ${responseData.type}`)
+                console.log(`👥 Read relays reach ${coverage.covered}/${coverage.follows} follows (${coverage.with_relay_list} with a relay list, ${coverage.inferred} inferred)`)
+
+                console.log('  Read:')
+                relayList.read.forEach(relay => console.log(`     • ${relay.url} - ${relay.reason}`))
+                console.log('  Write:')
+                relayList.write.forEach(relay => console.log(`     • ${relay.url} - ${relay.reasons.join('; ')}`))
+
+                console.log('📝 Kind 10002 template (sign and publish it with your own key):')
+                console.log(JSON.stringify(template, null, 2))
             } else if (responseData.type === 'error') {
                 console.log(`❌ Error response: ${responseData.error || responseData.message}`)
             } else {
@@ -326,32 +334,21 @@ class DVMTestClient {
             console.error('❌ Failed to parse DVM response:', error)
             console.log('📄 Raw content:')
             console.log(event.content)
+        } finally {
+            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
         }
-
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
     }
 
     async subscribeToResponses() {
         const subscription = {
-            kinds: [5601],
+            kinds: [DVM_KINDS.RESULT, DVM_KINDS.FEEDBACK],
             '#p': [this.publicKey], // Responses addressed to us
             since: Math.floor(Date.now() / 1000) - 300 // Last 5 minutes
         }
 
+        // The pool sends it again whenever a relay reconnects
         const subscriptionId = `dvm-responses-${Date.now()}`
-        const subscribeMessage = ['REQ', subscriptionId, subscription]
-
-        let subscribed = 0
-        Array.from(this.connections.values()).forEach(ws => {
-            if (ws.readyState === WebSocket.OPEN) {
-                try {
-                    ws.send(JSON.stringify(subscribeMessage))
-                    subscribed++
-                } catch (error) {
-                    console.warn('Failed to send subscription:', error)
-                }
-            }
-        })
+        const subscribed = this.pool.subscribe(subscriptionId, subscription)
 
         console.log(`👂 Subscribed to DVM responses on ${subscribed} relays`)
         return subscribed > 0
@@ -363,17 +360,26 @@ class DVMTestClient {
             maxResults = 10,
             useCase = 'social',
             currentRelays = [],
+            rotationHours = 6,
+            timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+            encryption = null,
+            pow = 0,
+            threatProfile = null,
+            network = null,
+            minOnline = null,
             context = `Test ${requestType} request`
         } = options
 
         const requestEvent = {
-            kind: 5600, // DVM request kind
+            kind: DVM_KINDS.REQUEST, // DVM request kind
             created_at: Math.floor(Date.now() / 1000),
             tags: [
                 ['p', this.dvmPublicKey], // DVM public key - make sure it's 64 chars hex
+                ['output', 'application/json'],
                 ['param', 'request_type', requestType],
                 ['param', 'threat_level', threatLevel],
-                ['param', 'max_results', String(maxResults)]
+                ['param', 'max_results', String(maxResults)],
+                ['relays', ...this.relays] // Where the DVM should publish results
             ],
             content: context,
         }
@@ -389,13 +395,44 @@ class DVMTestClient {
             requestEvent.tags.push(['param', 'use_case', useCase])
         }
 
-        if (requestType === 'analyze' && currentRelays.length > 0) {
-            requestEvent.tags.push(['param', 'current_relays', currentRelays.join(',')])
+        if (threatProfile) {
+            requestEvent.tags.push(['param', 'threat_profile', threatProfile])
+        }
+
+        if (network) {
+            requestEvent.tags.push(['param', 'network', network])
+        }
+
+        if (minOnline) {
+            requestEvent.tags.push(['param', 'min_online', String(minOnline)])
+        }
+
+        if (['analyze', 'discover', 'rotate'].includes(requestType) && currentRelays.length > 0) {
+            currentRelays.forEach(relay => requestEvent.tags.push(['i', relay, 'url']))
+        }
+
+        if (requestType === 'rotate') {
+            requestEvent.tags.push(['param', 'rotation_hours', String(rotationHours)])
+            requestEvent.tags.push(['param', 'timezone', timezone])
         }
 
         // Add client info
         requestEvent.tags.push(['client', 'relay-shadow-test-client', '1.0.0'])
 
+        // NIP-90 encrypted job: inputs and params travel in the content, only routing tags stay public
+        if (encryption) {
+            const isPrivate = tag => tag[0] === 'i' || tag[0] === 'param'
+            requestEvent.content = await this.encrypt(JSON.stringify(requestEvent.tags.filter(isPrivate)), encryption)
+            requestEvent.tags = [...requestEvent.tags.filter(tag => !isPrivate(tag)), ['encrypted']]
+        }
+
+        // NIP-13 proof of work for DVMs that require it (DVM_MIN_POW)
+        if (pow > 0) {
+            console.log(`⛏️  Mining proof of work (${pow} bits)...`)
+            requestEvent.pubkey = this.publicKey
+            nip13.minePow(requestEvent, pow)
+        }
+
         // Sign the event
         const signedEvent = finishEvent(requestEvent, this.privateKey)
 
@@ -410,20 +447,22 @@ class DVMTestClient {
         if (currentRelays.length > 0) {
             console.log(`   Current relays: ${currentRelays.join(', ')}`)
         }
+        if (encryption) {
+            console.log(`   Encryption: ${encryption}`)
+        }
 
         // Send to all connected relays with improved error handling
-        const publishPromises = Array.from(this.connections.entries()).map(([url, ws]) => {
-            return this.publishEventToRelay(ws, signedEvent, url)
-        })
+        // The pool waits for each relay's OK and retries rate-limited or auth-required rejections
+        const results = await this.pool.publish(signedEvent, { timeoutMs: 10000 })
 
-        const results = await Promise.allSettled(publishPromises)
-        const successful = results.filter(r => r.status === 'fulfilled').length
-        const failed = results.filter(r => r.status === 'rejected')
+        // Some relays never answer OK; a timeout is not a rejection
+        const successful = results.filter(r => r.accepted || r.message === 'timeout').length
+        const failed = results.filter(r => !r.accepted && r.message !== 'timeout')
 
         if (failed.length > 0) {
             console.log(`⚠ Some relays rejected the event:`)
-            failed.forEach((result, i) => {
-                console.log(`   ${result.reason}`)
+            failed.forEach(result => {
+                console.log(`   ${result.url}: ${result.message}`)
             })
         }
 
@@ -436,43 +475,6 @@ class DVMTestClient {
         return { successful, total: results.length, signedEvent }
     }
 
-    async publishEventToRelay(ws, event, relayUrl) {
-        return new Promise((resolve, reject) => {
-            if (ws.readyState !== WebSocket.OPEN) {
-                reject(new Error(`Relay ${relayUrl} not connected (state: ${ws.readyState})`))
-                return
-            }
-
-            try {
-                const eventMessage = ['EVENT', event]
-                ws.send(JSON.stringify(eventMessage))
-                console.log(`  → Sent to ${relayUrl}`)
-
-                // Set up timeout for OK response
-                const timeout = setTimeout(() => {
-                    console.log(`  ⏰ Timeout waiting for OK from ${relayUrl}`)
-                    resolve() // Don't reject on timeout
-                }, 10000)
-
-                // Store pending event for OK tracking
-                this.pendingEvents.set(event.id, {
-                    resolve: () => {
-                        clearTimeout(timeout)
-                        resolve()
-                    },
-                    reject: (error) => {
-                        clearTimeout(timeout)
-                        reject(error)
-                    }
-                })
-
-            } catch (error) {
-                console.error(`Failed to send to ${relayUrl}:`, error)
-                reject(error)
-            }
-        })
-    }
-
     async waitForResponse(timeoutMs = 30000) {
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
@@ -495,18 +497,7 @@ class DVMTestClient {
     async disconnect() {
         console.log('🔌 Disconnecting from relays...')
 
-        // Clear pending events
-        this.pendingEvents.clear()
-
-        // Close connections
-        Array.from(this.connections.values()).forEach(ws => {
-            try {
-                ws.close(1000, 'Client disconnecting')
-            } catch (error) {
-                console.warn('Error closing connection:', error)
-            }
-        })
-        this.connections.clear()
+        this.pool.close()
         console.log('👋 Disconnected from all relays')
     }
 }
@@ -526,11 +517,18 @@ Required:
   --dvm-pubkey <pubkey>     Public key of the DVM to test
 
 Options:
-  --request-type <type>     Type of request (recommend, analyze, discover, health)
+  --request-type <type>     Type of request (recommend, analyze, discover, health, rotate, outbox)
   --threat-level <level>    Threat level (low, medium, high, nation-state)
   --max-results <number>    Maximum number of results
   --use-case <case>         Use case (social, journalism, activism, etc.)
-  --current-relays <urls>   Comma-separated list of current relays (for analyze)
+  --current-relays <urls>   Comma-separated list of current relays (for analyze, discover, rotate)
+  --rotation-hours <hours>  Slot length for rotate requests (default: 6)
+  --timezone <tz>           IANA timezone for rotate requests (default: system timezone)
+  --encrypt [nip44|nip04]   Encrypt request params and result (default scheme: nip44)
+  --pow <bits>              Mine NIP-13 proof of work for DVMs that require it
+  --threat-profile <json>   Custom threat profile (weights, thresholds, constraints) for recommend and analyze
+  --network <network>       Endpoints to recommend: mixed (default), clearnet, tor or i2p
+  --min-online <number>     Independent online relays a recommended set should contain, write relays for outbox (1-10)
   --timeout <ms>            Timeout in milliseconds (default: 30000)
 
 Examples:
@@ -545,6 +543,18 @@ Examples:
 
   # Discovery recommendations
   node test-client.js --dvm-pubkey abc123... --request-type discover --use-case journalism
+
+  # Relay rotation schedule
+  node test-client.js --dvm-pubkey abc123... --request-type rotate --rotation-hours 4 --timezone Europe/Berlin
+
+  # NIP-65 read/write relay list and a kind 10002 template
+  node test-client.js --dvm-pubkey abc123... --request-type outbox --max-results 5
+
+  # Only Tor relays that support NIP-42 and answer within 800ms, ranked mostly by privacy
+  node test-client.js --dvm-pubkey abc123... --threat-profile '{"base":"high","weights":{"privacy":0.8},"constraints":{"tor_only":true,"require_nips":[42],"max_rtt_ms":800}}'
+
+  # Encrypted analysis, nothing about the setup visible on public relays
+  node test-client.js --dvm-pubkey abc123... --request-type analyze --threat-level nation-state --encrypt
         `)
         process.exit(0)
     }
@@ -565,6 +575,23 @@ Examples:
     const currentRelaysArg = args[args.indexOf('--current-relays') + 1]
     const currentRelays = currentRelaysArg ? currentRelaysArg.split(',').map(r => r.trim()) : []
     const timeout = parseInt(args[args.indexOf('--timeout') + 1]) || 30000
+    const rotationHours = parseInt(args[args.indexOf('--rotation-hours') + 1]) || 6
+    const timezoneArg = args.indexOf('--timezone')
+    const timezone = timezoneArg !== -1 ? args[timezoneArg + 1] : undefined
+    const encryptArg = args.indexOf('--encrypt')
+    const encryption = encryptArg === -1 ? null : (['nip44', 'nip04'].includes(args[encryptArg + 1]) ? args[encryptArg + 1] : 'nip44')
+
+    const powArg = args.indexOf('--pow')
+    const pow = powArg !== -1 ? parseInt(args[powArg + 1]) || 0 : 0
+
+    const threatProfileArg = args.indexOf('--threat-profile')
+    const threatProfile = threatProfileArg !== -1 ? args[threatProfileArg + 1] : null
+
+    const networkArg = args.indexOf('--network')
+    const network = networkArg !== -1 ? args[networkArg + 1] : null
+
+    const minOnlineArg = args.indexOf('--min-online')
+    const minOnline = minOnlineArg !== -1 ? parseInt(args[minOnlineArg + 1]) || null : null
 
     const client = new DVMTestClient(dvmPubkey)
 
@@ -577,7 +604,14 @@ Examples:
             threatLevel,
             maxResults,
             useCase,
-            currentRelays
+            currentRelays,
+            rotationHours,
+            timezone,
+            encryption,
+            pow,
+            threatProfile,
+            network,
+            minOnline
         })
 
         // Wait for response